@@ -0,0 +1,504 @@
+/**
+ * Local stand-in for Google sign-in and the parts of the Drive v3 API the app
+ * uses, for trying sharing and live sessions without a Google account or a
+ * connection. Everything is kept in memory and lost on restart.
+ *
+ *   npm run mock-drive
+ *   VITE_MOCK_GOOGLE_ORIGIN=http://localhost:8787 npm run dev
+ *
+ * Sign in as different people in different browser profiles (tokens live in
+ * sessionStorage, so separate windows of one profile work too) to see each
+ * other's changes and presence.
+ */
+
+import http from 'node:http'
+import { createHash } from 'node:crypto'
+
+const PORT = Number(process.env.PORT) || 8787
+const FOLDER = 'application/vnd.google-apps.folder'
+
+const users = new Map() // email -> { email, name, permissionId }
+const files = new Map() // id -> file record
+const changes = [] // [{ seq, fileId }]
+let nextId = 1
+
+function newId(prefix) {
+  return `${prefix}${(nextId++).toString(36).padStart(6, '0')}`
+}
+
+function now() {
+  return new Date().toISOString()
+}
+
+// ============ Users ============
+
+function userFor(email, name) {
+  if (!users.has(email)) {
+    const permissionId = createHash('sha1').update(email).digest('hex').slice(0, 16)
+    users.set(email, { email, name: name || email, permissionId })
+  } else if (name) {
+    users.get(email).name = name
+  }
+  return users.get(email)
+}
+
+// Tokens are "mock.<base64url of email|name>", so no sign-in state is kept
+function tokenFor(user) {
+  return 'mock.' + Buffer.from(`${user.email}|${user.name}`).toString('base64url')
+}
+
+function userFromRequest(req) {
+  const match = /^Bearer mock\.(.+)$/.exec(req.headers.authorization || '')
+  if (!match) return null
+  const [email, ...name] = Buffer.from(match[1], 'base64url').toString().split('|')
+  return email ? userFor(email, name.join('|')) : null
+}
+
+// ============ Files and access ============
+
+function ancestors(file) {
+  const chain = []
+  let parentId = file.parents[0]
+  while (parentId && files.has(parentId)) {
+    const parent = files.get(parentId)
+    chain.push(parent)
+    parentId = parent.parents[0]
+  }
+  return chain
+}
+
+const ROLE_RANK = { reader: 1, writer: 2, owner: 3 }
+
+// Permissions on a folder apply to everything inside it, as in Drive
+function roleOf(file, user) {
+  let best = null
+  for (const f of [file, ...ancestors(file)]) {
+    if (f.owner === user.email) return 'owner'
+    const permission = f.permissions.find(p => p.emailAddress === user.email)
+    if (permission && (!best || ROLE_RANK[permission.role] > ROLE_RANK[best])) {
+      best = permission.role
+    }
+  }
+  return best
+}
+
+function canEdit(file, user) {
+  return ['owner', 'writer'].includes(roleOf(file, user))
+}
+
+function recordChange(file) {
+  file.modifiedTime = now()
+  changes.push({ seq: changes.length + 1, fileId: file.id })
+}
+
+function createRecord(user, metadata, content = null, mimeType = null) {
+  const file = {
+    id: newId('f'),
+    name: metadata.name || 'Untitled',
+    mimeType: metadata.mimeType || mimeType || 'text/plain',
+    parents: metadata.parents || [],
+    description: metadata.description || '',
+    appProperties: cleanProperties(metadata.appProperties || {}),
+    trashed: false,
+    owner: user.email,
+    permissions: [],
+    revisions: [],
+    modifiedTime: now()
+  }
+  if (file.mimeType !== FOLDER) {
+    addRevision(file, user, content || Buffer.alloc(0))
+  }
+  files.set(file.id, file)
+  recordChange(file)
+  return file
+}
+
+function addRevision(file, user, content) {
+  file.revisions.push({
+    id: newId('r'),
+    modifiedTime: now(),
+    content,
+    keepForever: false,
+    lastModifyingUser: { displayName: user.name, emailAddress: user.email }
+  })
+}
+
+function headRevision(file) {
+  return file.revisions[file.revisions.length - 1]
+}
+
+function cleanProperties(properties) {
+  return Object.fromEntries(Object.entries(properties).filter(([, value]) => value !== null))
+}
+
+function toResource(file, user) {
+  const owner = users.get(file.owner) || { name: file.owner, email: file.owner }
+  const head = headRevision(file)
+  const editable = canEdit(file, user)
+
+  return {
+    kind: 'drive#file',
+    id: file.id,
+    name: file.name,
+    mimeType: file.mimeType,
+    parents: file.parents,
+    description: file.description,
+    appProperties: file.appProperties,
+    trashed: file.trashed,
+    modifiedTime: file.modifiedTime,
+    ...(head && { headRevisionId: head.id, size: String(head.content.length) }),
+    ownedByMe: file.owner === user.email,
+    shared: [file, ...ancestors(file)].some(f => f.permissions.length > 0),
+    owners: [{ displayName: owner.name, emailAddress: owner.email }],
+    capabilities: { canEdit: editable, canShare: editable }
+  }
+}
+
+// ============ Queries ============
+
+// The subset of Drive's query language the app sends, joined with "and"
+const CLAUSES = [
+  [/'((?:[^'\\]|\\.)*)' in parents/y, (m, file) => file.parents.includes(unescape(m[1]))],
+  [/'me' in owners/y, (m, file, user) => file.owner === user.email],
+  [/name\s*=\s*'((?:[^'\\]|\\.)*)'/y, (m, file) => file.name === unescape(m[1])],
+  [/mimeType\s*=\s*'((?:[^'\\]|\\.)*)'/y, (m, file) => file.mimeType === unescape(m[1])],
+  [/trashed\s*=\s*(true|false)/y, (m, file) => file.trashed === (m[1] === 'true')],
+  [/sharedWithMe/y, (m, file, user) => file.owner !== user.email && file.permissions.some(p => p.emailAddress === user.email)],
+  [/appProperties has \{\s*key\s*=\s*'((?:[^'\\]|\\.)*)'\s+and\s+value\s*=\s*'((?:[^'\\]|\\.)*)'\s*\}/y,
+    (m, file) => file.appProperties[unescape(m[1])] === unescape(m[2])]
+]
+
+function unescape(text) {
+  return text.replace(/\\(.)/g, '$1')
+}
+
+function parseQuery(q) {
+  const tests = []
+  let pos = 0
+  q = q.trim()
+
+  while (pos < q.length) {
+    const clause = CLAUSES.find(([pattern]) => {
+      pattern.lastIndex = pos
+      return pattern.test(q)
+    })
+    if (!clause) {
+      throw new HttpError(400, `Unsupported query at: ${q.slice(pos)}`)
+    }
+
+    const [pattern, test] = clause
+    pattern.lastIndex = pos
+    const match = pattern.exec(q)
+    tests.push((file, user) => test(match, file, user))
+    pos = pattern.lastIndex
+
+    const and = /\s+and\s+|\s*$/y
+    and.lastIndex = pos
+    if (!and.exec(q)) {
+      throw new HttpError(400, `Expected "and" at: ${q.slice(pos)}`)
+    }
+    pos = and.lastIndex
+  }
+
+  return (file, user) => tests.every(test => test(file, user))
+}
+
+function listFiles(user, params) {
+  const matches = parseQuery(params.get('q') || '')
+  const result = [...files.values()].filter(file => roleOf(file, user) && matches(file, user))
+
+  const orderBy = params.get('orderBy') || ''
+  if (orderBy.startsWith('modifiedTime')) {
+    result.sort((a, b) => b.modifiedTime.localeCompare(a.modifiedTime))
+  } else if (orderBy === 'name') {
+    result.sort((a, b) => a.name.localeCompare(b.name))
+  }
+  return { files: result.map(file => toResource(file, user)) }
+}
+
+// ============ HTTP helpers ============
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+async function readJson(req) {
+  const body = await readBody(req)
+  try {
+    return body.length ? JSON.parse(body.toString()) : {}
+  } catch {
+    throw new HttpError(400, 'Invalid JSON body')
+  }
+}
+
+// Just enough multipart/form-data parsing for the upload the app sends: metadata + file
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '')
+  if (!boundary) throw new HttpError(400, 'Missing multipart boundary')
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`)
+
+  const parts = []
+  let start = body.indexOf(delimiter)
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length)
+    if (next === -1) break
+
+    const part = body.subarray(start + delimiter.length + 2, next - 2)
+    const headerEnd = part.indexOf('\r\n\r\n')
+    const headers = part.subarray(0, headerEnd).toString()
+    parts.push({
+      name: /name="([^"]+)"/.exec(headers)?.[1],
+      type: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1],
+      content: part.subarray(headerEnd + 4)
+    })
+    start = next
+  }
+  return parts
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, headers)
+  res.end(body)
+}
+
+function sendJson(res, body, status = 200) {
+  send(res, status, JSON.stringify(body), { 'Content-Type': 'application/json' })
+}
+
+function getFile(id, user, { write = false } = {}) {
+  const file = files.get(id)
+  const role = file && roleOf(file, user)
+  if (!role) throw new HttpError(404, `File not found: ${id}`)
+  if (write && !['owner', 'writer'].includes(role)) {
+    throw new HttpError(403, 'The user does not have sufficient permissions for this file.')
+  }
+  return file
+}
+
+// ============ Sign-in ============
+
+function escapeHtml(str) {
+  if (!str) return ''
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function signInPage(params) {
+  const hidden = ['redirect_uri', 'scope']
+    .map(key => `<input type="hidden" name="${key}" value="${escapeHtml(params.get(key))}">`)
+    .join('')
+  const known = [...users.values()]
+    .map(u => `<option value="${escapeHtml(u.email)}">${escapeHtml(u.name)}</option>`).join('')
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Mock Google sign-in</title>
+<style>body{font-family:sans-serif;max-width:360px;margin:60px auto}input,button{display:block;width:100%;margin:8px 0;padding:8px;box-sizing:border-box}</style>
+</head><body>
+<h2>Mock Google sign-in</h2>
+<form action="/o/oauth2/v2/auth/approve">
+  ${hidden}
+  <input name="email" type="email" placeholder="Email" list="known" required>
+  <datalist id="known">${known}</datalist>
+  <input name="name" placeholder="Display name (optional)">
+  <button>Sign in</button>
+</form>
+</body></html>`
+}
+
+function approveSignIn(params) {
+  const user = userFor(params.get('email'), params.get('name'))
+  const fragment = new URLSearchParams({
+    access_token: tokenFor(user),
+    expires_in: '3600',
+    token_type: 'Bearer',
+    scope: params.get('scope') || ''
+  })
+  return `${params.get('redirect_uri')}#${fragment}`
+}
+
+// ============ Routes ============
+
+async function handleDrive(req, res, path, params, user) {
+  const method = req.method
+
+  if (path === '/drive/v3/about' && method === 'GET') {
+    return sendJson(res, { user: { displayName: user.name, emailAddress: user.email, permissionId: user.permissionId } })
+  }
+
+  if (path === '/drive/v3/changes/startPageToken' && method === 'GET') {
+    return sendJson(res, { startPageToken: String(changes.length) })
+  }
+
+  if (path === '/drive/v3/changes' && method === 'GET') {
+    const since = Number(params.get('pageToken')) || 0
+    const visible = changes
+      .filter(c => c.seq > since && files.has(c.fileId) && roleOf(files.get(c.fileId), user))
+      .map(c => ({ kind: 'drive#change', fileId: c.fileId, removed: false }))
+    return sendJson(res, { changes: visible, newStartPageToken: String(changes.length) })
+  }
+
+  if (path === '/drive/v3/files' && method === 'GET') {
+    return sendJson(res, listFiles(user, params))
+  }
+
+  if (path === '/drive/v3/files' && method === 'POST') {
+    const metadata = await readJson(req)
+    for (const parentId of metadata.parents || []) getFile(parentId, user, { write: true })
+    return sendJson(res, toResource(createRecord(user, metadata), user))
+  }
+
+  if (path === '/upload/drive/v3/files' && method === 'POST') {
+    const parts = parseMultipart(await readBody(req), req.headers['content-type'])
+    const metadata = JSON.parse(parts.find(p => p.name === 'metadata')?.content.toString() || '{}')
+    const content = parts.find(p => p.name === 'file')
+    for (const parentId of metadata.parents || []) getFile(parentId, user, { write: true })
+    return sendJson(res, toResource(createRecord(user, metadata, content?.content, content?.type), user))
+  }
+
+  let match = /^\/upload\/drive\/v3\/files\/([^/]+)$/.exec(path)
+  if (match && method === 'PATCH') {
+    const file = getFile(match[1], user, { write: true })
+    addRevision(file, user, await readBody(req))
+    if (req.headers['content-type']) file.mimeType = req.headers['content-type']
+    recordChange(file)
+    return sendJson(res, toResource(file, user))
+  }
+
+  match = /^\/drive\/v3\/files\/([^/]+)$/.exec(path)
+  if (match) {
+    const file = getFile(match[1], user, { write: method === 'PATCH' })
+
+    if (method === 'GET' && params.get('alt') === 'media') {
+      return send(res, 200, headRevision(file)?.content || '', { 'Content-Type': file.mimeType })
+    }
+    if (method === 'GET') {
+      return sendJson(res, toResource(file, user))
+    }
+    if (method === 'PATCH') {
+      const changesToApply = await readJson(req)
+      if ('name' in changesToApply) file.name = changesToApply.name
+      if ('description' in changesToApply) file.description = changesToApply.description
+      if ('trashed' in changesToApply) file.trashed = !!changesToApply.trashed
+      if (changesToApply.appProperties) {
+        file.appProperties = cleanProperties({ ...file.appProperties, ...changesToApply.appProperties })
+      }
+      recordChange(file)
+      return sendJson(res, toResource(file, user))
+    }
+  }
+
+  match = /^\/drive\/v3\/files\/([^/]+)\/revisions(?:\/([^/]+))?$/.exec(path)
+  if (match) {
+    const file = getFile(match[1], user, { write: method === 'PATCH' })
+    if (!match[2] && method === 'GET') {
+      return sendJson(res, {
+        revisions: file.revisions.map(({ id, modifiedTime, keepForever, lastModifyingUser }) => ({
+          id, modifiedTime, keepForever, lastModifyingUser
+        }))
+      })
+    }
+
+    const revision = file.revisions.find(r => r.id === match[2])
+    if (!revision) throw new HttpError(404, `Revision not found: ${match[2]}`)
+    if (method === 'GET' && params.get('alt') === 'media') {
+      return send(res, 200, revision.content, { 'Content-Type': file.mimeType })
+    }
+    if (method === 'PATCH') {
+      const { keepForever } = await readJson(req)
+      if (keepForever !== undefined) revision.keepForever = !!keepForever
+      return sendJson(res, { id: revision.id, modifiedTime: revision.modifiedTime, keepForever: revision.keepForever })
+    }
+  }
+
+  match = /^\/drive\/v3\/files\/([^/]+)\/permissions(?:\/([^/]+))?$/.exec(path)
+  if (match) {
+    const file = getFile(match[1], user, { write: method !== 'GET' })
+    const owner = users.get(file.owner) || { name: file.owner, email: file.owner, permissionId: 'owner' }
+
+    if (!match[2] && method === 'GET') {
+      return sendJson(res, {
+        permissions: [
+          { id: owner.permissionId, type: 'user', role: 'owner', emailAddress: owner.email, displayName: owner.name },
+          ...file.permissions
+        ]
+      })
+    }
+
+    if (!match[2] && method === 'POST') {
+      const { type, role, emailAddress } = await readJson(req)
+      if (type !== 'user' || !ROLE_RANK[role] || role === 'owner' || !emailAddress) {
+        throw new HttpError(400, 'Only user permissions with role reader or writer are supported')
+      }
+      const person = userFor(emailAddress)
+      file.permissions = file.permissions.filter(p => p.emailAddress !== emailAddress)
+      const permission = { id: person.permissionId, type, role, emailAddress, displayName: person.name }
+      file.permissions.push(permission)
+      recordChange(file)
+      return sendJson(res, permission)
+    }
+
+    const permission = file.permissions.find(p => p.id === match[2])
+    if (!permission) throw new HttpError(404, `Permission not found: ${match[2]}`)
+    if (method === 'PATCH') {
+      const { role } = await readJson(req)
+      if (!['reader', 'writer'].includes(role)) throw new HttpError(400, `Unsupported role: ${role}`)
+      permission.role = role
+      recordChange(file)
+      return sendJson(res, permission)
+    }
+    if (method === 'DELETE') {
+      file.permissions = file.permissions.filter(p => p !== permission)
+      recordChange(file)
+      return send(res, 204, '')
+    }
+  }
+
+  throw new HttpError(404, `Not supported by the mock: ${method} ${path}`)
+}
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS')
+  if (req.method === 'OPTIONS') return send(res, 204, '')
+
+  const url = new URL(req.url, `http://localhost:${PORT}`)
+
+  try {
+    if (url.pathname === '/o/oauth2/v2/auth') {
+      return send(res, 200, signInPage(url.searchParams), { 'Content-Type': 'text/html' })
+    }
+    if (url.pathname === '/o/oauth2/v2/auth/approve') {
+      return send(res, 302, '', { Location: approveSignIn(url.searchParams) })
+    }
+
+    const user = userFromRequest(req)
+    if (!user) throw new HttpError(401, 'Request had invalid authentication credentials.')
+
+    await handleDrive(req, res, url.pathname, url.searchParams, user)
+  } catch (err) {
+    const status = err.status || 500
+    if (status === 500) console.error(err)
+    sendJson(res, { error: { code: status, message: err.message } }, status)
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`Mock Google Drive on http://localhost:${PORT}`)
+  console.log(`Start the app with VITE_MOCK_GOOGLE_ORIGIN=http://localhost:${PORT}`)
+})
@@ -0,0 +1,233 @@
+import { storage } from '../lib/storage.js'
+import { ASSET_MAX_SIZE, checkAssetName, formatSize } from '../lib/assets.js'
+
+class AppAssets extends HTMLElement {
+  constructor() {
+    super()
+    this.appId = null
+    this.assets = []
+    this.loading = false
+    this.uploading = false
+    this.error = null
+  }
+
+  connectedCallback() {
+    this.render()
+  }
+
+  /**
+   * Load the asset list of an app
+   * @param {string} appId - App to show
+   */
+  async open(appId) {
+    this.appId = appId
+    await this.reload()
+  }
+
+  async reload() {
+    this.loading = true
+    this.error = null
+    this.render()
+
+    try {
+      this.assets = await storage.listAssets(this.appId)
+    } catch (err) {
+      console.error('Failed to load assets:', err)
+      this.error = err.message
+    }
+
+    this.loading = false
+    this.render()
+  }
+
+  async handleUpload(files) {
+    const accepted = []
+    for (const file of files) {
+      const problem = checkAssetName(file.name) ||
+        (file.size > ASSET_MAX_SIZE ? `${file.name} is larger than ${formatSize(ASSET_MAX_SIZE)}` : null)
+      if (problem) {
+        alert(problem)
+      } else {
+        accepted.push(file)
+      }
+    }
+    if (accepted.length === 0) return
+
+    const replacing = accepted.filter(file => this.assets.some(a => a.name === file.name))
+    if (replacing.length > 0 && !confirm(`Replace ${replacing.map(f => f.name).join(', ')}?`)) {
+      return
+    }
+
+    this.uploading = true
+    this.render()
+
+    try {
+      for (const file of accepted) {
+        await storage.uploadAsset(this.appId, file)
+      }
+    } catch (err) {
+      alert('Failed to upload asset: ' + err.message)
+    }
+
+    this.uploading = false
+    await this.reload()
+  }
+
+  async handleDelete(assetId, name) {
+    if (!confirm(`Delete ${name}? Apps referring to assets/${name} will no longer find it.`)) {
+      return
+    }
+
+    try {
+      await storage.deleteAsset(this.appId, assetId)
+      await this.reload()
+    } catch (err) {
+      alert('Failed to delete asset: ' + err.message)
+    }
+  }
+
+  async handleCopy(name) {
+    try {
+      await navigator.clipboard.writeText(`assets/${name}`)
+    } catch (err) {
+      console.warn('Failed to copy asset path:', err)
+    }
+  }
+
+  bindEvents() {
+    const fileInput = this.querySelector('.asset-file-input')
+    if (fileInput) {
+      fileInput.addEventListener('change', () => this.handleUpload([...fileInput.files]))
+    }
+
+    const uploadBtn = this.querySelector('[data-action="upload"]')
+    if (uploadBtn) {
+      uploadBtn.addEventListener('click', () => fileInput?.click())
+    }
+
+    this.querySelectorAll('[data-action="copy-path"]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleCopy(btn.dataset.name))
+    })
+
+    this.querySelectorAll('[data-action="delete-asset"]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleDelete(btn.dataset.assetId, btn.dataset.name))
+    })
+  }
+
+  render() {
+    this.innerHTML = `
+      <div class="assets-panel">
+        <div class="assets-header">
+          <p class="assets-note">
+            Images, fonts, data files and scripts the app can use as <code>assets/&lt;name&gt;</code>,
+            for example <code>&lt;img src="assets/logo.png"&gt;</code>. Up to ${formatSize(ASSET_MAX_SIZE)} each.
+          </p>
+          <input type="file" class="asset-file-input" multiple hidden>
+          <button data-action="upload" ${this.uploading ? 'disabled' : ''}>
+            ${this.uploading ? 'Uploading...' : 'Upload'}
+          </button>
+        </div>
+
+        ${this.error ? `
+          <div class="assets-error">${this.escapeHtml(this.error)}</div>
+        ` : this.loading ? `
+          <div class="assets-empty">Loading assets...</div>
+        ` : this.assets.length === 0 ? `
+          <div class="assets-empty">No assets yet.</div>
+        ` : `
+          <ul class="asset-list">
+            ${this.assets.map(asset => `
+              <li class="asset-item">
+                <span class="asset-name">${this.escapeHtml(asset.name)}</span>
+                <span class="asset-meta">${this.escapeHtml(asset.mimeType)} · ${formatSize(asset.size)}</span>
+                <button class="secondary small" data-action="copy-path" data-name="${this.escapeHtml(asset.name)}" title="Copy assets/${this.escapeHtml(asset.name)}">Copy path</button>
+                <button class="secondary small" data-action="delete-asset" data-asset-id="${asset.id}" data-name="${this.escapeHtml(asset.name)}">Delete</button>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+      </div>
+
+      <style>
+        .assets-panel {
+          flex: 1;
+          max-width: 800px;
+          background: white;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          overflow-y: auto;
+        }
+
+        .assets-header {
+          display: flex;
+          align-items: center;
+          gap: 16px;
+          padding: 12px 16px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .assets-note {
+          flex: 1;
+          margin: 0;
+          font-size: 13px;
+          color: #666;
+        }
+
+        .assets-empty {
+          padding: 24px 16px;
+          color: #666;
+          text-align: center;
+        }
+
+        .assets-error {
+          padding: 12px 16px;
+          color: #c62828;
+        }
+
+        .asset-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .asset-item {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          padding: 8px 16px;
+          border-bottom: 1px solid #f0f0f0;
+          font-size: 14px;
+        }
+
+        .asset-name {
+          flex: 1;
+          font-family: monospace;
+          word-break: break-all;
+        }
+
+        .asset-meta {
+          color: #888;
+          font-size: 12px;
+        }
+
+        .asset-item .small {
+          padding: 4px 10px;
+          font-size: 12px;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('app-assets', AppAssets)
@@ -0,0 +1,398 @@
+import { llm } from '../lib/llm.js'
+import { editPrompt } from '../lib/prompts.js'
+import { diffLines, collapseUnchanged } from '../lib/text-diff.js'
+import './settings-modal.js'
+
+// Lines that read or write session data in the message protocol
+const SESSION_CODE_PATTERN = /update-session|\.session\b|session-conflict|session-invalid/
+
+class AppAssistant extends HTMLElement {
+  constructor() {
+    super()
+    // The editor passes in its own array so the conversation survives re-renders
+    this.messages = []
+    this.loading = false
+    // { code, lines, warnings } for a revision awaiting accept/reject
+    this.proposal = null
+    this.manifest = null
+    // Set by the editor so requests include unsaved edits
+    this.getBuffer = () => ''
+  }
+
+  connectedCallback() {
+    this.render()
+  }
+
+  async handleSend() {
+    const input = this.querySelector('.assistant-input')
+    const text = input?.value?.trim()
+    if (!text || this.loading) return
+
+    if (!llm.isConfigured()) {
+      this.querySelector('settings-modal')?.open()
+      return
+    }
+
+    // A new request replaces a revision that wasn't accepted
+    this.proposal = null
+    this.messages.push({ role: 'user', text })
+    this.loading = true
+    this.render()
+
+    const buffer = this.getBuffer()
+    try {
+      const conversation = this.messages.filter(m => m.role !== 'note')
+      const response = await llm.chat(conversation, {
+        systemPrompt: editPrompt(buffer, this.manifest)
+      })
+      this.messages.push({ role: 'assistant', text: response })
+
+      const code = llm.extractCode(response)
+      if (code) {
+        this.proposal = this.buildProposal(buffer, code, response)
+      }
+    } catch (err) {
+      // Notes aren't sent back to the model
+      this.messages.push({ role: 'note', text: `Sorry, there was an error: ${err.message}` })
+    }
+
+    this.loading = false
+    this.render()
+    this.scrollToBottom()
+    this.notifyChange()
+  }
+
+  // Lets the editor keep the conversation with the app
+  notifyChange() {
+    this.dispatchEvent(new CustomEvent('messages-change', {
+      detail: { messages: this.messages },
+      bubbles: true
+    }))
+  }
+
+  buildProposal(buffer, code, response) {
+    const lines = diffLines(buffer, code)
+    const warnings = []
+
+    // The model is asked to flag data shape changes itself
+    const declared = response.match(/^\s*DATA CHANGE:\s*(.+)$/m)
+    if (declared) {
+      warnings.push(declared[1].trim())
+    }
+
+    const changed = lines.filter(line => line.type !== 'same')
+    if (!declared && changed.some(line => SESSION_CODE_PATTERN.test(line.text))) {
+      warnings.push('This change edits the code that loads or saves session data.')
+    }
+
+    return { code, lines: collapseUnchanged(lines), warnings }
+  }
+
+  handleAccept() {
+    if (!this.proposal) return
+
+    this.dispatchEvent(new CustomEvent('accept', {
+      detail: { content: this.proposal.code },
+      bubbles: true
+    }))
+    this.proposal = null
+    this.messages.push({ role: 'note', text: 'Change applied to the editor. Save to keep it.' })
+    this.render()
+    this.notifyChange()
+  }
+
+  handleReject() {
+    this.proposal = null
+    this.messages.push({ role: 'note', text: 'Change discarded.' })
+    this.render()
+    this.notifyChange()
+  }
+
+  handleClose() {
+    this.dispatchEvent(new CustomEvent('close', { bubbles: true }))
+  }
+
+  scrollToBottom() {
+    const messages = this.querySelector('.assistant-messages')
+    if (messages) {
+      messages.scrollTop = messages.scrollHeight
+    }
+  }
+
+  formatMessage(text) {
+    return this.escapeHtml(text)
+      .replace(/```html[\s\S]*?```/g, '<span class="code-block">[Updated app code]</span>')
+      .replace(/\n/g, '<br>')
+  }
+
+  bindEvents() {
+    const input = this.querySelector('.assistant-input')
+    if (input) {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+          e.preventDefault()
+          this.handleSend()
+        }
+      })
+    }
+
+    const sendBtn = this.querySelector('[data-action="send"]')
+    if (sendBtn) {
+      sendBtn.addEventListener('click', () => this.handleSend())
+    }
+
+    const acceptBtn = this.querySelector('[data-action="accept"]')
+    if (acceptBtn) {
+      acceptBtn.addEventListener('click', () => this.handleAccept())
+    }
+
+    const rejectBtn = this.querySelector('[data-action="reject"]')
+    if (rejectBtn) {
+      rejectBtn.addEventListener('click', () => this.handleReject())
+    }
+
+    const closeBtn = this.querySelector('[data-action="close-assistant"]')
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.handleClose())
+    }
+  }
+
+  renderProposal() {
+    const { lines, warnings } = this.proposal
+    const changes = lines.filter(line => line.type === 'added' || line.type === 'removed').length
+
+    return `
+      <div class="proposal">
+        <div class="proposal-header">
+          <span>${changes === 0 ? 'No changes to the code' : `${changes} changed lines`}</span>
+          <div class="proposal-actions">
+            <button class="small" data-action="accept" ${changes === 0 ? 'disabled' : ''}>Accept</button>
+            <button class="secondary small" data-action="reject">Reject</button>
+          </div>
+        </div>
+        ${warnings.map(warning => `
+          <div class="proposal-warning">
+            ⚠ Saved sessions may be affected: ${this.escapeHtml(warning)}
+            Existing sessions may need a migration in the Manifest tab.
+          </div>
+        `).join('')}
+        <pre class="line-diff">${lines.map(line => `<span class="diff-line ${line.type}">${
+          line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : line.type === 'skip' ? '' : '  '
+        }${this.escapeHtml(line.text)}</span>`).join('\n')}</pre>
+      </div>
+    `
+  }
+
+  render() {
+    this.innerHTML = `
+      <div class="assistant-panel">
+        <div class="assistant-header">
+          <h3>Assistant</h3>
+          <button class="assistant-close" data-action="close-assistant" title="Close">&times;</button>
+        </div>
+
+        <div class="assistant-messages">
+          ${this.messages.length === 0 ? `
+            <p class="assistant-note">Describe a change, like "add a dark mode" or "store dates too". The current code, including unsaved edits, is sent along.</p>
+          ` : ''}
+          ${this.messages.map(msg => `
+            <div class="assistant-message ${msg.role}">${this.formatMessage(msg.text)}</div>
+          `).join('')}
+          ${this.loading ? '<div class="assistant-message assistant typing">Thinking...</div>' : ''}
+        </div>
+
+        ${this.proposal ? this.renderProposal() : ''}
+
+        <div class="assistant-input-row">
+          <textarea class="assistant-input" rows="2" placeholder="What should change?" ${this.loading ? 'disabled' : ''}></textarea>
+          <button class="small" data-action="send" ${this.loading ? 'disabled' : ''}>Send</button>
+        </div>
+
+        <settings-modal></settings-modal>
+      </div>
+
+      <style>
+        .assistant-panel {
+          display: flex;
+          flex-direction: column;
+          height: 100%;
+          background: white;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          overflow: hidden;
+        }
+
+        .assistant-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 8px 12px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .assistant-header h3 {
+          margin: 0;
+          font-size: 14px;
+        }
+
+        .assistant-close {
+          background: none;
+          border: none;
+          font-size: 20px;
+          color: #666;
+          padding: 0;
+          line-height: 1;
+        }
+
+        .assistant-close:hover {
+          background: none;
+        }
+
+        .assistant-messages {
+          flex: 1;
+          overflow-y: auto;
+          padding: 12px;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          font-size: 13px;
+        }
+
+        .assistant-note {
+          margin: 0;
+          color: #666;
+        }
+
+        .assistant-message {
+          padding: 8px 10px;
+          border-radius: 8px;
+          line-height: 1.4;
+          max-width: 90%;
+        }
+
+        .assistant-message.user {
+          align-self: flex-end;
+          background: #4285f4;
+          color: white;
+        }
+
+        .assistant-message.assistant {
+          align-self: flex-start;
+          background: #f1f3f4;
+        }
+
+        .assistant-message.note {
+          align-self: center;
+          color: #888;
+          font-size: 12px;
+        }
+
+        .assistant-message.typing {
+          color: #666;
+          font-style: italic;
+        }
+
+        .code-block {
+          display: inline-block;
+          padding: 2px 8px;
+          background: #e8f0fe;
+          border-radius: 4px;
+          font-size: 12px;
+        }
+
+        .proposal {
+          max-height: 50%;
+          display: flex;
+          flex-direction: column;
+          border-top: 1px solid #eee;
+        }
+
+        .proposal-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 8px 12px;
+          font-size: 13px;
+        }
+
+        .proposal-actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .small {
+          padding: 6px 12px;
+          font-size: 12px;
+        }
+
+        .proposal-warning {
+          margin: 0 12px 8px;
+          padding: 8px 10px;
+          background: #fff3cd;
+          color: #8a6d00;
+          border-radius: 4px;
+          font-size: 12px;
+        }
+
+        .line-diff {
+          flex: 1;
+          overflow: auto;
+          margin: 0;
+          padding: 8px 0;
+          font-size: 12px;
+          line-height: 1.4;
+          border-top: 1px solid #eee;
+        }
+
+        .diff-line {
+          display: block;
+          padding: 0 12px;
+          white-space: pre;
+        }
+
+        .diff-line.added {
+          background: #e6ffed;
+        }
+
+        .diff-line.removed {
+          background: #ffeef0;
+        }
+
+        .diff-line.skip {
+          color: #999;
+          background: #f8f9fa;
+        }
+
+        .assistant-input-row {
+          display: flex;
+          gap: 8px;
+          padding: 8px 12px;
+          border-top: 1px solid #eee;
+        }
+
+        .assistant-input {
+          flex: 1;
+          padding: 6px 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-family: inherit;
+          font-size: 13px;
+          resize: none;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('app-assistant', AppAssistant)
@@ -1,6 +1,15 @@
-import { geminiClient } from '../lib/gemini-client.js'
-import { driveClient } from '../lib/drive-client.js'
+import { llm } from '../lib/llm.js'
+import { storage } from '../lib/storage.js'
+import { repairPrompt } from '../lib/prompts.js'
+import { checkProtocol } from '../lib/protocol-check.js'
+import { manifestFromSuggestion } from '../lib/manifest.js'
 import './settings-modal.js'
+import './code-editor.js'
+
+const DRAFT_SAVE_DELAY = 1000
+const DRAFT_TITLE_LENGTH = 60
+// Fix-up requests sent automatically before showing a broken app anyway
+const MAX_REPAIR_TURNS = 2
 
 class AppCreator extends HTMLElement {
   constructor() {
@@ -8,13 +17,30 @@ class AppCreator extends HTMLElement {
     this.messages = []
     this.loading = false
     this.generatedCode = null
+    // Manifest block from the model's reply: name, description, params, sessionSchema
+    this.suggestedManifest = null
     this.showPreview = false
     this.showManualInput = false
     this.manualCode = ''
+    this.appName = ''
+    this.abortController = null
+    this.checking = false
+    // Protocol problems still present after the repair turns ran out
+    this.protocolProblems = []
+    // Assigned when there is first something worth keeping
+    this.draftId = null
+    this.loadingDraft = false
+    this.saveDraftTimeout = null
   }
 
   connectedCallback() {
-    // Start with Gemini's greeting
+    this.draftId = this.getAttribute('draft-id')
+    if (this.draftId) {
+      this.loadDraft()
+      return
+    }
+
+    // Start with the assistant's greeting
     this.messages = [{
       role: 'assistant',
       text: "Hi! I'll help you create a simple app. What would you like to build?\n\nFor example:\n- A todo list\n- A habit tracker\n- A simple calculator\n- A note-taking app"
@@ -22,13 +48,114 @@ class AppCreator extends HTMLElement {
     this.render()
   }
 
+  disconnectedCallback() {
+    // Don't lose edits still waiting for the debounce
+    if (this.saveDraftTimeout) {
+      this.saveDraft()
+    }
+  }
+
+  // ============ Drafts ============
+
+  async loadDraft() {
+    this.loadingDraft = true
+    this.render()
+
+    try {
+      const draft = await storage.getDraft(this.draftId)
+      if (!draft) {
+        throw new Error('Draft not found')
+      }
+      this.messages = draft.messages || []
+      this.generatedCode = draft.generatedCode || null
+      this.suggestedManifest = draft.suggestedManifest || null
+      this.manualCode = draft.manualCode || ''
+      this.appName = draft.appName || ''
+      this.protocolProblems = draft.protocolProblems || []
+      this.showPreview = !!draft.showPreview
+      this.showManualInput = !!draft.showManualInput
+    } catch (err) {
+      alert('Failed to load draft: ' + err.message)
+      window.location.hash = '#/create'
+      return
+    }
+
+    this.loadingDraft = false
+    this.render()
+    this.scrollToBottom()
+  }
+
+  hasDraftContent() {
+    return this.messages.some(m => m.role === 'user') || !!this.manualCode.trim()
+  }
+
+  draftTitle() {
+    const first = this.messages.find(m => m.role === 'user')
+    if (!first) return 'Pasted code'
+
+    const line = first.text.split('\n')[0].trim()
+    return line.length > DRAFT_TITLE_LENGTH ? line.slice(0, DRAFT_TITLE_LENGTH) + '…' : line
+  }
+
+  async saveDraft() {
+    clearTimeout(this.saveDraftTimeout)
+    this.saveDraftTimeout = null
+    if (!this.hasDraftContent()) return
+
+    if (!this.draftId) {
+      this.draftId = crypto.randomUUID()
+      // Reloading now reopens the draft; replaceState doesn't re-run the router
+      history.replaceState(null, '', `#/create/${this.draftId}`)
+    }
+
+    try {
+      await storage.saveDraft({
+        id: this.draftId,
+        title: this.draftTitle(),
+        modifiedTime: new Date().toISOString(),
+        messages: this.messages,
+        generatedCode: this.generatedCode,
+        suggestedManifest: this.suggestedManifest,
+        manualCode: this.manualCode,
+        appName: this.appName,
+        protocolProblems: this.protocolProblems,
+        showPreview: this.showPreview,
+        showManualInput: this.showManualInput
+      })
+    } catch (err) {
+      console.warn('Failed to save draft:', err)
+    }
+  }
+
+  scheduleDraftSave() {
+    clearTimeout(this.saveDraftTimeout)
+    this.saveDraftTimeout = setTimeout(() => this.saveDraft(), DRAFT_SAVE_DELAY)
+  }
+
+  async discardDraft() {
+    clearTimeout(this.saveDraftTimeout)
+    this.saveDraftTimeout = null
+    if (!this.draftId) return
+
+    const draftId = this.draftId
+    this.draftId = null
+    history.replaceState(null, '', '#/create')
+    try {
+      await storage.deleteDraft(draftId)
+    } catch (err) {
+      console.warn('Failed to delete draft:', err)
+    }
+  }
+
+  // ============ Chat ============
+
   async handleSend() {
     const input = this.querySelector('.chat-input')
     const text = input?.value?.trim()
     if (!text || this.loading) return
 
-    // Check for API key
-    if (!geminiClient.hasApiKey()) {
+    // Check the model provider is set up
+    if (!llm.isConfigured()) {
       const modal = this.querySelector('settings-modal')
       if (modal) modal.open()
       return
@@ -37,30 +164,109 @@ class AppCreator extends HTMLElement {
     // Add user message
     this.messages.push({ role: 'user', text })
     input.value = ''
+
     this.loading = true
-    this.render()
+    this.abortController = new AbortController()
 
     try {
-      // Send to Gemini
-      const response = await geminiClient.chat(this.messages)
-      this.messages.push({ role: 'assistant', text: response })
-
-      // Check if code was generated
-      const code = geminiClient.extractCode(response)
-      if (code) {
-        this.generatedCode = code
-        this.showPreview = true
+      let reply = await this.streamReply()
+
+      // Broken apps go back to the model a few times before the preview shows them
+      for (let turn = 0; llm.hasCode(reply); turn++) {
+        const code = llm.extractCode(reply)
+        // Repairs often resend only the HTML, so keep the last manifest block seen
+        this.suggestedManifest = llm.extractManifest(reply) || this.suggestedManifest
+
+        const problems = await this.checkCode(code)
+        if (problems.length === 0 || turn === MAX_REPAIR_TURNS) {
+          this.generatedCode = code
+          this.protocolProblems = problems
+          this.showPreview = true
+          if (!this.appName && typeof this.suggestedManifest?.name === 'string') {
+            this.appName = this.suggestedManifest.name.trim()
+          }
+          break
+        }
+
+        this.messages.push({ role: 'user', text: repairPrompt(problems), auto: true, problems })
+        reply = await this.streamReply()
       }
     } catch (err) {
-      this.messages.push({
-        role: 'assistant',
-        text: `Sorry, there was an error: ${err.message}`
-      })
+      const reply = this.messages[this.messages.length - 1]
+      if (err.name === 'AbortError') {
+        // Drop half-written code so it isn't mistaken for a finished app
+        const openBlock = this.findOpenBlock(reply.text)
+        if (openBlock !== -1) {
+          reply.text = reply.text.slice(0, openBlock)
+        }
+        reply.text = reply.text.trim() ? `${reply.text.trim()}\n\n(Stopped)` : '(Stopped)'
+      } else {
+        reply.text = `Sorry, there was an error: ${err.message}`
+      }
     }
 
+    this.abortController = null
     this.loading = false
     this.render()
     this.scrollToBottom()
+    this.saveDraft()
+  }
+
+  /**
+   * Stream the next assistant message into the chat
+   * @returns {Promise<string>} - The full reply text
+   */
+  async streamReply() {
+    // Filled in as the response streams
+    const reply = { role: 'assistant', text: '' }
+    this.messages.push(reply)
+    this.render()
+    this.scrollToBottom()
+
+    const stream = llm.stream(this.messages.slice(0, -1), { signal: this.abortController.signal })
+    for await (const chunk of stream) {
+      reply.text += chunk
+      this.updateStreamingMessage(reply.text)
+    }
+
+    return reply.text
+  }
+
+  async checkCode(code) {
+    this.checking = true
+    this.render()
+    this.scrollToBottom()
+
+    let problems = []
+    try {
+      problems = await checkProtocol(code, { manifest: this.buildManifest(this.appName || 'Untitled') })
+    } catch (err) {
+      // A broken checker shouldn't keep the user from their app
+      console.warn('Failed to check app:', err)
+    }
+
+    this.checking = false
+    // Stop pressed while checking
+    this.abortController.signal.throwIfAborted()
+    return problems
+  }
+
+  buildManifest(name) {
+    return manifestFromSuggestion(name, this.suggestedManifest)
+  }
+
+  handleStop() {
+    this.abortController?.abort()
+  }
+
+  // Update only the streaming message so the rest of the page isn't rebuilt per chunk
+  updateStreamingMessage(text) {
+    const content = this.querySelector('.message.streaming .message-content')
+    if (!content) return
+
+    content.classList.remove('typing')
+    content.innerHTML = this.formatMessage(text)
+    this.scrollToBottom()
   }
 
   async handleCreateApp() {
@@ -77,7 +283,10 @@ class AppCreator extends HTMLElement {
     this.render()
 
     try {
-      const app = await driveClient.createApp(name, code)
+      // Pasted code comes without a manifest block
+      const manifest = this.showManualInput ? null : this.buildManifest(name)
+      const app = await storage.createApp(name, code, manifest)
+      await this.attachConversation(app.id)
       window.location.hash = `#/app/${app.id}`
     } catch (err) {
       alert('Failed to create app: ' + err.message)
@@ -86,12 +295,27 @@ class AppCreator extends HTMLElement {
     }
   }
 
+  // The chat moves from the draft to the app so the editor's assistant can pick it up
+  async attachConversation(appId) {
+    try {
+      if (this.messages.some(m => m.role === 'user')) {
+        await storage.saveConversation(appId, this.messages)
+      }
+    } catch (err) {
+      console.warn('Failed to save conversation:', err)
+    }
+    await this.discardDraft()
+  }
+
   handleStartOver() {
+    this.discardDraft()
     this.messages = [{
       role: 'assistant',
       text: "Let's start fresh! What kind of app would you like to create?"
     }]
     this.generatedCode = null
+    this.suggestedManifest = null
+    this.protocolProblems = []
     this.showPreview = false
     this.render()
   }
@@ -99,17 +323,20 @@ class AppCreator extends HTMLElement {
   handleKeepRefining() {
     this.showPreview = false
     this.render()
+    this.saveDraft()
   }
 
   handleManualMode() {
     this.showManualInput = true
     this.showPreview = false
     this.render()
+    this.saveDraft()
   }
 
   handleBackToChat() {
     this.showManualInput = false
     this.render()
+    this.saveDraft()
   }
 
   handleManualInput(value) {
@@ -118,6 +345,12 @@ class AppCreator extends HTMLElement {
     if (value.includes('<html') || value.includes('<!DOCTYPE')) {
       this.generatedCode = value
     }
+    this.scheduleDraftSave()
+  }
+
+  handleNameInput(value) {
+    this.appName = value
+    this.scheduleDraftSave()
   }
 
   handleBack() {
@@ -142,6 +375,11 @@ class AppCreator extends HTMLElement {
       sendBtn.addEventListener('click', () => this.handleSend())
     }
 
+    const stopBtn = this.querySelector('[data-action="stop"]')
+    if (stopBtn) {
+      stopBtn.addEventListener('click', () => this.handleStop())
+    }
+
     const input = this.querySelector('.chat-input')
     if (input) {
       input.addEventListener('keydown', (e) => {
@@ -179,9 +417,15 @@ class AppCreator extends HTMLElement {
       backToChatBtn.addEventListener('click', () => this.handleBackToChat())
     }
 
-    const manualTextarea = this.querySelector('.manual-input')
-    if (manualTextarea) {
-      manualTextarea.addEventListener('input', (e) => this.handleManualInput(e.target.value))
+    const manualEditor = this.querySelector('.manual-input')
+    if (manualEditor) {
+      manualEditor.value = this.manualCode
+      manualEditor.addEventListener('code-change', (e) => this.handleManualInput(e.detail.value))
+    }
+
+    const nameInput = this.querySelector('.app-name-input')
+    if (nameInput) {
+      nameInput.addEventListener('input', (e) => this.handleNameInput(e.target.value))
     }
 
     const backBtn = this.querySelector('[data-action="back"]')
@@ -195,16 +439,35 @@ class AppCreator extends HTMLElement {
     }
   }
 
+  // Start of a code block that hasn't closed yet, or -1
+  findOpenBlock(text) {
+    const fences = [...text.matchAll(/```/g)]
+    return fences.length % 2 === 1 ? fences[fences.length - 1].index : -1
+  }
+
   formatMessage(text) {
+    // A code block that hasn't closed yet is still streaming in
+    let progress = ''
+    const openBlock = this.findOpenBlock(text)
+    if (openBlock !== -1) {
+      const block = text.slice(openBlock)
+      const lines = block.split('\n').length - 1
+      progress = block.startsWith('```json')
+        ? '<span class="code-block generating">Writing app settings…</span>'
+        : `<span class="code-block generating">Writing app code… ${lines} lines</span>`
+      text = text.slice(0, openBlock)
+    }
+
     // Simple formatting: convert code blocks to styled spans
-    return text
+    return this.escapeHtml(text)
       .replace(/```html[\s\S]*?```/g, '<span class="code-block">[Generated App Code]</span>')
+      .replace(/```json[\s\S]*?```/g, '<span class="code-block">[App Settings]</span>')
       .replace(/```[\s\S]*?```/g, '<span class="code-inline">$&</span>')
-      .replace(/\n/g, '<br>')
+      .replace(/\n/g, '<br>') + progress
   }
 
   render() {
-    const hasKey = geminiClient.hasApiKey()
+    const configured = llm.isConfigured()
 
     this.innerHTML = `
       <div class="creator">
@@ -214,24 +477,26 @@ class AppCreator extends HTMLElement {
           <button class="icon-btn" data-action="settings" title="Settings">⚙️</button>
         </header>
 
-        ${!hasKey ? `
+        ${!configured ? `
           <div class="no-key-banner">
-            <p>To use AI app generation, please add your Gemini API key in settings.</p>
+            <p>To use AI app generation, please set up an AI provider in settings.</p>
             <button data-action="settings">Open Settings</button>
             <button class="secondary" data-action="manual">Or paste code manually</button>
           </div>
         ` : ''}
 
-        ${this.showManualInput ? `
+        ${this.loadingDraft ? `
+          <div class="loading-draft">Loading draft...</div>
+        ` : this.showManualInput ? `
           <div class="manual-mode">
             <div class="manual-header">
               <button class="secondary" data-action="back-to-chat">← Back to AI Chat</button>
               <h3>Paste Your App Code</h3>
             </div>
-            <textarea class="manual-input" placeholder="Paste your HTML app code here...">${this.escapeHtml(this.manualCode)}</textarea>
+            <code-editor class="manual-input" placeholder="Paste your HTML app code here..."></code-editor>
             ${this.generatedCode ? `
               <div class="create-section">
-                <input type="text" class="app-name-input" placeholder="App name">
+                <input type="text" class="app-name-input" placeholder="App name" value="${this.escapeAttr(this.appName)}">
                 <button data-action="create" ${this.loading ? 'disabled' : ''}>
                   ${this.loading ? 'Creating...' : 'Create App'}
                 </button>
@@ -242,6 +507,12 @@ class AppCreator extends HTMLElement {
           <div class="preview-mode">
             <div class="preview-container">
               <h3>Preview</h3>
+              ${this.protocolProblems.length > 0 ? `
+                <div class="protocol-warning">
+                  ⚠ This app may not load or save data correctly:
+                  <ul>${this.protocolProblems.map(p => `<li>${this.escapeHtml(p)}</li>`).join('')}</ul>
+                </div>
+              ` : ''}
               <iframe
                 class="preview-iframe"
                 sandbox="allow-scripts"
@@ -249,7 +520,7 @@ class AppCreator extends HTMLElement {
               ></iframe>
             </div>
             <div class="preview-actions">
-              <input type="text" class="app-name-input" placeholder="App name">
+              <input type="text" class="app-name-input" placeholder="App name" value="${this.escapeAttr(this.appName)}">
               <div class="button-row">
                 <button data-action="create" ${this.loading ? 'disabled' : ''}>
                   ${this.loading ? 'Creating...' : 'Create App'}
@@ -262,14 +533,29 @@ class AppCreator extends HTMLElement {
         ` : `
           <div class="chat-container">
             <div class="chat-messages">
-              ${this.messages.map(msg => `
-                <div class="message ${msg.role}">
-                  <div class="message-content">${this.formatMessage(msg.text)}</div>
-                </div>
-              `).join('')}
-              ${this.loading ? `
-                <div class="message assistant">
-                  <div class="message-content typing">Thinking...</div>
+              ${this.messages.map((msg, i) => {
+                const streaming = this.loading && !this.checking && i === this.messages.length - 1
+                if (msg.auto) {
+                  return `
+                    <div class="message auto">
+                      <div class="message-content">
+                        The app failed the protocol check, asking for a fix:
+                        <ul>${msg.problems.map(p => `<li>${this.escapeHtml(p)}</li>`).join('')}</ul>
+                      </div>
+                    </div>
+                  `
+                }
+                return `
+                  <div class="message ${msg.role} ${streaming ? 'streaming' : ''}">
+                    <div class="message-content ${streaming && !msg.text ? 'typing' : ''}">${
+                      streaming && !msg.text ? 'Thinking...' : this.formatMessage(msg.text)
+                    }</div>
+                  </div>
+                `
+              }).join('')}
+              ${this.checking ? `
+                <div class="message auto">
+                  <div class="message-content typing">Checking the app...</div>
                 </div>
               ` : ''}
             </div>
@@ -279,7 +565,11 @@ class AppCreator extends HTMLElement {
                 placeholder="Describe what you want to build..."
                 rows="2"
               ></textarea>
-              <button data-action="send" ${this.loading ? 'disabled' : ''}>Send</button>
+              ${this.loading ? `
+                <button class="secondary" data-action="stop">Stop</button>
+              ` : `
+                <button data-action="send">Send</button>
+              `}
             </div>
             <div class="chat-options">
               <button class="link-btn" data-action="manual">Paste code manually instead</button>
@@ -381,6 +671,32 @@ class AppCreator extends HTMLElement {
           box-shadow: 0 1px 2px rgba(0,0,0,0.1);
         }
 
+        .message.auto {
+          justify-content: center;
+        }
+
+        .message.auto .message-content {
+          padding: 8px 12px;
+          color: #8a6d00;
+          background: #fff8e1;
+          font-size: 13px;
+        }
+
+        .message.auto ul,
+        .protocol-warning ul {
+          margin: 4px 0 0;
+          padding-left: 20px;
+        }
+
+        .protocol-warning {
+          margin-bottom: 8px;
+          padding: 8px 12px;
+          background: #fff3cd;
+          color: #8a6d00;
+          border-radius: 4px;
+          font-size: 13px;
+        }
+
         .typing {
           color: #666;
           font-style: italic;
@@ -396,6 +712,16 @@ class AppCreator extends HTMLElement {
           font-family: monospace;
         }
 
+        .code-block.generating {
+          background: #e8f0fe;
+          color: #1967d2;
+          animation: pulse 1.5s ease-in-out infinite;
+        }
+
+        @keyframes pulse {
+          50% { opacity: 0.6; }
+        }
+
         .chat-input-row {
           display: flex;
           gap: 12px;
@@ -464,6 +790,12 @@ class AppCreator extends HTMLElement {
           padding: 16px 0;
         }
 
+        .loading-draft {
+          padding: 40px 20px;
+          text-align: center;
+          color: #666;
+        }
+
         .app-name-input {
           width: 100%;
           padding: 12px;
@@ -498,12 +830,10 @@ class AppCreator extends HTMLElement {
 
         .manual-input {
           flex: 1;
-          padding: 16px;
-          font-family: monospace;
-          font-size: 14px;
+          min-height: 0;
           border: 1px solid #ddd;
           border-radius: 8px;
-          resize: none;
+          overflow: hidden;
         }
 
         .create-section {
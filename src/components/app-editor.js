@@ -1,4 +1,17 @@
-import { driveClient } from '../lib/drive-client.js'
+import { storage } from '../lib/storage.js'
+import { addTag, bumpVersion, PERMISSIONS } from '../lib/manifest.js'
+import { checkParamDeclarations } from '../lib/params.js'
+import { checkSchema } from '../lib/json-schema.js'
+import './app-history.js'
+import './app-preview.js'
+import './code-editor.js'
+import './app-assistant.js'
+import './app-assets.js'
+import './export-dialog.js'
+import './publish-dialog.js'
+
+const PREVIEW_WIDTH_KEY = 'tiny_app_preview_width'
+const PREVIEW_MIN_WIDTH = 240
 
 class AppEditor extends HTMLElement {
   constructor() {
@@ -6,9 +19,18 @@ class AppEditor extends HTMLElement {
     this.appId = null
     this.appHtml = ''
     this.manifest = null
+    this.params = {}
     this.loading = true
     this.saving = false
     this.dirty = false
+    this.showHistory = false
+    this.showPreview = true
+    this.showAssistant = false
+    this.assistantMessages = []
+    this.previewWidth = Number(localStorage.getItem(PREVIEW_WIDTH_KEY)) || 480
+    this.tab = 'html'
+    this.manifestDraft = null
+    this.manifestDirty = false
     this._mounted = false
   }
 
@@ -38,65 +60,350 @@ class AppEditor extends HTMLElement {
     this.loading = true
     this.render()
 
+    if (!(await this.checkEditAccess())) return
+
     try {
-      const files = await driveClient.getAppFiles(this.appId)
+      const files = await storage.getAppFiles(this.appId)
       this.appHtml = files.appHtml || ''
       this.manifest = files.manifest || { name: 'Untitled', params: {}, sessionSchema: {} }
+      this.params = files.params || {}
     } catch (err) {
       console.error('Failed to load app:', err)
       alert('Failed to load app: ' + err.message)
     }
+    await this.loadConversation()
 
     this.loading = false
     this.dirty = false
+    this.resetManifestDraft()
     this.render()
   }
 
+  // Apps shared for viewing only can be run but not changed
+  async checkEditAccess() {
+    let access
+    try {
+      access = await storage.getAppAccess(this.appId)
+    } catch (err) {
+      // Drive still refuses saves that aren't allowed
+      console.warn('Failed to check app access:', err)
+      return true
+    }
+
+    if (!access.canEdit) {
+      alert('This app was shared with you for running only.')
+      window.location.hash = `#/app/${this.appId}`
+      return false
+    }
+    return true
+  }
+
+  // Picks up the chat from the creator, or from earlier assistant use
+  async loadConversation() {
+    try {
+      this.assistantMessages = await storage.getConversation(this.appId)
+    } catch (err) {
+      console.warn('Failed to load conversation:', err)
+      this.assistantMessages = []
+    }
+  }
+
+  async handleConversationChange(messages) {
+    try {
+      await storage.saveConversation(this.appId, messages)
+    } catch (err) {
+      console.warn('Failed to save conversation:', err)
+    }
+  }
+
+  // ============ Manifest tab ============
+
+  // Form state for the manifest tab; JSON fields are kept as text until saved
+  resetManifestDraft() {
+    const manifest = this.manifest || {}
+    this.manifestDraft = {
+      name: manifest.name || '',
+      version: manifest.version || '',
+      description: manifest.description || '',
+      icon: manifest.icon || '',
+      permissions: Array.isArray(manifest.permissions) ? [...manifest.permissions] : ['modals'],
+      paramsText: JSON.stringify(manifest.params || {}, null, 2),
+      schemaText: JSON.stringify(manifest.sessionSchema || {}, null, 2)
+    }
+    this.manifestDirty = false
+  }
+
+  parseJsonField(text) {
+    if (!text.trim()) return { value: {} }
+    try {
+      return { value: JSON.parse(text) }
+    } catch (err) {
+      return { error: err.message }
+    }
+  }
+
+  /**
+   * Problems that would make the draft unusable, keyed by field
+   * @returns {Object<string, Array<string>>}
+   */
+  getManifestProblems() {
+    const draft = this.manifestDraft
+    const params = this.parseJsonField(draft.paramsText)
+    const schema = this.parseJsonField(draft.schemaText)
+
+    return {
+      name: draft.name.trim() ? [] : ['Name is required'],
+      version: draft.version.trim() ? [] : ['Version is required'],
+      paramsText: params.error ? [params.error] : checkParamDeclarations(params.value),
+      schemaText: schema.error ? [schema.error] : checkSchema(schema.value)
+    }
+  }
+
+  hasManifestProblems() {
+    return Object.values(this.getManifestProblems()).some(problems => problems.length > 0)
+  }
+
+  buildManifest() {
+    const draft = this.manifestDraft
+    const manifest = {
+      ...this.manifest,
+      name: draft.name.trim(),
+      version: draft.version.trim(),
+      description: draft.description.trim(),
+      icon: draft.icon.trim(),
+      permissions: draft.permissions,
+      params: this.parseJsonField(draft.paramsText).value,
+      sessionSchema: this.parseJsonField(draft.schemaText).value
+    }
+
+    for (const key of ['description', 'icon']) {
+      if (!manifest[key]) delete manifest[key]
+    }
+    return manifest
+  }
+
+  handleManifestInput(field, value) {
+    this.manifestDraft[field] = value
+    this.manifestDirty = true
+    this.updateSaveButton()
+    this.updateManifestProblems()
+  }
+
+  handlePermissionToggle(permission, enabled) {
+    const permissions = this.manifestDraft.permissions.filter(p => p !== permission)
+    this.manifestDraft.permissions = enabled ? [...permissions, permission] : permissions
+    this.manifestDirty = true
+    this.updateSaveButton()
+  }
+
+  // Update the inline messages without re-rendering the field being typed in
+  updateManifestProblems() {
+    const problems = this.getManifestProblems()
+    this.querySelectorAll('[data-problems-for]').forEach(el => {
+      const list = problems[el.dataset.problemsFor] || []
+      el.innerHTML = list.map(p => `<div>${this.escapeHtml(p)}</div>`).join('')
+      this.querySelector(`[data-field="${el.dataset.problemsFor}"]`)?.classList.toggle('invalid', list.length > 0)
+    })
+  }
+
+  async saveManifestDraft() {
+    const manifest = this.buildManifest()
+    const renamed = manifest.name !== this.manifest.name
+
+    await storage.saveManifest(this.appId, manifest)
+    // The library lists apps by folder name, so keep it in step with the manifest
+    if (renamed) {
+      await storage.renameApp(this.appId, manifest.name)
+    }
+
+    this.manifest = manifest
+    this.manifestDirty = false
+    this.querySelector('app-preview')?.setManifest(manifest)
+
+    const title = this.querySelector('.editor-header h2')
+    if (title) {
+      title.textContent = this.formatTitle()
+    }
+  }
+
+  handleTabChange(tab) {
+    if (tab === this.tab) return
+    this.tab = tab
+    this.render()
+  }
+
+  formatTitle() {
+    const name = this.manifest?.name || 'Loading...'
+    return this.manifest?.icon ? `${this.manifest.icon} ${name}` : name
+  }
+
   handleInput(value) {
     this.appHtml = value
     this.dirty = true
     this.updateSaveButton()
+    this.querySelector('app-preview')?.setSource(value)
+  }
+
+  // ============ Preview ============
+
+  handleTogglePreview() {
+    this.showPreview = !this.showPreview
+    this.render()
+  }
+
+  // Drag the handle between the code and the preview to resize
+  startResize(event, handle) {
+    const preview = this.querySelector('app-preview')
+    const content = this.querySelector('.editor-content')
+    if (!preview || !content) return
+
+    handle.setPointerCapture(event.pointerId)
+    const right = preview.getBoundingClientRect().right
+    const maxWidth = content.clientWidth - PREVIEW_MIN_WIDTH
+
+    const onMove = (e) => {
+      this.previewWidth = Math.max(PREVIEW_MIN_WIDTH, Math.min(maxWidth, right - e.clientX))
+      preview.style.width = `${this.previewWidth}px`
+    }
+    const onUp = () => {
+      handle.removeEventListener('pointermove', onMove)
+      handle.removeEventListener('pointerup', onUp)
+      localStorage.setItem(PREVIEW_WIDTH_KEY, String(Math.round(this.previewWidth)))
+    }
+
+    handle.addEventListener('pointermove', onMove)
+    handle.addEventListener('pointerup', onUp)
   }
 
   updateSaveButton() {
     const btn = this.querySelector('[data-action="save"]')
     if (btn) {
-      btn.textContent = this.dirty ? 'Save *' : 'Save'
+      btn.textContent = this.isDirty() ? 'Save *' : 'Save'
       btn.disabled = this.saving
     }
   }
 
+  isDirty() {
+    return this.dirty || this.manifestDirty
+  }
+
   async handleSave() {
     if (this.saving) return
 
+    if (this.manifestDirty && this.hasManifestProblems()) {
+      alert('Fix the problems in the manifest before saving.')
+      this.handleTabChange('manifest')
+      return
+    }
+
     this.saving = true
     this.updateSaveButton()
 
     try {
-      await driveClient.saveAppHtml(this.appId, this.appHtml)
-      this.dirty = false
+      // Save writes app.html unless only the manifest changed
+      if (this.dirty || !this.manifestDirty) {
+        await storage.saveAppHtml(this.appId, this.appHtml)
+        this.dirty = false
+      }
+      if (this.manifestDirty) {
+        await this.saveManifestDraft()
+      }
     } catch (err) {
       alert('Failed to save: ' + err.message)
     }
 
     this.saving = false
     this.updateSaveButton()
+
+    // The save created a new revision
+    const history = this.querySelector('app-history')
+    if (history && !this.dirty) {
+      history.reload()
+    }
+  }
+
+  handleToggleHistory() {
+    this.showHistory = !this.showHistory
+    this.render()
+  }
+
+  handleToggleAssistant() {
+    this.showAssistant = !this.showAssistant
+    this.render()
+  }
+
+  handleRollback(content) {
+    this.replaceBuffer(content)
+  }
+
+  // Put new content in the editor as an unsaved change
+  replaceBuffer(content) {
+    this.appHtml = content
+    this.dirty = true
+
+    const codeEditor = this.querySelector('.code-input')
+    if (codeEditor) {
+      codeEditor.value = content
+    }
+    this.querySelector('app-preview')?.setSource(content)
+    this.updateSaveButton()
+    this.querySelector('app-history')?.render()
+  }
+
+  async handleTag(revisionId) {
+    const label = prompt('Label for this version:')
+    if (!label) return
+
+    const version = prompt('Version number:', bumpVersion(this.manifest.version))
+    if (version === null) return
+
+    const manifest = addTag(this.manifest, { revisionId, label, version: version.trim() })
+
+    try {
+      await storage.saveManifest(this.appId, manifest)
+      this.manifest = manifest
+      this.manifestDraft.version = manifest.version
+      this.querySelector('app-history')?.setTags(manifest.tags)
+    } catch (err) {
+      alert('Failed to tag version: ' + err.message)
+      return
+    }
+
+    try {
+      await storage.keepAppHtmlRevision(this.appId, revisionId)
+    } catch (err) {
+      console.warn('Failed to pin tagged revision:', err)
+    }
   }
 
   handleBack() {
-    if (this.dirty && !confirm('You have unsaved changes. Leave anyway?')) {
+    if (this.isDirty() && !confirm('You have unsaved changes. Leave anyway?')) {
       return
     }
     window.location.hash = '#/'
   }
 
   handleRun() {
-    if (this.dirty && !confirm('You have unsaved changes. Run anyway?')) {
+    if (this.isDirty() && !confirm('You have unsaved changes. Run anyway?')) {
       return
     }
     window.location.hash = `#/app/${this.appId}`
   }
 
+  handleExport() {
+    if (this.isDirty() && !confirm('You have unsaved changes, which will not be exported. Export anyway?')) {
+      return
+    }
+    this.querySelector('export-dialog').open(this.appId, this.manifest?.name || 'app')
+  }
+
+  handlePublish() {
+    if (this.isDirty() && !confirm('You have unsaved changes, which will not be published. Publish anyway?')) {
+      return
+    }
+    this.querySelector('publish-dialog').open(this.appId, this.manifest?.name || 'app')
+  }
+
   bindEvents() {
     const backBtn = this.querySelector('[data-action="back"]')
     if (backBtn) {
@@ -108,15 +415,153 @@ class AppEditor extends HTMLElement {
       runBtn.addEventListener('click', () => this.handleRun())
     }
 
+    const exportBtn = this.querySelector('[data-action="export"]')
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.handleExport())
+    }
+
+    const publishBtn = this.querySelector('[data-action="publish"]')
+    if (publishBtn) {
+      publishBtn.addEventListener('click', () => this.handlePublish())
+    }
+
     const saveBtn = this.querySelector('[data-action="save"]')
     if (saveBtn) {
       saveBtn.addEventListener('click', () => this.handleSave())
     }
 
-    const textarea = this.querySelector('.code-input')
-    if (textarea) {
-      textarea.addEventListener('input', (e) => this.handleInput(e.target.value))
+    const codeEditor = this.querySelector('.code-input')
+    if (codeEditor) {
+      codeEditor.value = this.appHtml
+      codeEditor.addEventListener('code-change', (e) => this.handleInput(e.detail.value))
+      codeEditor.addEventListener('save', () => this.handleSave())
+    }
+
+    const historyBtn = this.querySelector('[data-action="history"]')
+    if (historyBtn) {
+      historyBtn.addEventListener('click', () => this.handleToggleHistory())
+    }
+
+    const assistantBtn = this.querySelector('[data-action="assistant"]')
+    if (assistantBtn) {
+      assistantBtn.addEventListener('click', () => this.handleToggleAssistant())
+    }
+
+    const assistant = this.querySelector('app-assistant')
+    if (assistant) {
+      assistant.getBuffer = () => this.appHtml
+      assistant.manifest = this.manifest
+      assistant.messages = this.assistantMessages
+      assistant.render()
+      assistant.addEventListener('accept', (e) => this.replaceBuffer(e.detail.content))
+      assistant.addEventListener('close', () => this.handleToggleAssistant())
+      assistant.addEventListener('messages-change', (e) => this.handleConversationChange(e.detail.messages))
+    }
+
+    const previewBtn = this.querySelector('[data-action="preview"]')
+    if (previewBtn) {
+      previewBtn.addEventListener('click', () => this.handleTogglePreview())
+    }
+
+    const splitHandle = this.querySelector('.split-handle')
+    if (splitHandle) {
+      splitHandle.addEventListener('pointerdown', (e) => this.startResize(e, splitHandle))
+    }
+
+    const preview = this.querySelector('app-preview')
+    if (preview) {
+      preview.open({ appId: this.appId, manifest: this.manifest, params: this.params, html: this.appHtml })
     }
+
+    this.querySelectorAll('[data-tab]').forEach(tab => {
+      tab.addEventListener('click', () => this.handleTabChange(tab.dataset.tab))
+    })
+
+    this.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('input', () => this.handleManifestInput(input.dataset.field, input.value))
+    })
+
+    this.querySelectorAll('[data-permission]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => this.handlePermissionToggle(checkbox.dataset.permission, checkbox.checked))
+    })
+
+    const history = this.querySelector('app-history')
+    if (history) {
+      history.getBuffer = () => this.appHtml
+      history.addEventListener('rollback', (e) => this.handleRollback(e.detail.content))
+      history.addEventListener('tag', (e) => this.handleTag(e.detail.revisionId))
+      history.addEventListener('close', () => this.handleToggleHistory())
+      history.open(this.appId, this.manifest?.tags)
+    }
+
+    this.querySelector('app-assets')?.open(this.appId)
+  }
+
+  renderProblems(field) {
+    const problems = this.getManifestProblems()[field] || []
+    return `<div class="field-problems" data-problems-for="${field}">${
+      problems.map(p => `<div>${this.escapeHtml(p)}</div>`).join('')
+    }</div>`
+  }
+
+  renderManifestForm() {
+    const draft = this.manifestDraft
+    const problems = this.getManifestProblems()
+
+    return `
+      <div class="manifest-form">
+        <div class="form-row">
+          <div class="form-field">
+            <label class="field-label" for="manifest-name">Name</label>
+            <input id="manifest-name" type="text" data-field="name" value="${this.escapeHtml(draft.name)}"
+              class="${problems.name.length ? 'invalid' : ''}">
+            ${this.renderProblems('name')}
+          </div>
+          <div class="form-field narrow">
+            <label class="field-label" for="manifest-version">Version</label>
+            <input id="manifest-version" type="text" data-field="version" value="${this.escapeHtml(draft.version)}"
+              class="${problems.version.length ? 'invalid' : ''}">
+            ${this.renderProblems('version')}
+          </div>
+          <div class="form-field narrow">
+            <label class="field-label" for="manifest-icon">Icon</label>
+            <input id="manifest-icon" type="text" data-field="icon" value="${this.escapeHtml(draft.icon)}" placeholder="e.g. 📋">
+          </div>
+        </div>
+
+        <div class="form-field">
+          <label class="field-label" for="manifest-description">Description</label>
+          <textarea id="manifest-description" class="description-input" data-field="description" rows="2">${this.escapeHtml(draft.description)}</textarea>
+        </div>
+
+        <div class="form-field">
+          <span class="field-label">Permissions</span>
+          <div class="permission-list">
+            ${Object.entries(PERMISSIONS).map(([key, permission]) => `
+              <label class="permission">
+                <input type="checkbox" data-permission="${key}" ${draft.permissions.includes(key) ? 'checked' : ''}>
+                ${this.escapeHtml(permission.label)}
+              </label>
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="form-row json-row">
+          <div class="form-field">
+            <label class="field-label" for="manifest-params">Params</label>
+            <textarea id="manifest-params" class="json-input ${problems.paramsText.length ? 'invalid' : ''}"
+              data-field="paramsText" spellcheck="false">${this.escapeHtml(draft.paramsText)}</textarea>
+            ${this.renderProblems('paramsText')}
+          </div>
+          <div class="form-field">
+            <label class="field-label" for="manifest-schema">Session schema</label>
+            <textarea id="manifest-schema" class="json-input ${problems.schemaText.length ? 'invalid' : ''}"
+              data-field="schemaText" spellcheck="false">${this.escapeHtml(draft.schemaText)}</textarea>
+            ${this.renderProblems('schemaText')}
+          </div>
+        </div>
+      </div>
+    `
   }
 
   render() {
@@ -124,11 +569,18 @@ class AppEditor extends HTMLElement {
       <div class="editor">
         <header class="editor-header">
           <button class="secondary" data-action="back">← Back</button>
-          <h2>${this.manifest?.name || 'Loading...'}</h2>
+          <h2>${this.escapeHtml(this.formatTitle())}</h2>
           <div class="header-actions">
+            ${this.tab === 'html' ? `
+              <button class="secondary ${this.showAssistant ? 'active' : ''}" data-action="assistant">Assistant</button>
+              <button class="secondary ${this.showPreview ? 'active' : ''}" data-action="preview">Preview</button>
+              <button class="secondary" data-action="history">History</button>
+            ` : ''}
+            <button class="secondary" data-action="export">Export</button>
+            <button class="secondary" data-action="publish">Publish</button>
             <button class="secondary" data-action="run">Run</button>
             <button data-action="save" ${this.saving ? 'disabled' : ''}>
-              ${this.dirty ? 'Save *' : 'Save'}
+              ${this.isDirty() ? 'Save *' : 'Save'}
             </button>
           </div>
         </header>
@@ -136,13 +588,30 @@ class AppEditor extends HTMLElement {
         ${this.loading ? `
           <div class="loading">Loading app...</div>
         ` : `
+          <nav class="editor-tabs">
+            <button class="tab ${this.tab === 'html' ? 'active' : ''}" data-tab="html">App HTML</button>
+            <button class="tab ${this.tab === 'manifest' ? 'active' : ''}" data-tab="manifest">Manifest</button>
+            <button class="tab ${this.tab === 'assets' ? 'active' : ''}" data-tab="assets">Assets</button>
+          </nav>
           <div class="editor-content">
-            <textarea
-              class="code-input"
-              placeholder="Paste your app HTML here..."
-            >${this.escapeHtml(this.appHtml)}</textarea>
+            ${this.tab === 'manifest' ? this.renderManifestForm() : this.tab === 'assets' ? `
+              <app-assets></app-assets>
+            ` : `
+              <code-editor
+                class="code-input"
+                placeholder="Paste your app HTML here..."
+              ></code-editor>
+              ${this.showPreview ? `
+                <div class="split-handle" title="Drag to resize"></div>
+                <app-preview style="width: ${this.previewWidth}px"></app-preview>
+              ` : ''}
+              ${this.showAssistant ? '<app-assistant></app-assistant>' : ''}
+              ${this.showHistory ? '<app-history></app-history>' : ''}
+            `}
           </div>
         `}
+        <export-dialog></export-dialog>
+        <publish-dialog></publish-dialog>
       </div>
 
       <style>
@@ -183,26 +652,162 @@ class AppEditor extends HTMLElement {
         .editor-content {
           flex: 1;
           display: flex;
+          gap: 16px;
           padding: 16px;
           background: #f5f5f5;
+          min-height: 0;
+        }
+
+        app-history {
+          width: 380px;
+          flex-shrink: 0;
+        }
+
+        app-assistant {
+          width: 360px;
+          flex-shrink: 0;
+        }
+
+        app-preview {
+          flex-shrink: 0;
+          min-width: ${PREVIEW_MIN_WIDTH}px;
+        }
+
+        .split-handle {
+          flex: 0 0 6px;
+          margin: 0 -11px;
+          cursor: col-resize;
+          border-radius: 3px;
+          touch-action: none;
+        }
+
+        .split-handle:hover {
+          background: #d0d7de;
+        }
+
+        .header-actions .active {
+          background: #e8f0fe;
         }
 
         .code-input {
           flex: 1;
-          padding: 16px;
-          font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
-          font-size: 14px;
-          line-height: 1.5;
+          min-width: 0;
           border: 1px solid #ddd;
           border-radius: 4px;
-          resize: none;
+          overflow: hidden;
           background: white;
         }
 
-        .code-input:focus {
-          outline: none;
+        .code-input:focus-within {
           border-color: #4285f4;
         }
+
+        .editor-tabs {
+          display: flex;
+          gap: 4px;
+          padding: 8px 16px 0;
+          background: #f5f5f5;
+          border-bottom: 1px solid #e0e0e0;
+        }
+
+        .editor-tabs .tab {
+          background: none;
+          border: 1px solid transparent;
+          border-bottom: none;
+          border-radius: 4px 4px 0 0;
+          padding: 6px 14px;
+          color: #666;
+        }
+
+        .editor-tabs .tab.active {
+          background: white;
+          border-color: #e0e0e0;
+          color: #333;
+          margin-bottom: -1px;
+        }
+
+        .manifest-form {
+          flex: 1;
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+          padding: 16px;
+          background: white;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          overflow-y: auto;
+        }
+
+        .form-row {
+          display: flex;
+          gap: 16px;
+        }
+
+        .form-field {
+          flex: 1;
+          display: flex;
+          flex-direction: column;
+          min-width: 0;
+        }
+
+        .form-field.narrow {
+          flex: 0 0 120px;
+        }
+
+        .field-label {
+          font-weight: 500;
+          font-size: 13px;
+          margin-bottom: 6px;
+        }
+
+        .manifest-form input[type="text"],
+        .description-input,
+        .json-input {
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+          font-family: inherit;
+        }
+
+        .description-input {
+          resize: vertical;
+        }
+
+        .json-row {
+          flex: 1;
+          min-height: 240px;
+        }
+
+        .json-input {
+          flex: 1;
+          font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+          font-size: 13px;
+          resize: none;
+        }
+
+        .manifest-form .invalid {
+          border-color: #c62828;
+        }
+
+        .field-problems {
+          margin-top: 4px;
+          font-size: 12px;
+          color: #c62828;
+        }
+
+        .permission-list {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px 20px;
+        }
+
+        .permission {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 14px;
+        }
       </style>
     `
 
@@ -0,0 +1,331 @@
+import { storage } from '../lib/storage.js'
+import { diffLines, collapseUnchanged } from '../lib/text-diff.js'
+
+class AppHistory extends HTMLElement {
+  constructor() {
+    super()
+    this.appId = null
+    this.revisions = []
+    this.tags = []
+    this.selectedId = null
+    this.selectedContent = null
+    this.loading = false
+    this.error = null
+    // Set by the editor so diffs are taken against the unsaved buffer
+    this.getBuffer = () => ''
+  }
+
+  connectedCallback() {
+    this.render()
+  }
+
+  /**
+   * Load the revision list of an app's app.html
+   * @param {string} appId - App to show
+   * @param {Array} tags - Tags recorded in the manifest
+   */
+  async open(appId, tags = []) {
+    this.appId = appId
+    this.tags = tags
+    await this.reload()
+  }
+
+  async reload() {
+    this.loading = true
+    this.error = null
+    this.render()
+
+    try {
+      this.revisions = await storage.listAppHtmlRevisions(this.appId)
+    } catch (err) {
+      console.error('Failed to load app history:', err)
+      this.error = err.message
+    }
+
+    this.loading = false
+    this.render()
+  }
+
+  setTags(tags) {
+    this.tags = tags || []
+    this.render()
+  }
+
+  async handleSelect(revisionId) {
+    this.selectedId = revisionId
+    this.selectedContent = null
+    this.render()
+
+    try {
+      this.selectedContent = await storage.getAppHtmlRevision(this.appId, revisionId)
+    } catch (err) {
+      this.error = err.message
+    }
+    this.render()
+  }
+
+  handleRollback() {
+    if (this.selectedContent === null) return
+
+    this.dispatchEvent(new CustomEvent('rollback', {
+      detail: { revisionId: this.selectedId, content: this.selectedContent },
+      bubbles: true
+    }))
+  }
+
+  handleTag() {
+    this.dispatchEvent(new CustomEvent('tag', {
+      detail: { revisionId: this.selectedId },
+      bubbles: true
+    }))
+  }
+
+  handleClose() {
+    this.dispatchEvent(new CustomEvent('close', { bubbles: true }))
+  }
+
+  tagFor(revisionId) {
+    return this.tags.find(t => t.revisionId === revisionId)
+  }
+
+  formatTime(isoString) {
+    return new Date(isoString).toLocaleString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }
+
+  bindEvents() {
+    this.querySelectorAll('.revision-item').forEach(item => {
+      item.addEventListener('click', () => this.handleSelect(item.dataset.revisionId))
+    })
+
+    const rollbackBtn = this.querySelector('[data-action="rollback"]')
+    if (rollbackBtn) {
+      rollbackBtn.addEventListener('click', () => this.handleRollback())
+    }
+
+    const tagBtn = this.querySelector('[data-action="tag"]')
+    if (tagBtn) {
+      tagBtn.addEventListener('click', () => this.handleTag())
+    }
+
+    const closeBtn = this.querySelector('[data-action="close-history"]')
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.handleClose())
+    }
+  }
+
+  renderDiff() {
+    if (!this.selectedId) {
+      return '<p class="history-note">Select a version to compare it with the editor.</p>'
+    }
+    if (this.selectedContent === null) {
+      return '<p class="history-note">Loading version...</p>'
+    }
+
+    // Changes needed to go from the selected version to the current buffer
+    const lines = collapseUnchanged(diffLines(this.selectedContent, this.getBuffer()))
+    if (!lines.some(line => line.type === 'added' || line.type === 'removed')) {
+      return '<p class="history-note">Same as the editor.</p>'
+    }
+
+    return `
+      <pre class="line-diff">${lines.map(line => `<span class="diff-line ${line.type}">${
+        line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : line.type === 'skip' ? '' : '  '
+      }${this.escapeHtml(line.text)}</span>`).join('\n')}</pre>
+    `
+  }
+
+  render() {
+    this.innerHTML = `
+      <div class="history-panel">
+        <div class="history-header">
+          <h3>History</h3>
+          <button class="history-close" data-action="close-history" title="Close">&times;</button>
+        </div>
+
+        ${this.loading ? `
+          <p class="history-note">Loading history...</p>
+        ` : this.error ? `
+          <p class="history-error">${this.escapeHtml(this.error)}</p>
+        ` : `
+          <ul class="revision-list">
+            ${this.revisions.map((r, i) => {
+              const tag = this.tagFor(r.id)
+              return `
+                <li class="revision-item ${r.id === this.selectedId ? 'selected' : ''}" data-revision-id="${r.id}">
+                  <span class="revision-time">${this.formatTime(r.modifiedTime)}</span>
+                  ${i === 0 ? '<span class="revision-badge">saved</span>' : ''}
+                  ${tag ? `<span class="revision-tag">${this.escapeHtml(tag.label)} · v${this.escapeHtml(tag.version)}</span>` : ''}
+                  ${r.author ? `<div class="revision-author">${this.escapeHtml(r.author)}</div>` : ''}
+                </li>
+              `
+            }).join('')}
+          </ul>
+
+          ${this.selectedId ? `
+            <div class="history-actions">
+              <button class="secondary small" data-action="rollback" ${this.selectedContent === null ? 'disabled' : ''}>Roll back to this</button>
+              <button class="secondary small" data-action="tag">Tag…</button>
+            </div>
+          ` : ''}
+
+          <div class="history-diff">${this.renderDiff()}</div>
+        `}
+      </div>
+
+      <style>
+        .history-panel {
+          display: flex;
+          flex-direction: column;
+          height: 100%;
+          background: white;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          overflow: hidden;
+        }
+
+        .history-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 8px 12px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .history-header h3 {
+          margin: 0;
+          font-size: 14px;
+        }
+
+        .history-close {
+          background: none;
+          border: none;
+          font-size: 20px;
+          color: #666;
+          padding: 0;
+          line-height: 1;
+        }
+
+        .history-close:hover {
+          background: none;
+        }
+
+        .history-note, .history-error {
+          margin: 12px;
+          font-size: 13px;
+          color: #666;
+        }
+
+        .history-error {
+          color: #c62828;
+        }
+
+        .revision-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          max-height: 35%;
+          overflow-y: auto;
+          border-bottom: 1px solid #eee;
+        }
+
+        .revision-item {
+          padding: 8px 12px;
+          font-size: 13px;
+          cursor: pointer;
+          border-bottom: 1px solid #f3f3f3;
+        }
+
+        .revision-item:hover {
+          background: #f8f8f8;
+        }
+
+        .revision-item.selected {
+          background: #e8f0fe;
+        }
+
+        .revision-author {
+          color: #888;
+          font-size: 12px;
+        }
+
+        .revision-badge, .revision-tag {
+          margin-left: 6px;
+          padding: 1px 6px;
+          border-radius: 8px;
+          font-size: 11px;
+        }
+
+        .revision-badge {
+          background: #e8f5e9;
+          color: #2e7d32;
+        }
+
+        .revision-tag {
+          background: #fff3cd;
+          color: #8a6d00;
+        }
+
+        .history-actions {
+          display: flex;
+          gap: 8px;
+          padding: 8px 12px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .small {
+          padding: 6px 12px;
+          font-size: 12px;
+        }
+
+        .history-diff {
+          flex: 1;
+          overflow: auto;
+        }
+
+        .line-diff {
+          margin: 0;
+          padding: 8px 0;
+          font-size: 12px;
+          line-height: 1.4;
+        }
+
+        .diff-line {
+          display: block;
+          padding: 0 12px;
+          white-space: pre;
+        }
+
+        .diff-line.added {
+          background: #e6ffed;
+        }
+
+        .diff-line.removed {
+          background: #ffeef0;
+        }
+
+        .diff-line.skip {
+          color: #999;
+          background: #f8f9fa;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('app-history', AppHistory)
@@ -1,20 +1,45 @@
 import { googleAuth } from '../lib/google-auth.js'
-import { driveClient } from '../lib/drive-client.js'
+import { storage } from '../lib/storage.js'
+import { parseBundle } from '../lib/bundle.js'
 import './settings-modal.js'
+import './export-dialog.js'
+import './import-dialog.js'
+import './share-dialog.js'
 
 class AppLibrary extends HTMLElement {
   constructor() {
     super()
     this.apps = []
+    this.drafts = []
     this.loading = false
+    this.pendingWrites = {}
   }
 
   connectedCallback() {
     this.render()
 
-    if (googleAuth.isSignedIn()) {
+    if (storage.isReady()) {
       this.loadApps()
     }
+
+    // Show per-app counts of writes waiting for a connection
+    this.unsubscribePending = storage.onPendingWritesChange(async () => {
+      await this.loadPendingWrites()
+      if (!this.loading) this.render()
+    })
+  }
+
+  disconnectedCallback() {
+    this.unsubscribePending()
+  }
+
+  async loadPendingWrites() {
+    try {
+      this.pendingWrites = await storage.getPendingWrites()
+    } catch (err) {
+      console.warn('Failed to read pending writes:', err)
+      this.pendingWrites = {}
+    }
   }
 
   async loadApps() {
@@ -22,32 +47,89 @@ class AppLibrary extends HTMLElement {
     this.render()
 
     try {
-      this.apps = await driveClient.listApps()
+      this.apps = await storage.listApps()
     } catch (err) {
       console.error('Failed to load apps:', err)
       this.apps = []
     }
+    await Promise.all([this.loadDrafts(), this.loadPendingWrites()])
 
     this.loading = false
     this.render()
   }
 
+  async loadDrafts() {
+    try {
+      this.drafts = await storage.listDrafts()
+    } catch (err) {
+      console.warn('Failed to load drafts:', err)
+      this.drafts = []
+    }
+  }
+
+  handleShareApp(appId, appName) {
+    this.querySelector('share-dialog').open(appId, appName)
+  }
+
+  async handleDeleteDraft(draftId, title) {
+    if (!confirm(`Delete the draft "${title}"? The conversation will be lost.`)) {
+      return
+    }
+
+    try {
+      await storage.deleteDraft(draftId)
+      await this.loadDrafts()
+      this.render()
+    } catch (err) {
+      alert('Failed to delete draft: ' + err.message)
+    }
+  }
+
   handleCreateApp() {
     window.location.hash = '#/create'
   }
 
+  async handleImportFile(file) {
+    let bundle
+    try {
+      bundle = parseBundle(await file.text())
+    } catch (err) {
+      alert('Failed to import app: ' + err.message)
+      return
+    }
+
+    this.querySelector('import-dialog').open(bundle, this.apps.map(app => app.name))
+  }
+
+  handleExportApp(appId, appName) {
+    this.querySelector('export-dialog').open(appId, appName)
+  }
+
   openSettings() {
     const modal = this.querySelector('settings-modal')
     if (modal) modal.open()
   }
 
+  handleBackendChange() {
+    this.apps = []
+    this.drafts = []
+    this.render()
+
+    if (storage.isReady()) {
+      this.loadApps()
+    }
+  }
+
   async handleDeleteApp(appId, appName) {
-    if (!confirm(`Delete "${appName}"? This will move it to Drive trash.`)) {
+    const warning = storage.requiresAuth()
+      ? 'This will move it to Drive trash.'
+      : 'This cannot be undone.'
+    if (!confirm(`Delete "${appName}"? ${warning}`)) {
       return
     }
 
     try {
-      await driveClient.deleteApp(appId)
+      await storage.deleteApp(appId)
       this.loadApps()
     } catch (err) {
       alert('Failed to delete app: ' + err.message)
@@ -58,6 +140,11 @@ class AppLibrary extends HTMLElement {
     googleAuth.signIn()
   }
 
+  handleUseLocal() {
+    storage.setBackend('local')
+    this.handleBackendChange()
+  }
+
   handleSignOut() {
     googleAuth.signOut()
     this.apps = []
@@ -80,6 +167,12 @@ class AppLibrary extends HTMLElement {
       signInBtn.addEventListener('click', () => this.handleSignIn())
     }
 
+    // Local storage button
+    const useLocalBtn = this.querySelector('[data-action="use-local"]')
+    if (useLocalBtn) {
+      useLocalBtn.addEventListener('click', () => this.handleUseLocal())
+    }
+
     // Sign out button
     const signOutBtn = this.querySelector('[data-action="sign-out"]')
     if (signOutBtn) {
@@ -92,12 +185,49 @@ class AppLibrary extends HTMLElement {
       createBtn.addEventListener('click', () => this.handleCreateApp())
     }
 
+    // Import button picks a bundle file
+    const importInput = this.querySelector('.import-file-input')
+    const importBtn = this.querySelector('[data-action="import-app"]')
+    if (importBtn && importInput) {
+      importBtn.addEventListener('click', () => importInput.click())
+      importInput.addEventListener('change', () => {
+        const file = importInput.files[0]
+        importInput.value = ''
+        if (file) this.handleImportFile(file)
+      })
+    }
+
+    const importDialog = this.querySelector('import-dialog')
+    if (importDialog) {
+      importDialog.addEventListener('imported', () => this.loadApps())
+    }
+
     // Settings button
     const settingsBtn = this.querySelector('[data-action="settings"]')
     if (settingsBtn) {
       settingsBtn.addEventListener('click', () => this.openSettings())
     }
 
+    // Reload apps when the storage backend is switched in settings
+    const modal = this.querySelector('settings-modal')
+    if (modal) {
+      modal.addEventListener('backend-change', () => this.handleBackendChange())
+    }
+
+    this.querySelectorAll('[data-action="share-app"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation()
+        this.handleShareApp(btn.dataset.appId, btn.dataset.appName)
+      })
+    })
+
+    this.querySelectorAll('[data-action="export-app"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation()
+        this.handleExportApp(btn.dataset.appId, btn.dataset.appName)
+      })
+    })
+
     // Delete buttons
     this.querySelectorAll('[data-action="delete-app"]').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -107,37 +237,71 @@ class AppLibrary extends HTMLElement {
         this.handleDeleteApp(appId, appName)
       })
     })
+
+    this.querySelectorAll('[data-action="delete-draft"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation()
+        this.handleDeleteDraft(btn.dataset.draftId, btn.dataset.draftTitle)
+      })
+    })
   }
 
   render() {
     const isSignedIn = googleAuth.isSignedIn()
+    const isReady = storage.isReady()
 
     this.innerHTML = `
       <div class="library">
         <header class="library-header">
           <h1>tiny-app.dev</h1>
           <div class="header-actions">
-            ${isSignedIn ? `
-              <button class="icon-btn" data-action="settings" title="Settings">⚙️</button>
+            <button class="icon-btn" data-action="settings" title="Settings">⚙️</button>
+            ${isSignedIn && storage.requiresAuth() ? `
               <button class="secondary" data-action="sign-out">Sign Out</button>
             ` : ''}
           </div>
         </header>
 
-        ${!isSignedIn ? `
+        ${!isReady ? `
           <div class="connect-prompt">
             <p>Connect your Google Drive to store and run micro-apps.</p>
             <button data-action="sign-in">
               Connect Google Drive
             </button>
+            <p class="connect-alt">
+              <button class="link-btn" data-action="use-local">Or keep apps in this browser without an account</button>
+            </p>
           </div>
         ` : this.loading ? `
           <div class="loading">Loading apps...</div>
         ` : `
           <div class="library-actions">
             <button data-action="create-app">+ New App</button>
+            <button class="secondary" data-action="import-app">Import App</button>
+            <input type="file" class="import-file-input" accept=".json,application/json" hidden>
+            ${storage.supportsSharing() ? `
+              <a href="#/shared" class="shared-link">Shared with me</a>
+            ` : ''}
           </div>
 
+          ${this.drafts.length > 0 ? `
+            <h2 class="section-title">Drafts</h2>
+            <ul class="app-list draft-list">
+              ${this.drafts.map(draft => `
+                <li class="app-item">
+                  <a href="#/create/${draft.id}" class="app-link">
+                    <span class="app-name">${this.escapeHtml(draft.title) || 'Untitled draft'}</span>
+                    <span class="app-modified">${this.formatDate(draft.modifiedTime)}</span>
+                  </a>
+                  <div class="app-actions">
+                    <button class="delete-btn secondary" data-action="delete-draft" data-draft-id="${draft.id}" data-draft-title="${this.escapeHtml(draft.title)}">Delete</button>
+                  </div>
+                </li>
+              `).join('')}
+            </ul>
+            <h2 class="section-title">Apps</h2>
+          ` : ''}
+
           ${this.apps.length === 0 ? `
             <div class="empty-state">
               <p>No apps yet. Create your first one!</p>
@@ -148,10 +312,17 @@ class AppLibrary extends HTMLElement {
                 <li class="app-item">
                   <a href="#/app/${app.id}" class="app-link">
                     <span class="app-name">${this.escapeHtml(app.name)}</span>
+                    ${this.pendingWrites[app.id] ? `
+                      <span class="app-pending" title="Changes saved offline, waiting to upload">${this.pendingWrites[app.id]} pending</span>
+                    ` : ''}
                     <span class="app-modified">${this.formatDate(app.modifiedTime)}</span>
                   </a>
                   <div class="app-actions">
                     <a href="#/app/${app.id}/edit" class="edit-link">Edit</a>
+                    ${storage.supportsSharing() ? `
+                      <button class="share-btn secondary" data-action="share-app" data-app-id="${app.id}" data-app-name="${this.escapeHtml(app.name)}">Share</button>
+                    ` : ''}
+                    <button class="export-btn secondary" data-action="export-app" data-app-id="${app.id}" data-app-name="${this.escapeHtml(app.name)}">Export</button>
                     <button class="delete-btn secondary" data-action="delete-app" data-app-id="${app.id}" data-app-name="${this.escapeHtml(app.name)}">Delete</button>
                   </div>
                 </li>
@@ -161,6 +332,9 @@ class AppLibrary extends HTMLElement {
         `}
 
         <settings-modal></settings-modal>
+        <export-dialog></export-dialog>
+        <import-dialog></import-dialog>
+        <share-dialog></share-dialog>
       </div>
 
       <style>
@@ -204,7 +378,22 @@ class AppLibrary extends HTMLElement {
           box-shadow: 0 1px 3px rgba(0,0,0,0.1);
         }
 
+        .connect-alt {
+          margin-bottom: 0;
+        }
+
+        .link-btn {
+          background: none;
+          border: none;
+          color: #666;
+          text-decoration: underline;
+          cursor: pointer;
+          font-size: 14px;
+        }
+
         .library-actions {
+          display: flex;
+          gap: 8px;
           margin-bottom: 16px;
         }
 
@@ -214,6 +403,18 @@ class AppLibrary extends HTMLElement {
           color: #666;
         }
 
+        .section-title {
+          margin: 24px 0 8px;
+          font-size: 14px;
+          font-weight: 500;
+          color: #666;
+        }
+
+        .draft-list .app-name {
+          font-weight: normal;
+          font-style: italic;
+        }
+
         .app-list {
           list-style: none;
           padding: 0;
@@ -247,6 +448,16 @@ class AppLibrary extends HTMLElement {
           font-weight: 500;
         }
 
+        .app-pending {
+          margin-left: auto;
+          margin-right: 12px;
+          padding: 2px 8px;
+          border-radius: 10px;
+          background: #e8f0fe;
+          color: #1967d2;
+          font-size: 12px;
+        }
+
         .app-modified {
           color: #888;
           font-size: 14px;
@@ -265,6 +476,16 @@ class AppLibrary extends HTMLElement {
           font-size: 14px;
         }
 
+        .shared-link {
+          margin-left: auto;
+          align-self: center;
+          color: #4285f4;
+          text-decoration: none;
+          font-size: 14px;
+        }
+
+        .share-btn,
+        .export-btn,
         .delete-btn {
           padding: 6px 12px;
           font-size: 12px;
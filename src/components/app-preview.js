@@ -0,0 +1,308 @@
+import { storage } from '../lib/storage.js'
+import { getSandbox } from '../lib/manifest.js'
+import { resolveParams } from '../lib/params.js'
+import { validate } from '../lib/json-schema.js'
+import { resolveAssets } from '../lib/assets.js'
+
+const RENDER_DELAY = 600
+const PREVIEW_MAX_LENGTH = 2000
+
+class AppPreview extends HTMLElement {
+  constructor() {
+    super()
+    this.appId = null
+    this.manifest = null
+    this.params = {}
+    this.html = ''
+    this.assets = {}
+    this.sessions = []
+    // 'empty' or a session id; the chosen data is copied, never written back
+    this.source = 'empty'
+    this.scratch = {}
+    this.log = []
+    this.renderTimeout = null
+  }
+
+  connectedCallback() {
+    this.render()
+
+    this.messageHandler = this.handleMessage.bind(this)
+    window.addEventListener('message', this.messageHandler)
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('message', this.messageHandler)
+    clearTimeout(this.renderTimeout)
+  }
+
+  /**
+   * Start previewing an app
+   * @param {Object} options
+   * @param {string} options.appId - App whose sessions can seed the scratch data
+   * @param {Object} options.manifest - Manifest sent with init
+   * @param {Object} options.params - Stored params
+   * @param {string} options.html - App HTML to show
+   */
+  async open({ appId, manifest, params, html }) {
+    this.appId = appId
+    this.manifest = manifest
+    this.params = params || {}
+    this.html = html
+
+    try {
+      this.assets = await storage.getAssets(appId)
+    } catch (err) {
+      console.warn('Failed to load assets for preview:', err)
+      this.assets = {}
+    }
+    this.updateFrame()
+
+    try {
+      this.sessions = await storage.listSessions(appId)
+    } catch (err) {
+      console.warn('Failed to list sessions for preview:', err)
+      this.sessions = []
+    }
+    this.renderToolbar()
+  }
+
+  /**
+   * Show new HTML once typing pauses
+   */
+  setSource(html) {
+    this.html = html
+    clearTimeout(this.renderTimeout)
+    this.renderTimeout = setTimeout(() => this.updateFrame(), RENDER_DELAY)
+  }
+
+  setManifest(manifest) {
+    this.manifest = manifest
+    this.updateFrame()
+  }
+
+  async handleSourceChange(source) {
+    this.source = source
+    await this.resetScratch()
+  }
+
+  // Reload the app with a fresh copy of the chosen data
+  async resetScratch() {
+    if (this.source === 'empty') {
+      this.scratch = {}
+    } else {
+      try {
+        const session = await storage.getSession(this.source)
+        this.scratch = structuredClone(session.data ?? {})
+      } catch (err) {
+        alert('Failed to load session: ' + err.message)
+        this.scratch = {}
+      }
+    }
+    this.log = []
+    this.updateFrame()
+  }
+
+  updateFrame() {
+    clearTimeout(this.renderTimeout)
+    const iframe = this.querySelector('.preview-iframe')
+    if (!iframe) return
+
+    iframe.setAttribute('sandbox', getSandbox(this.manifest))
+    iframe.srcdoc = resolveAssets(this.html || '', this.assets)
+  }
+
+  handleMessage(event) {
+    const iframe = this.querySelector('.preview-iframe')
+    if (!iframe || event.source !== iframe.contentWindow) return
+
+    const { type, data } = event.data || {}
+
+    switch (type) {
+      case 'ready':
+        this.addLog('ready')
+        iframe.contentWindow.postMessage({
+          type: 'init',
+          manifest: this.manifest,
+          params: resolveParams(this.manifest, this.params),
+          session: this.scratch
+        }, '*')
+        break
+
+      case 'update-session': {
+        const errors = this.validateScratch(data)
+        if (errors.length > 0) {
+          this.addLog(`update-session rejected: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`)
+          iframe.contentWindow.postMessage({ type: 'session-invalid', errors }, '*')
+          break
+        }
+        this.scratch = data
+        this.addLog('update-session')
+        break
+      }
+
+      default:
+        this.addLog(`unknown message "${type}"`)
+    }
+  }
+
+  validateScratch(data) {
+    try {
+      return validate(this.manifest?.sessionSchema, data)
+    } catch (err) {
+      console.warn('Failed to validate preview data:', err)
+      return []
+    }
+  }
+
+  addLog(text) {
+    const time = new Date().toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    this.log = [{ time, text }, ...this.log].slice(0, 20)
+    this.renderInspector()
+  }
+
+  preview(data) {
+    const json = JSON.stringify(data ?? {}, null, 2)
+    return json.length > PREVIEW_MAX_LENGTH
+      ? json.slice(0, PREVIEW_MAX_LENGTH) + '\n…'
+      : json
+  }
+
+  // Toolbar and inspector are redrawn on their own so the iframe never reloads needlessly
+  renderToolbar() {
+    const toolbar = this.querySelector('.preview-toolbar')
+    if (!toolbar) return
+
+    toolbar.innerHTML = `
+      <label class="preview-label" for="preview-source">Data</label>
+      <select id="preview-source" class="preview-source">
+        <option value="empty" ${this.source === 'empty' ? 'selected' : ''}>Empty</option>
+        ${this.sessions.map(s => `
+          <option value="${s.id}" ${s.id === this.source ? 'selected' : ''}>Copy of ${this.escapeHtml(s.name)}</option>
+        `).join('')}
+      </select>
+      <button class="secondary small" data-action="reset-preview" title="Reload with a fresh copy of the data">↻ Reset</button>
+    `
+
+    toolbar.querySelector('.preview-source').addEventListener('change', (e) => {
+      this.handleSourceChange(e.target.value)
+    })
+    toolbar.querySelector('[data-action="reset-preview"]').addEventListener('click', () => {
+      this.resetScratch()
+    })
+  }
+
+  renderInspector() {
+    const inspector = this.querySelector('.preview-inspector')
+    if (!inspector) return
+
+    inspector.innerHTML = `
+      <summary>Scratch data · ${this.log.length ? this.escapeHtml(this.log[0].text) : 'no messages yet'}</summary>
+      <pre class="preview-data">${this.escapeHtml(this.preview(this.scratch))}</pre>
+      <ul class="preview-log">
+        ${this.log.map(entry => `<li><span class="log-time">${entry.time}</span> ${this.escapeHtml(entry.text)}</li>`).join('')}
+      </ul>
+    `
+  }
+
+  render() {
+    this.innerHTML = `
+      <div class="preview-panel">
+        <div class="preview-toolbar"></div>
+        <iframe class="preview-iframe" sandbox="${getSandbox(this.manifest)}"></iframe>
+        <details class="preview-inspector"></details>
+      </div>
+
+      <style>
+        .preview-panel {
+          display: flex;
+          flex-direction: column;
+          height: 100%;
+          background: white;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          overflow: hidden;
+        }
+
+        .preview-toolbar {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 6px 10px;
+          border-bottom: 1px solid #eee;
+          font-size: 13px;
+        }
+
+        .preview-label {
+          color: #666;
+        }
+
+        .preview-source {
+          flex: 1;
+          min-width: 0;
+          padding: 4px 6px;
+          font-size: 13px;
+        }
+
+        .preview-toolbar .small {
+          padding: 4px 10px;
+          font-size: 12px;
+        }
+
+        .preview-iframe {
+          flex: 1;
+          border: none;
+          background: white;
+        }
+
+        .preview-inspector {
+          border-top: 1px solid #eee;
+          font-size: 12px;
+          max-height: 40%;
+          overflow-y: auto;
+        }
+
+        .preview-inspector summary {
+          padding: 6px 10px;
+          color: #666;
+          cursor: pointer;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .preview-data {
+          margin: 0;
+          padding: 8px 10px;
+          background: #f8f9fa;
+          white-space: pre-wrap;
+          word-break: break-all;
+        }
+
+        .preview-log {
+          list-style: none;
+          margin: 0;
+          padding: 6px 10px;
+        }
+
+        .log-time {
+          color: #999;
+        }
+      </style>
+    `
+
+    this.renderToolbar()
+    this.renderInspector()
+    this.updateFrame()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('app-preview', AppPreview)
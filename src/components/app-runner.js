@@ -1,5 +1,16 @@
-import { driveClient } from '../lib/drive-client.js'
+import { storage } from '../lib/storage.js'
+import { SessionConflictError } from '../lib/errors.js'
+import { getAutosavePolicy, getSandbox, compareVersions } from '../lib/manifest.js'
+import { migrateSession } from '../lib/migrations.js'
+import { getParamDeclarations, resolveParams } from '../lib/params.js'
+import { validate, hasConstraints } from '../lib/json-schema.js'
+import { isTabular, toSessionJson, parseSessionJson, toCsv, fromCsv, downloadFile, toFileName } from '../lib/session-io.js'
+import { resolveAssets } from '../lib/assets.js'
+import { mergeSessionData } from '../lib/merge.js'
 import './session-manager.js'
+import './conflict-dialog.js'
+import './session-history.js'
+import './params-form.js'
 
 class AppRunner extends HTMLElement {
   constructor() {
@@ -8,15 +19,34 @@ class AppRunner extends HTMLElement {
     this.manifest = null
     this.params = null
     this.appHtml = null
+    this.assets = {}
     this.sessions = []
     this.currentSession = null
     this.loading = true
     this.saveTimeout = null
+    this.countdownInterval = null
+    this.autosaveAt = null
+    this.autosavePending = false
+    this.changeCount = 0
     this.iframe = null
     this._mounted = false
     this.syncTime = null
     this.hasUnsavedChanges = false
     this.saving = false
+    this.conflictRemote = null
+    this.pendingWrites = 0
+    this.validationErrors = []
+    this.showParams = false
+    // { owned, shared, canEdit, canShare }; people who can only view a shared app get their own sessions
+    this.access = null
+    // Optional protocol messages the app said it handles in 'ready'
+    this.appSupports = []
+    // The last data known to match the stored copy, used as the merge base
+    this.syncedData = null
+    // Live sessions
+    this.watcher = null
+    this.participants = []
+    this.remoteChangePending = false
   }
 
   static get observedAttributes() {
@@ -43,13 +73,28 @@ class AppRunner extends HTMLElement {
     // Listen for messages from iframe
     this.messageHandler = this.handleMessage.bind(this)
     window.addEventListener('message', this.messageHandler)
+
+    // Flush pending autosaves when the tab is hidden
+    this.visibilityHandler = () => {
+      if (document.visibilityState === 'hidden') {
+        this.flushAutosave()
+      }
+    }
+    document.addEventListener('visibilitychange', this.visibilityHandler)
+
+    // Track writes waiting for a connection
+    this.unsubscribePending = storage.onPendingWritesChange(() => this.refreshPendingWrites())
+    this.refreshPendingWrites()
   }
 
   disconnectedCallback() {
     window.removeEventListener('message', this.messageHandler)
-    if (this.saveTimeout) {
-      clearTimeout(this.saveTimeout)
-    }
+    document.removeEventListener('visibilitychange', this.visibilityHandler)
+    this.unsubscribePending()
+    this.watcher?.stop()
+    this.cancelAutosave()
+    // Leaving the runner counts as leaving the page for autosave
+    this.flushAutosave()
   }
 
   async loadApp() {
@@ -58,21 +103,17 @@ class AppRunner extends HTMLElement {
 
     try {
       // Load app files
-      const files = await driveClient.getAppFiles(this.appId)
+      const files = await storage.getAppFiles(this.appId)
       this.manifest = files.manifest
       this.params = files.params || {}
       this.appHtml = files.appHtml
       this.syncTime = files.syncTime
+      this.assets = await this.loadAssets()
+      this.access = await this.loadAccess()
 
       // Load sessions
-      this.sessions = await driveClient.listSessions(this.appId)
-
-      // Load first session or create default
-      if (this.sessions.length > 0) {
-        await this.loadSession(this.sessions[0].id)
-      } else {
-        await this.createSession('Default')
-      }
+      this.sessions = await storage.listSessions(this.appId)
+      await this.openDefaultSession()
     } catch (err) {
       console.error('Failed to load app:', err)
       alert('Failed to load app: ' + err.message)
@@ -82,39 +123,354 @@ class AppRunner extends HTMLElement {
     this.render()
   }
 
+  // Open the pinned session, else the most recently modified, else a new one
+  async openDefaultSession() {
+    const session = this.sessions.find(s => s.pinned) || this.sessions[0]
+    if (session) {
+      await this.loadSession(session.id)
+    } else {
+      await this.createSession('Default')
+    }
+  }
+
   async loadSession(sessionId, forceRefresh = false) {
     try {
-      const session = await driveClient.getSession(sessionId, forceRefresh)
+      const session = await storage.getSession(sessionId, forceRefresh)
       this.currentSession = { id: sessionId, ...session }
+      this.syncedData = session.data
+      this.validationErrors = []
     } catch (err) {
       console.error('Failed to load session:', err)
+      return
     }
+
+    await this.migrateCurrentSession()
+    this.watchCurrentSession()
   }
 
-  async createSession(name) {
+  async createSession(name, data = {}) {
     try {
-      const session = await driveClient.createSession(this.appId, name)
-      this.currentSession = { id: session.id, ...session.data }
-      this.sessions = await driveClient.listSessions(this.appId)
+      const session = await storage.createSession(this.appId, name, data, { schemaVersion: this.manifest?.version })
+      this.currentSession = { id: session.id, ...session.data, version: session.version }
+      this.syncedData = session.data.data
+      this.sessions = await storage.listSessions(this.appId)
     } catch (err) {
       console.error('Failed to create session:', err)
     }
+    this.watchCurrentSession()
+  }
+
+  // ============ Live sessions ============
+
+  // Sessions of a shared app can be open for several people at once
+  isLiveSession() {
+    return !!this.access?.shared && !this.isViewOnly()
+  }
+
+  watchCurrentSession() {
+    this.watcher?.stop()
+    this.watcher = null
+    this.participants = []
+    if (!this.currentSession || !this.isLiveSession()) return
+
+    this.watcher = storage.watchSession(this.currentSession.id, {
+      onRemoteChange: () => this.handleRemoteChange(),
+      onParticipantsChange: (participants) => {
+        this.participants = participants
+        this.updateSyncBar()
+      }
+    })
+    this.watcher?.start(this.currentSession.version)
+  }
+
+  async handleRemoteChange() {
+    // The change may be our own save; look again once it has finished
+    if (this.saving) {
+      this.remoteChangePending = true
+      return
+    }
+
+    const sessionId = this.currentSession?.id
+    let remote
+    try {
+      remote = await storage.getSession(sessionId, true)
+    } catch (err) {
+      console.warn('Failed to load remote changes:', err)
+      return
+    }
+
+    if (sessionId !== this.currentSession?.id || remote.version === this.currentSession.version) return
+    this.applyRemote(remote)
+  }
+
+  /**
+   * Take in a newer stored copy, keeping local changes made since the last sync
+   * @param {Object} remote - Stored session, with data and version
+   */
+  applyRemote(remote) {
+    const data = this.hasUnsavedChanges
+      ? mergeSessionData(this.syncedData, this.currentSession.data, remote.data)
+      : remote.data
+
+    this.currentSession = { ...this.currentSession, ...remote, data }
+    this.syncedData = remote.data
+    this.watcher?.setVersion(remote.version)
+    this.hasUnsavedChanges = JSON.stringify(data) !== JSON.stringify(remote.data)
+    this.syncTime = Date.now()
+    this.updateTabularFlag()
+    this.updateSyncBar()
+
+    // Apps that didn't announce support (e.g. written before live sessions) get init again instead
+    if (this.appSupports.includes('session-remote-update')) {
+      this.sendMessageToIframe({ type: 'session-remote-update', data })
+    } else {
+      this.sendInitToIframe()
+    }
+
+    if (this.hasUnsavedChanges) {
+      this.scheduleAutosave()
+    }
+  }
+
+  renderParticipants() {
+    if (this.participants.length === 0) return ''
+
+    const names = this.participants.map(p => p.name)
+    return `
+      <span class="participants" title="Also open for: ${this.escapeHtml(names.join(', '))}">
+        👥 ${this.escapeHtml(names.length > 2 ? `${names[0]} and ${names.length - 1} others` : names.join(', '))}
+      </span>
+    `
+  }
+
+  // ============ Migrations ============
+
+  /**
+   * Run the manifest's pending migrations on the open session before the app sees it.
+   * The unmigrated data is kept as a separate backup session first.
+   */
+  async migrateCurrentSession() {
+    const session = this.currentSession
+    let result
+    try {
+      result = migrateSession(session.data, session.schemaVersion, this.manifest)
+    } catch (err) {
+      console.error('Failed to migrate session:', err)
+      alert('Failed to migrate session: ' + err.message)
+      return
+    }
+
+    if (result.applied.length === 0) {
+      const version = this.manifest?.version
+      if (!version) return
+      if (compareVersions(version, session.schemaVersion) > 0) {
+        session.schemaVersion = version
+      } else if (compareVersions(version, session.schemaVersion) < 0) {
+        // Keep the newer version, so its migrations don't run again later
+        console.warn(`Session was saved by app version ${session.schemaVersion}, newer than ${version}`)
+      }
+      return
+    }
+
+    // A backup is migrated in memory only, so it stays a pre-migration copy until edited
+    if (session.backupOf) {
+      session.data = result.data
+      session.schemaVersion = this.manifest.version
+      return
+    }
+
+    try {
+      await storage.createSession(this.appId, `${session.name} (before v${this.manifest.version})`, session.data, {
+        schemaVersion: session.schemaVersion,
+        backupOf: session.id
+      })
+      this.sessions = await storage.listSessions(this.appId)
+    } catch (err) {
+      console.error('Failed to back up session:', err)
+      alert('Failed to back up session before migrating: ' + err.message)
+      return
+    }
+
+    session.data = result.data
+    session.schemaVersion = this.manifest.version
+    this.changeCount++
+    this.hasUnsavedChanges = true
+    await this.saveCurrentSession()
   }
 
   async handleSessionChange(sessionId) {
+    await this.flushAutosave()
     await this.loadSession(sessionId)
+    this.updateTabularFlag()
     this.sendInitToIframe()
   }
 
   async handleNewSession() {
     const name = prompt('Session name:')
     if (name) {
+      await this.flushAutosave()
       await this.createSession(name)
       this.render()
       this.sendInitToIframe()
     }
   }
 
+  async handleRenameSession() {
+    const session = this.currentSession
+    if (!session) return
+
+    const name = prompt('Rename session:', session.name)
+    if (!name || name === session.name) return
+
+    await this.renameCurrentSession(name)
+  }
+
+  async renameCurrentSession(name, retried = false) {
+    const session = this.currentSession
+    try {
+      const result = await storage.renameSession(this.appId, session.id, name, session.version)
+      session.name = name
+      session.version = result.version
+      this.watcher?.setVersion(result.version)
+      this.sessions = await storage.listSessions(this.appId)
+      this.updateSessionManager()
+    } catch (err) {
+      if (!(err instanceof SessionConflictError)) {
+        alert('Failed to rename session: ' + err.message)
+        return
+      }
+      // Changed elsewhere: settle that as a save would. A live session takes the
+      // changes in and renames again; otherwise the conflict dialog takes over
+      if (this.isLiveSession() && !retried) {
+        this.applyRemote(err.remote)
+        await this.renameCurrentSession(name, true)
+      } else {
+        this.showConflict(err.remote)
+      }
+    }
+  }
+
+  async handleDuplicateSession() {
+    const session = this.currentSession
+    if (!session) return
+
+    const name = prompt('Name for the copy:', `${session.name} (copy)`)
+    if (!name) return
+
+    // Copy what the app shows right now, including unsaved changes
+    const data = JSON.parse(JSON.stringify(session.data ?? {}))
+    await this.flushAutosave()
+    await this.createSession(name, data)
+    this.render()
+  }
+
+  async handlePinSession() {
+    const session = this.sessions.find(s => s.id === this.currentSession?.id)
+    if (!session) return
+
+    try {
+      await storage.pinSession(this.appId, session.pinned ? null : session.id)
+      this.sessions = await storage.listSessions(this.appId)
+      this.updateSessionManager()
+    } catch (err) {
+      alert('Failed to pin session: ' + err.message)
+    }
+  }
+
+  async handleDeleteSession() {
+    const session = this.currentSession
+    if (!session) return
+
+    const warning = storage.requiresAuth() ? 'It will be moved to Drive trash.' : 'This cannot be undone.'
+    if (!confirm(`Delete session "${session.name}"? ${warning}`)) return
+
+    try {
+      await storage.deleteSession(this.appId, session.id)
+    } catch (err) {
+      alert('Failed to delete session: ' + err.message)
+      return
+    }
+
+    // Local changes to the deleted session are discarded
+    this.cancelAutosave()
+    this.hasUnsavedChanges = false
+    this.currentSession = null
+
+    this.loading = true
+    this.render()
+    try {
+      this.sessions = await storage.listSessions(this.appId)
+      await this.openDefaultSession()
+    } catch (err) {
+      console.error('Failed to open session:', err)
+    }
+    this.loading = false
+    this.render()
+  }
+
+  handleExportSession(format) {
+    const session = this.currentSession
+    if (!session) return
+
+    const fileName = toFileName(session.name)
+    if (format === 'csv') {
+      const records = Array.isArray(session.data) ? session.data : []
+      downloadFile(`${fileName}.csv`, toCsv(records, this.manifest?.sessionSchema), 'text/csv')
+    } else {
+      downloadFile(`${fileName}.json`, toSessionJson(session), 'application/json')
+    }
+  }
+
+  async handleImportSession(fileName, text) {
+    let imported
+    try {
+      imported = /\.csv$/i.test(fileName)
+        ? { name: null, data: fromCsv(text, this.manifest?.sessionSchema) }
+        : parseSessionJson(text)
+    } catch (err) {
+      alert('Failed to import session: ' + err.message)
+      return
+    }
+
+    // Same gate as 'update-session', so imports can't bring in data the app rejects
+    const errors = this.validateSession(imported.data)
+    if (errors.length > 0) {
+      const details = errors.slice(0, 5).map(e => `${e.path} ${e.message}`).join('\n')
+      const more = errors.length > 5 ? `\n...and ${errors.length - 5} more` : ''
+      alert(`Failed to import session: the data doesn't match the app's schema.\n\n${details}${more}`)
+      return
+    }
+
+    const name = prompt('Name for the imported session:', imported.name || fileName.replace(/\.[^.]+$/, ''))
+    if (!name) return
+
+    await this.flushAutosave()
+    await this.createSession(name, imported.data)
+    this.render()
+  }
+
+  isTabularSession() {
+    return isTabular(this.currentSession?.data, this.manifest?.sessionSchema)
+  }
+
+  updateSessionManager() {
+    const sessionManager = this.querySelector('session-manager')
+    if (sessionManager) {
+      sessionManager.setAttribute('sessions', JSON.stringify(this.sessions || []))
+      sessionManager.setAttribute('current-session-id', this.currentSession?.id || '')
+      this.updateTabularFlag()
+    }
+  }
+
+  // CSV export/import is only offered for tabular session data
+  updateTabularFlag() {
+    const sessionManager = this.querySelector('session-manager')
+    const tabular = this.isTabularSession()
+    if (sessionManager && sessionManager.hasAttribute('tabular') !== tabular) {
+      sessionManager.toggleAttribute('tabular', tabular)
+    }
+  }
+
   handleMessage(event) {
     // Get current iframe (don't use stale reference)
     const iframe = this.querySelector('.app-iframe')
@@ -131,6 +487,8 @@ class AppRunner extends HTMLElement {
 
     switch (type) {
       case 'ready':
+        // Optional messages the app handles, e.g. ['session-conflict']
+        this.appSupports = Array.isArray(event.data.supports) ? event.data.supports : []
         this.sendInitToIframe()
         break
 
@@ -146,7 +504,7 @@ class AppRunner extends HTMLElement {
     this.iframe.contentWindow.postMessage({
       type: 'init',
       manifest: this.manifest,
-      params: this.params,
+      params: resolveParams(this.manifest, this.params),
       session: this.currentSession?.data || {}
     }, '*')
   }
@@ -154,62 +512,329 @@ class AppRunner extends HTMLElement {
   handleSessionUpdate(data) {
     if (!this.currentSession) return
 
+    const errors = this.validateSession(data)
+    const wasInvalid = this.validationErrors.length > 0
+    this.validationErrors = errors
+
+    if (errors.length > 0) {
+      // Keep the last valid data and tell the app what was wrong
+      this.sendMessageToIframe({ type: 'session-invalid', errors })
+      this.updateSyncBar()
+      return
+    }
+    if (wasInvalid) {
+      this.updateSyncBar()
+    }
+
     this.currentSession.data = data
+    this.changeCount++
+    this.updateTabularFlag()
 
     // Mark as unsaved, update UI
     if (!this.hasUnsavedChanges) {
       this.hasUnsavedChanges = true
       this.updateSyncBar()
     }
+
+    this.scheduleAutosave()
+  }
+
+  /**
+   * Check session data against manifest.sessionSchema
+   * @returns {Array<{path: string, message: string}>} - Empty when valid
+   */
+  validateSession(data) {
+    try {
+      return validate(this.manifest?.sessionSchema, data)
+    } catch (err) {
+      // A schema we can't interpret shouldn't block saving
+      console.warn('Failed to validate session:', err)
+      return []
+    }
+  }
+
+  // ============ Autosave ============
+
+  scheduleAutosave() {
+    const policy = getAutosavePolicy(this.manifest)
+    if (policy.mode !== 'debounce') return
+
+    // Every update restarts the timer, so a burst of updates becomes one write
+    this.cancelAutosave()
+    this.autosaveAt = Date.now() + policy.delay
+    this.saveTimeout = setTimeout(() => this.runAutosave(), policy.delay)
+    this.countdownInterval = setInterval(() => this.updateSyncText(), 1000)
+    this.updateSyncText()
+  }
+
+  cancelAutosave() {
+    clearTimeout(this.saveTimeout)
+    clearInterval(this.countdownInterval)
+    this.saveTimeout = null
+    this.countdownInterval = null
+    this.autosaveAt = null
+  }
+
+  runAutosave() {
+    this.cancelAutosave()
+    // Wait for the user to resolve a conflict instead of retrying into it
+    if (!this.hasUnsavedChanges || this.conflictRemote) return
+
+    if (this.saving) {
+      // Save again once the in-flight write finishes
+      this.autosavePending = true
+      this.updateSyncText()
+      return
+    }
+
+    return this.saveCurrentSession()
+  }
+
+  flushAutosave() {
+    if (getAutosavePolicy(this.manifest).mode === 'off') return
+    return this.runAutosave()
   }
 
   async saveCurrentSession() {
     if (!this.currentSession || this.saving) return
 
+    this.cancelAutosave()
     this.saving = true
     this.updateSyncBar()
 
+    // Updates that arrive while saving keep the session dirty
+    const savedChangeCount = this.changeCount
+    let retry = false
+
     try {
-      await driveClient.saveSession(this.currentSession.id, {
-        name: this.currentSession.name,
-        createdAt: this.currentSession.createdAt,
-        data: this.currentSession.data
-      })
+      const { name, createdAt, schemaVersion, backupOf, data } = this.currentSession
+      const result = await storage.saveSession(this.currentSession.id, {
+        name,
+        createdAt,
+        schemaVersion,
+        backupOf,
+        data
+      }, { expectedVersion: this.currentSession.version, appId: this.appId })
       // Update state
-      this.hasUnsavedChanges = false
+      this.currentSession.version = result.version
+      this.syncedData = data
+      this.watcher?.setVersion(result.version)
+      this.hasUnsavedChanges = this.changeCount !== savedChangeCount
       this.syncTime = Date.now()
       // Notify iframe that save succeeded
       this.sendMessageToIframe({ type: 'session-saved', success: true })
     } catch (err) {
-      console.error('Failed to save session:', err)
+      if (err instanceof SessionConflictError && this.isLiveSession()) {
+        // Someone else saved first: merge and save the result
+        this.applyRemote(err.remote)
+        retry = this.hasUnsavedChanges
+      } else if (err instanceof SessionConflictError) {
+        this.showConflict(err.remote)
+      } else {
+        console.error('Failed to save session:', err)
+      }
       // Notify iframe that save failed
       this.sendMessageToIframe({ type: 'session-saved', success: false, error: err.message })
     }
 
     this.saving = false
     this.updateSyncBar()
+
+    if (retry) {
+      return this.saveCurrentSession()
+    }
+    if (this.remoteChangePending) {
+      this.remoteChangePending = false
+      this.handleRemoteChange()
+    }
+    if (this.autosavePending) {
+      this.autosavePending = false
+      this.runAutosave()
+    }
   }
 
   async handleSave() {
     await this.saveCurrentSession()
   }
 
+  handleShowHistory() {
+    if (!this.currentSession) return
+
+    const history = this.querySelector('session-history')
+    if (history) {
+      history.open(this.currentSession.id, this.currentSession.name)
+    }
+  }
+
+  async handleRestore(session) {
+    if (!this.currentSession) return
+
+    // Old revisions may predate the current schema
+    let data
+    try {
+      data = migrateSession(session.data ?? {}, session.schemaVersion, this.manifest).data
+    } catch (err) {
+      alert('Failed to restore session: ' + err.message)
+      return
+    }
+
+    // Restoring is a normal save of the old data, so conflicts are still detected
+    this.currentSession.data = data
+    this.changeCount++
+    this.updateTabularFlag()
+    this.hasUnsavedChanges = true
+    this.sendInitToIframe()
+    await this.saveCurrentSession()
+  }
+
+  showConflict(remote) {
+    this.conflictRemote = remote
+    const dialog = this.querySelector('conflict-dialog')
+    if (dialog) {
+      dialog.open(this.currentSession.data, remote.data)
+    }
+  }
+
+  async handleConflictResolve(choice) {
+    const remote = this.conflictRemote
+    this.conflictRemote = null
+    if (!remote || !this.currentSession) return
+
+    switch (choice) {
+      case 'mine':
+        // Overwrite the stored copy with local data
+        this.currentSession.version = remote.version
+        await this.saveCurrentSession()
+        break
+
+      case 'theirs':
+        // Drop local changes and show the stored copy
+        this.currentSession = { ...this.currentSession, ...remote }
+        this.syncedData = remote.data
+        this.hasUnsavedChanges = false
+        this.syncTime = Date.now()
+        this.updateSyncBar()
+        this.sendInitToIframe()
+        break
+
+      case 'merge':
+        this.currentSession.version = remote.version
+        if (this.appSupports.includes('session-conflict')) {
+          // Let the app merge; its next update-session is saved over the stored copy
+          this.sendMessageToIframe({
+            type: 'session-conflict',
+            mine: this.currentSession.data,
+            theirs: remote.data
+          })
+          break
+        }
+
+        // The app can't merge itself: combine both, local changes winning where they overlap
+        this.currentSession.data = mergeSessionData(this.syncedData, this.currentSession.data, remote.data)
+        this.syncedData = remote.data
+        this.sendInitToIframe()
+        await this.saveCurrentSession()
+        break
+    }
+  }
+
+  // ============ Params ============
+
+  // Toggled in place: re-rendering would reload the app iframe
+  handleToggleParams() {
+    this.showParams = !this.showParams
+    this.querySelector('.params-side')?.classList.toggle('open', this.showParams)
+    this.querySelector('[data-action="params"]')?.classList.toggle('active', this.showParams)
+  }
+
+  async handleParamsChange(values) {
+    this.params = values
+    this.sendMessageToIframe({ type: 'params-changed', params: resolveParams(this.manifest, values) })
+
+    // Viewers can try settings out, but params.json belongs to the owner
+    if (this.isViewOnly()) return
+
+    try {
+      await storage.saveParams(this.appId, values)
+    } catch (err) {
+      console.error('Failed to save settings:', err)
+      alert('Failed to save settings: ' + err.message)
+    }
+  }
+
+  async refreshPendingWrites() {
+    try {
+      const counts = await storage.getPendingWrites()
+      this.pendingWrites = counts[this.appId] || 0
+    } catch (err) {
+      console.warn('Failed to read pending writes:', err)
+      this.pendingWrites = 0
+    }
+    this.updateSyncText()
+  }
+
+  getSyncStatus() {
+    if (this.saving) {
+      return { text: 'Saving...', className: 'saving' }
+    }
+
+    if (this.hasUnsavedChanges) {
+      if (this.autosaveAt) {
+        const seconds = Math.max(0, Math.ceil((this.autosaveAt - Date.now()) / 1000))
+        return { text: `Autosaving in ${seconds}s`, className: 'unsaved' }
+      }
+      if (this.autosavePending) {
+        return { text: 'Autosave queued', className: 'unsaved' }
+      }
+      if (getAutosavePolicy(this.manifest).mode === 'blur') {
+        return { text: 'Unsaved changes · saves when you leave', className: 'unsaved' }
+      }
+      return { text: 'Unsaved changes', className: 'unsaved' }
+    }
+
+    if (this.pendingWrites > 0) {
+      return { text: `Saved offline · ${this.pendingWrites} waiting to upload`, className: 'pending' }
+    }
+
+    return { text: `Synced ${this.formatSyncTime(this.syncTime)}`, className: '' }
+  }
+
+  renderValidationBadge() {
+    if (!hasConstraints(this.manifest?.sessionSchema)) return ''
+
+    const errors = this.validationErrors
+    if (errors.length === 0) {
+      return '<span class="validation-badge valid" title="Session data matches the app\'s schema">✓ Valid</span>'
+    }
+
+    const details = errors.map(e => `${e.path} ${e.message}`).join('\n')
+    return `<span class="validation-badge invalid" title="${this.escapeAttr(details)}">⚠ ${errors.length} invalid</span>`
+  }
+
+  // Update only the status text, so the countdown doesn't rebuild the buttons
+  updateSyncText() {
+    const syncTime = this.querySelector('.sync-bar .sync-time')
+    if (!syncTime) return
+
+    const status = this.getSyncStatus()
+    syncTime.className = `sync-time ${status.className}`
+    syncTime.textContent = status.text
+  }
+
   updateSyncBar() {
     const syncBar = this.querySelector('.sync-bar')
     if (!syncBar) return
 
-    const syncText = this.saving
-      ? 'Saving...'
-      : this.hasUnsavedChanges
-        ? 'Unsaved changes'
-        : `Synced ${this.formatSyncTime(this.syncTime)}`
-
+    const status = this.getSyncStatus()
     const disableAll = this.saving
 
     syncBar.innerHTML = `
-      <span class="sync-time ${this.saving ? 'saving' : this.hasUnsavedChanges ? 'unsaved' : ''}">${syncText}</span>
+      <span class="sync-time ${status.className}">${status.text}</span>
+      ${this.renderParticipants()}
+      ${this.renderValidationBadge()}
       <button class="sync-btn" data-action="save" ${disableAll || !this.hasUnsavedChanges ? 'disabled' : ''}>Save</button>
       <button class="sync-btn" data-action="reload" ${disableAll ? 'disabled' : ''}>↻ Reload</button>
+      <button class="sync-btn" data-action="history" ${disableAll ? 'disabled' : ''}>History</button>
     `
 
     // Rebind events for new buttons
@@ -221,6 +846,10 @@ class AppRunner extends HTMLElement {
     if (reloadBtn) {
       reloadBtn.addEventListener('click', () => this.handleReload())
     }
+    const historyBtn = syncBar.querySelector('[data-action="history"]')
+    if (historyBtn) {
+      historyBtn.addEventListener('click', () => this.handleShowHistory())
+    }
 
     // Toggle iframe overlay
     const overlay = this.querySelector('.iframe-overlay')
@@ -252,17 +881,42 @@ class AppRunner extends HTMLElement {
     window.location.hash = `#/app/${this.appId}/edit`
   }
 
+  // Assume full access when it can't be checked; Drive still refuses writes that aren't allowed
+  async loadAccess() {
+    try {
+      return await storage.getAppAccess(this.appId)
+    } catch (err) {
+      console.warn('Failed to check app access:', err)
+      return { owned: true, shared: false, canEdit: true, canShare: false }
+    }
+  }
+
+  isViewOnly() {
+    return this.access?.canEdit === false
+  }
+
+  // A missing asset shouldn't stop the app from running
+  async loadAssets(forceRefresh = false) {
+    try {
+      return await storage.getAssets(this.appId, forceRefresh)
+    } catch (err) {
+      console.warn('Failed to load assets:', err)
+      return {}
+    }
+  }
+
   async handleReload() {
     this.loading = true
     this.render()
 
     try {
       // Force refresh app files from Drive
-      const files = await driveClient.getAppFiles(this.appId, true)
+      const files = await storage.getAppFiles(this.appId, true)
       this.manifest = files.manifest
       this.params = files.params || {}
       this.appHtml = files.appHtml
       this.syncTime = files.syncTime
+      this.assets = await this.loadAssets(true)
 
       // Reload current session from Drive
       if (this.currentSession) {
@@ -311,6 +965,18 @@ class AppRunner extends HTMLElement {
       saveBtn.addEventListener('click', () => this.handleSave())
     }
 
+    const historyBtn = this.querySelector('[data-action="history"]')
+    if (historyBtn) {
+      historyBtn.addEventListener('click', () => this.handleShowHistory())
+    }
+
+    const sessionHistory = this.querySelector('session-history')
+    if (sessionHistory) {
+      sessionHistory.addEventListener('restore', (e) => {
+        this.handleRestore(e.detail.session)
+      })
+    }
+
     // Session manager events
     const sessionManager = this.querySelector('session-manager')
     if (sessionManager) {
@@ -320,6 +986,47 @@ class AppRunner extends HTMLElement {
       sessionManager.addEventListener('new-session', () => {
         this.handleNewSession()
       })
+      sessionManager.addEventListener('rename-session', () => {
+        this.handleRenameSession()
+      })
+      sessionManager.addEventListener('duplicate-session', () => {
+        this.handleDuplicateSession()
+      })
+      sessionManager.addEventListener('pin-session', () => {
+        this.handlePinSession()
+      })
+      sessionManager.addEventListener('delete-session', () => {
+        this.handleDeleteSession()
+      })
+      sessionManager.addEventListener('export-session', (e) => {
+        this.handleExportSession(e.detail.format)
+      })
+      sessionManager.addEventListener('import-session', (e) => {
+        this.handleImportSession(e.detail.fileName, e.detail.text)
+      })
+    }
+
+    const paramsBtn = this.querySelector('[data-action="params"]')
+    if (paramsBtn) {
+      paramsBtn.addEventListener('click', () => this.handleToggleParams())
+    }
+
+    const paramsForm = this.querySelector('params-form')
+    if (paramsForm) {
+      paramsForm.setParams(getParamDeclarations(this.manifest), resolveParams(this.manifest, this.params))
+      paramsForm.addEventListener('params-change', (e) => {
+        this.handleParamsChange(e.detail.values)
+      })
+      paramsForm.addEventListener('close', () => {
+        this.handleToggleParams()
+      })
+    }
+
+    const conflictDialog = this.querySelector('conflict-dialog')
+    if (conflictDialog) {
+      conflictDialog.addEventListener('resolve', (e) => {
+        this.handleConflictResolve(e.detail.choice)
+      })
     }
 
     // Store reference to iframe
@@ -331,13 +1038,21 @@ class AppRunner extends HTMLElement {
       <div class="runner">
         <header class="runner-header">
           <button class="secondary" data-action="back">← Back</button>
-          <h2>${this.manifest?.name || 'Loading...'}</h2>
+          <h2>${this.manifest?.icon ? `${this.escapeHtml(this.manifest.icon)} ` : ''}${this.escapeHtml(this.manifest?.name || 'Loading...')}</h2>
           <div class="header-actions">
             <session-manager
-              sessions='${JSON.stringify(this.sessions || [])}'
+              sessions="${this.escapeAttr(JSON.stringify(this.sessions || []))}"
               current-session-id="${this.currentSession?.id || ''}"
+              ${this.isTabularSession() ? 'tabular' : ''}
             ></session-manager>
-            <button class="secondary" data-action="edit">Edit</button>
+            ${getParamDeclarations(this.manifest).length > 0 ? `
+              <button class="secondary ${this.showParams ? 'active' : ''}" data-action="params">Settings</button>
+            ` : ''}
+            ${this.isViewOnly() ? `
+              <span class="view-only" title="Shared with you. Your sessions are kept in your own Drive.">View only</span>
+            ` : `
+              <button class="secondary" data-action="edit">Edit</button>
+            `}
           </div>
         </header>
 
@@ -345,19 +1060,30 @@ class AppRunner extends HTMLElement {
           <div class="loading">Loading app...</div>
         ` : `
           <div class="sync-bar">
-            <span class="sync-time ${this.hasUnsavedChanges ? 'unsaved' : ''}">${this.hasUnsavedChanges ? 'Unsaved changes' : `Synced ${this.formatSyncTime(this.syncTime)}`}</span>
+            <span class="sync-time ${this.getSyncStatus().className}">${this.getSyncStatus().text}</span>
+            ${this.renderParticipants()}
+            ${this.renderValidationBadge()}
             <button class="sync-btn" data-action="save" ${!this.hasUnsavedChanges ? 'disabled' : ''}>Save</button>
             <button class="sync-btn" data-action="reload">↻ Reload</button>
+            <button class="sync-btn" data-action="history">History</button>
           </div>
           <div class="runner-content">
             <iframe
               class="app-iframe"
-              sandbox="allow-scripts allow-modals"
-              srcdoc="${this.escapeAttr(this.appHtml || '')}"
+              sandbox="${getSandbox(this.manifest)}"
+              srcdoc="${this.escapeAttr(resolveAssets(this.appHtml || '', this.assets))}"
             ></iframe>
             <div class="iframe-overlay"></div>
+            ${getParamDeclarations(this.manifest).length > 0 ? `
+              <div class="params-side ${this.showParams ? 'open' : ''}">
+                <params-form></params-form>
+              </div>
+            ` : ''}
           </div>
         `}
+
+        <conflict-dialog></conflict-dialog>
+        <session-history></session-history>
       </div>
 
       <style>
@@ -457,16 +1183,77 @@ class AppRunner extends HTMLElement {
           display: block;
         }
 
+        .params-side {
+          display: none;
+          width: 280px;
+        }
+
+        .params-side.open {
+          display: block;
+        }
+
+        .header-actions .active {
+          background: #e8f0fe;
+        }
+
+        .sync-time.pending {
+          color: #1967d2;
+        }
+
         .sync-time.saving {
           color: #666;
           font-style: italic;
         }
+
+        .view-only {
+          padding: 4px 10px;
+          border-radius: 10px;
+          background: #f1f3f4;
+          color: #666;
+          font-size: 13px;
+          cursor: default;
+        }
+
+        .participants {
+          padding: 1px 8px;
+          border-radius: 8px;
+          background: #e8f0fe;
+          color: #1967d2;
+          font-size: 12px;
+          cursor: default;
+        }
+
+        .validation-badge {
+          padding: 1px 8px;
+          border-radius: 8px;
+          font-size: 12px;
+          cursor: default;
+        }
+
+        .validation-badge.valid {
+          background: #e8f5e9;
+          color: #2e7d32;
+        }
+
+        .validation-badge.invalid {
+          background: #ffeef0;
+          color: #c62828;
+        }
       </style>
     `
 
     this.bindEvents()
   }
 
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+
   escapeAttr(str) {
     if (!str) return ''
     return str
@@ -0,0 +1,68 @@
+/**
+ * HTML code editor with highlighting, bracket matching, folding and search.
+ * CodeMirror is loaded on first use so it stays out of the main bundle.
+ *
+ * Events:
+ *   code-change { value } - the document changed
+ *   save                  - Ctrl/Cmd+S was pressed
+ */
+class CodeEditor extends HTMLElement {
+  constructor() {
+    super()
+    this.view = null
+    this.initialValue = ''
+    this.settingValue = false
+  }
+
+  async connectedCallback() {
+    if (this.view) return
+
+    const { createHtmlEditor } = await import('../lib/code-mirror.js')
+    // Removed while loading
+    if (!this.isConnected || this.view) return
+
+    this.view = createHtmlEditor({
+      parent: this,
+      doc: this.initialValue,
+      placeholder: this.getAttribute('placeholder'),
+      onChange: update => {
+        if (this.settingValue) return
+        this.dispatchEvent(new CustomEvent('code-change', {
+          detail: { value: update.state.doc.toString() },
+          bubbles: true
+        }))
+      },
+      onSave: () => {
+        this.dispatchEvent(new CustomEvent('save', { bubbles: true }))
+      }
+    })
+  }
+
+  disconnectedCallback() {
+    this.view?.destroy()
+    this.view = null
+  }
+
+  get value() {
+    return this.view ? this.view.state.doc.toString() : this.initialValue
+  }
+
+  // Replacing the document programmatically doesn't fire code-change
+  set value(value) {
+    this.initialValue = value || ''
+    if (!this.view || this.value === this.initialValue) return
+
+    // Dispatched as an edit so it can be undone
+    this.settingValue = true
+    this.view.dispatch({
+      changes: { from: 0, to: this.view.state.doc.length, insert: this.initialValue }
+    })
+    this.settingValue = false
+  }
+
+  focus() {
+    this.view?.focus()
+  }
+}
+
+customElements.define('code-editor', CodeEditor)
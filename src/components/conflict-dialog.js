@@ -0,0 +1,183 @@
+const PREVIEW_MAX_LENGTH = 600
+
+class ConflictDialog extends HTMLElement {
+  constructor() {
+    super()
+    this.isOpen = false
+    this.mine = null
+    this.theirs = null
+  }
+
+  connectedCallback() {
+    this.render()
+  }
+
+  /**
+   * Show the dialog for a session save conflict
+   * @param {Object} mine - Local session data that failed to save
+   * @param {Object} theirs - Session data currently stored
+   */
+  open(mine, theirs) {
+    this.mine = mine
+    this.theirs = theirs
+    this.isOpen = true
+    this.render()
+  }
+
+  close() {
+    this.isOpen = false
+    this.render()
+  }
+
+  handleResolve(choice) {
+    this.close()
+    this.dispatchEvent(new CustomEvent('resolve', {
+      detail: { choice },
+      bubbles: true
+    }))
+  }
+
+  preview(data) {
+    const json = JSON.stringify(data ?? {}, null, 2)
+    return json.length > PREVIEW_MAX_LENGTH
+      ? json.slice(0, PREVIEW_MAX_LENGTH) + '\n…'
+      : json
+  }
+
+  bindEvents() {
+    this.querySelectorAll('[data-choice]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleResolve(btn.dataset.choice))
+    })
+  }
+
+  render() {
+    this.innerHTML = `
+      ${this.isOpen ? `
+        <div class="modal-backdrop">
+          <div class="modal conflict-modal">
+            <div class="modal-header">
+              <h3>Session changed elsewhere</h3>
+            </div>
+            <div class="modal-body">
+              <p class="conflict-text">
+                This session was saved from another device or tab after you opened it.
+                Choose which copy to keep.
+              </p>
+              <div class="conflict-columns">
+                <div class="conflict-column">
+                  <label class="setting-label">Your changes</label>
+                  <pre class="conflict-preview">${this.escapeHtml(this.preview(this.mine))}</pre>
+                </div>
+                <div class="conflict-column">
+                  <label class="setting-label">Saved copy</label>
+                  <pre class="conflict-preview">${this.escapeHtml(this.preview(this.theirs))}</pre>
+                </div>
+              </div>
+              <div class="conflict-actions">
+                <button data-choice="mine">Keep mine</button>
+                <button class="secondary" data-choice="theirs">Take theirs</button>
+                <button class="secondary" data-choice="merge" title="Combine the changes from both copies">Merge both</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      <style>
+        .modal-backdrop {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          width: 90%;
+          max-width: 400px;
+          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+        }
+
+        .modal-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 16px 20px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .modal-header h3 {
+          margin: 0;
+          font-size: 18px;
+        }
+
+        .modal-body {
+          padding: 20px;
+        }
+
+        .setting-label {
+          display: block;
+          font-weight: 500;
+          margin-bottom: 8px;
+        }
+
+        .conflict-modal {
+          max-width: 640px;
+        }
+
+        .conflict-text {
+          margin: 0 0 16px 0;
+          color: #444;
+        }
+
+        .conflict-columns {
+          display: flex;
+          gap: 12px;
+        }
+
+        .conflict-column {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .conflict-preview {
+          margin: 0;
+          padding: 8px;
+          max-height: 240px;
+          overflow: auto;
+          background: #f8f9fa;
+          border: 1px solid #eee;
+          border-radius: 4px;
+          font-size: 12px;
+        }
+
+        .conflict-actions {
+          display: flex;
+          gap: 8px;
+          justify-content: flex-end;
+          margin-top: 16px;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('conflict-dialog', ConflictDialog)
@@ -0,0 +1,218 @@
+import { storage } from '../lib/storage.js'
+import { toBundleJson } from '../lib/bundle.js'
+import { downloadFile, toFileName } from '../lib/session-io.js'
+
+class ExportDialog extends HTMLElement {
+  constructor() {
+    super()
+    this.isOpen = false
+    this.appId = null
+    this.appName = ''
+    this.sessionCount = null
+    this.includeSessions = false
+    this.exporting = false
+  }
+
+  connectedCallback() {
+    this.render()
+  }
+
+  /**
+   * Ask what to export, then download the app as a bundle file
+   * @param {string} appId
+   * @param {string} appName - Used for the file name
+   */
+  async open(appId, appName) {
+    this.appId = appId
+    this.appName = appName
+    this.sessionCount = null
+    this.includeSessions = false
+    this.isOpen = true
+    this.render()
+
+    try {
+      this.sessionCount = (await storage.listSessions(appId)).length
+    } catch (err) {
+      console.warn('Failed to count sessions:', err)
+      this.sessionCount = 0
+    }
+    if (this.isOpen) this.render()
+  }
+
+  close() {
+    this.isOpen = false
+    this.render()
+  }
+
+  async handleExport() {
+    this.exporting = true
+    this.render()
+
+    try {
+      const bundle = await storage.exportApp(this.appId, { includeSessions: this.includeSessions })
+      downloadFile(`${toFileName(this.appName)}.tiny-app.json`, toBundleJson(bundle), 'application/json')
+      this.exporting = false
+      this.close()
+    } catch (err) {
+      this.exporting = false
+      this.render()
+      alert('Failed to export app: ' + err.message)
+    }
+  }
+
+  handleBackdropClick(e) {
+    if (e.target.classList.contains('modal-backdrop') && !this.exporting) {
+      this.close()
+    }
+  }
+
+  bindEvents() {
+    const backdrop = this.querySelector('.modal-backdrop')
+    if (backdrop) {
+      backdrop.addEventListener('click', (e) => this.handleBackdropClick(e))
+    }
+
+    const closeBtn = this.querySelector('[data-action="close"]')
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close())
+    }
+
+    const sessionsCheckbox = this.querySelector('[data-action="include-sessions"]')
+    if (sessionsCheckbox) {
+      sessionsCheckbox.addEventListener('change', () => {
+        this.includeSessions = sessionsCheckbox.checked
+      })
+    }
+
+    const exportBtn = this.querySelector('[data-action="export"]')
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.handleExport())
+    }
+  }
+
+  render() {
+    this.innerHTML = `
+      ${this.isOpen ? `
+        <div class="modal-backdrop">
+          <div class="modal">
+            <div class="modal-header">
+              <h3>Export "${this.escapeHtml(this.appName)}"</h3>
+              <button class="modal-close" data-action="close" ${this.exporting ? 'disabled' : ''}>&times;</button>
+            </div>
+            <div class="modal-body">
+              <p class="export-text">
+                Downloads one file with the app's code, manifest, settings, assets and the
+                conversation that built it. Anyone can import it into their own library.
+              </p>
+              <label class="export-option">
+                <input type="checkbox" data-action="include-sessions"
+                  ${this.includeSessions ? 'checked' : ''}
+                  ${this.sessionCount ? '' : 'disabled'}>
+                Include saved sessions
+                <span class="export-count">${this.sessionCount === null ? '' : `(${this.sessionCount})`}</span>
+              </label>
+              <p class="export-hint">Sessions may hold personal data. Only include them if you mean to share it.</p>
+              <div class="export-actions">
+                <button data-action="export" ${this.exporting ? 'disabled' : ''}>
+                  ${this.exporting ? 'Exporting...' : 'Export'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      <style>
+        .modal-backdrop {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          width: 90%;
+          max-width: 400px;
+          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+        }
+
+        .modal-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 16px 20px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .modal-header h3 {
+          margin: 0;
+          font-size: 18px;
+        }
+
+        .modal-close {
+          background: none;
+          border: none;
+          font-size: 24px;
+          cursor: pointer;
+          color: #666;
+          padding: 0;
+          line-height: 1;
+        }
+
+        .modal-body {
+          padding: 20px;
+        }
+
+        .export-text {
+          margin: 0 0 16px 0;
+          color: #444;
+        }
+
+        .export-option {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-weight: 500;
+        }
+
+        .export-count {
+          color: #888;
+          font-weight: normal;
+        }
+
+        .export-hint {
+          margin: 4px 0 0 24px;
+          font-size: 12px;
+          color: #888;
+        }
+
+        .export-actions {
+          display: flex;
+          justify-content: flex-end;
+          margin-top: 20px;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('export-dialog', ExportDialog)
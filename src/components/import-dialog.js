@@ -0,0 +1,285 @@
+import { storage } from '../lib/storage.js'
+import { uniqueAppName } from '../lib/bundle.js'
+import { formatSize } from '../lib/assets.js'
+
+class ImportDialog extends HTMLElement {
+  constructor() {
+    super()
+    this.isOpen = false
+    this.bundle = null
+    this.existingNames = []
+    this.name = ''
+    this.includeSessions = true
+    this.importing = false
+  }
+
+  connectedCallback() {
+    this.render()
+  }
+
+  /**
+   * Show what a bundle contains before anything is written
+   * @param {Object} bundle - From parseBundle
+   * @param {string[]} existingNames - Names of the apps already in the library
+   */
+  open(bundle, existingNames) {
+    this.bundle = bundle
+    this.existingNames = existingNames
+    this.name = uniqueAppName(bundle.manifest.name || 'Imported app', existingNames)
+    this.includeSessions = true
+    this.isOpen = true
+    this.render()
+  }
+
+  close() {
+    this.isOpen = false
+    this.bundle = null
+    this.render()
+  }
+
+  nameProblem() {
+    const name = this.name.trim()
+    if (!name) return 'The app needs a name'
+    if (this.existingNames.some(n => n.toLowerCase() === name.toLowerCase())) {
+      return `An app named "${name}" already exists`
+    }
+    return null
+  }
+
+  // Update the warning in place so typing doesn't lose focus
+  handleNameInput(value) {
+    this.name = value
+    const problem = this.nameProblem()
+    this.querySelector('.import-name-problem').textContent = problem || ''
+    this.querySelector('[data-action="import"]').disabled = !!problem
+  }
+
+  async handleImport() {
+    if (this.nameProblem()) return
+
+    this.importing = true
+    this.render()
+
+    try {
+      const app = await storage.importApp(this.bundle, this.name.trim(), { includeSessions: this.includeSessions })
+      this.importing = false
+      this.close()
+      this.dispatchEvent(new CustomEvent('imported', {
+        detail: { app },
+        bubbles: true
+      }))
+    } catch (err) {
+      this.importing = false
+      this.render()
+      alert('Failed to import app: ' + err.message)
+    }
+  }
+
+  handleBackdropClick(e) {
+    if (e.target.classList.contains('modal-backdrop') && !this.importing) {
+      this.close()
+    }
+  }
+
+  bindEvents() {
+    const backdrop = this.querySelector('.modal-backdrop')
+    if (backdrop) {
+      backdrop.addEventListener('click', (e) => this.handleBackdropClick(e))
+    }
+
+    const closeBtn = this.querySelector('[data-action="close"]')
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close())
+    }
+
+    const nameInput = this.querySelector('.import-name')
+    if (nameInput) {
+      nameInput.addEventListener('input', () => this.handleNameInput(nameInput.value))
+    }
+
+    const sessionsCheckbox = this.querySelector('[data-action="include-sessions"]')
+    if (sessionsCheckbox) {
+      sessionsCheckbox.addEventListener('change', () => {
+        this.includeSessions = sessionsCheckbox.checked
+      })
+    }
+
+    const importBtn = this.querySelector('[data-action="import"]')
+    if (importBtn) {
+      importBtn.addEventListener('click', () => this.handleImport())
+    }
+  }
+
+  renderContents() {
+    const { manifest, appHtml, params, assets, sessions, conversation } = this.bundle
+    const originalName = manifest.name || 'Imported app'
+    const problem = this.nameProblem()
+
+    return `
+      ${manifest.description ? `<p class="import-description">${this.escapeHtml(manifest.description)}</p>` : ''}
+
+      <label class="setting-label">Name</label>
+      <input type="text" class="import-name" value="${this.escapeHtml(this.name)}" ${this.importing ? 'disabled' : ''}>
+      ${this.name !== originalName ? `
+        <p class="import-hint">There is already an app named "${this.escapeHtml(originalName)}", so the copy gets a new name.</p>
+      ` : ''}
+      <p class="import-name-problem">${this.escapeHtml(problem || '')}</p>
+
+      <label class="setting-label">Contents</label>
+      <ul class="import-contents">
+        <li>app.html, ${formatSize(new Blob([appHtml]).size)}${manifest.version ? `, version ${this.escapeHtml(String(manifest.version))}` : ''}</li>
+        <li>${Object.keys(params).length} saved setting${Object.keys(params).length === 1 ? '' : 's'}</li>
+        <li>${assets.length} asset${assets.length === 1 ? '' : 's'}${assets.length > 0 ? `: ${assets.map(a => this.escapeHtml(a.name)).join(', ')}` : ''}</li>
+        ${conversation.length > 0 ? `<li>The conversation that built it (${conversation.length} messages)</li>` : ''}
+      </ul>
+
+      ${sessions.length > 0 ? `
+        <label class="import-option">
+          <input type="checkbox" data-action="include-sessions" ${this.includeSessions ? 'checked' : ''} ${this.importing ? 'disabled' : ''}>
+          Import ${sessions.length} session${sessions.length === 1 ? '' : 's'}
+        </label>
+        <p class="import-hint import-sessions">${sessions.map(s => this.escapeHtml(s.name)).join(', ')}</p>
+      ` : ''}
+
+      <div class="import-actions">
+        <button class="secondary" data-action="close" ${this.importing ? 'disabled' : ''}>Cancel</button>
+        <button data-action="import" ${problem || this.importing ? 'disabled' : ''}>
+          ${this.importing ? 'Importing...' : 'Import'}
+        </button>
+      </div>
+    `
+  }
+
+  render() {
+    this.innerHTML = `
+      ${this.isOpen ? `
+        <div class="modal-backdrop">
+          <div class="modal import-modal">
+            <div class="modal-header">
+              <h3>Import app</h3>
+            </div>
+            <div class="modal-body">
+              ${this.renderContents()}
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      <style>
+        .modal-backdrop {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          width: 90%;
+          max-width: 400px;
+          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+        }
+
+        .modal-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 16px 20px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .modal-header h3 {
+          margin: 0;
+          font-size: 18px;
+        }
+
+        .modal-body {
+          padding: 20px;
+        }
+
+        .setting-label {
+          display: block;
+          font-weight: 500;
+          margin-bottom: 8px;
+        }
+
+        .import-modal {
+          max-width: 480px;
+        }
+
+        .import-description {
+          margin: 0 0 16px 0;
+          color: #444;
+        }
+
+        .import-name {
+          width: 100%;
+          box-sizing: border-box;
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+        }
+
+        .import-hint {
+          margin: 4px 0 0 0;
+          font-size: 12px;
+          color: #888;
+        }
+
+        .import-name-problem {
+          margin: 4px 0 12px 0;
+          font-size: 12px;
+          color: #c62828;
+          min-height: 1em;
+        }
+
+        .import-contents {
+          margin: 0 0 16px 0;
+          padding-left: 20px;
+          font-size: 14px;
+          color: #444;
+          word-break: break-word;
+        }
+
+        .import-option {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-weight: 500;
+        }
+
+        .import-sessions {
+          margin-left: 24px;
+        }
+
+        .import-actions {
+          display: flex;
+          gap: 8px;
+          justify-content: flex-end;
+          margin-top: 20px;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('import-dialog', ImportDialog)
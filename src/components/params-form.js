@@ -0,0 +1,214 @@
+import { coerceParam } from '../lib/params.js'
+
+class ParamsForm extends HTMLElement {
+  constructor() {
+    super()
+    this.declarations = []
+    this.values = {}
+  }
+
+  connectedCallback() {
+    this.render()
+  }
+
+  /**
+   * Show a form for the declared parameters
+   * @param {Array} declarations - Output of getParamDeclarations
+   * @param {Object} values - Resolved parameter values
+   */
+  setParams(declarations, values) {
+    this.declarations = declarations
+    this.values = { ...values }
+    this.render()
+  }
+
+  handleChange(key, rawValue) {
+    const decl = this.declarations.find(d => d.key === key)
+    if (!decl) return
+
+    const value = coerceParam(decl, rawValue)
+    // Leave invalid input visible so it can be corrected
+    if (value === undefined && rawValue !== '') return
+
+    this.values = { ...this.values, [key]: value ?? null }
+    this.dispatchEvent(new CustomEvent('params-change', {
+      detail: { values: this.values },
+      bubbles: true
+    }))
+  }
+
+  handleClose() {
+    this.dispatchEvent(new CustomEvent('close', { bubbles: true }))
+  }
+
+  bindEvents() {
+    this.querySelectorAll('[data-param]').forEach(input => {
+      input.addEventListener('change', () => {
+        const value = input.type === 'checkbox' ? input.checked : input.value
+        this.handleChange(input.dataset.param, value)
+      })
+    })
+
+    const closeBtn = this.querySelector('[data-action="close-params"]')
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.handleClose())
+    }
+  }
+
+  renderInput(decl) {
+    const value = this.values[decl.key]
+    const attrs = `id="param-${this.escapeHtml(decl.key)}" data-param="${this.escapeHtml(decl.key)}"`
+
+    switch (decl.type) {
+      case 'boolean':
+        return `<input type="checkbox" ${attrs} ${value ? 'checked' : ''}>`
+
+      case 'enum':
+        return `
+          <select ${attrs}>
+            ${decl.options.map(o => `
+              <option value="${this.escapeHtml(String(o.value))}" ${o.value === value ? 'selected' : ''}>${this.escapeHtml(o.label)}</option>
+            `).join('')}
+          </select>
+        `
+
+      case 'number':
+        return `<input type="number" ${attrs} value="${value ?? ''}"
+          ${decl.min !== undefined ? `min="${decl.min}"` : ''}
+          ${decl.max !== undefined ? `max="${decl.max}"` : ''}
+          ${decl.step !== undefined ? `step="${decl.step}"` : 'step="any"'}>`
+
+      case 'color':
+        return `<input type="color" ${attrs} value="${this.escapeHtml(value || '#000000')}">`
+
+      case 'date':
+        return `<input type="date" ${attrs} value="${this.escapeHtml(value || '')}">`
+
+      default:
+        return `<input type="text" ${attrs} value="${this.escapeHtml(value ?? '')}">`
+    }
+  }
+
+  render() {
+    this.innerHTML = `
+      <div class="params-panel">
+        <div class="params-header">
+          <h3>Settings</h3>
+          <button class="params-close" data-action="close-params" title="Close">&times;</button>
+        </div>
+
+        <div class="params-fields">
+          ${this.declarations.map(decl => `
+            <div class="param-field ${decl.type === 'boolean' ? 'inline' : ''}">
+              <label for="param-${this.escapeHtml(decl.key)}">${this.escapeHtml(decl.label)}</label>
+              ${this.renderInput(decl)}
+              ${decl.description ? `<p class="param-description">${this.escapeHtml(decl.description)}</p>` : ''}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+
+      <style>
+        .params-panel {
+          display: flex;
+          flex-direction: column;
+          height: 100%;
+          background: white;
+          border-left: 1px solid #e0e0e0;
+          overflow: hidden;
+        }
+
+        .params-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 8px 12px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .params-header h3 {
+          margin: 0;
+          font-size: 14px;
+        }
+
+        .params-close {
+          background: none;
+          border: none;
+          font-size: 20px;
+          color: #666;
+          padding: 0;
+          line-height: 1;
+        }
+
+        .params-close:hover {
+          background: none;
+        }
+
+        .params-fields {
+          flex: 1;
+          overflow-y: auto;
+          padding: 12px;
+        }
+
+        .param-field {
+          margin-bottom: 16px;
+        }
+
+        .param-field label {
+          display: block;
+          font-weight: 500;
+          font-size: 13px;
+          margin-bottom: 6px;
+        }
+
+        .param-field.inline {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .param-field.inline label {
+          order: 1;
+          margin: 0;
+        }
+
+        .param-field.inline .param-description {
+          order: 2;
+          flex-basis: 100%;
+        }
+
+        .param-field input[type="text"],
+        .param-field input[type="number"],
+        .param-field input[type="date"],
+        .param-field select {
+          width: 100%;
+          padding: 6px 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 13px;
+          box-sizing: border-box;
+        }
+
+        .param-description {
+          margin: 4px 0 0 0;
+          font-size: 12px;
+          color: #888;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('params-form', ParamsForm)
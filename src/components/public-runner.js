@@ -0,0 +1,208 @@
+import { getSandbox } from '../lib/manifest.js'
+import { resolveParams } from '../lib/params.js'
+import { validate } from '../lib/json-schema.js'
+import { readPublishToken, loadPublicSession, savePublicSession, clearPublicSession } from '../lib/publish.js'
+
+/**
+ * Runs a published snapshot from a #/run/<token> link. Nothing touches Drive:
+ * the app comes from the link and the visitor's data stays in this browser.
+ */
+class PublicRunner extends HTMLElement {
+  constructor() {
+    super()
+    this.app = null
+    this.session = {}
+    this.error = null
+    this.loading = true
+  }
+
+  connectedCallback() {
+    this.messageHandler = this.handleMessage.bind(this)
+    window.addEventListener('message', this.messageHandler)
+
+    this.render()
+    this.loadApp()
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('message', this.messageHandler)
+  }
+
+  async loadApp() {
+    try {
+      this.app = await readPublishToken(this.getAttribute('token') || '')
+      this.session = loadPublicSession(this.app.id)
+      document.title = this.app.manifest.name || document.title
+    } catch (err) {
+      console.error('Failed to open published app:', err)
+      this.error = err.message
+    }
+
+    this.loading = false
+    this.render()
+  }
+
+  handleMessage(event) {
+    const iframe = this.querySelector('.app-iframe')
+    if (!iframe || event.source !== iframe.contentWindow) return
+
+    const { type, data } = event.data || {}
+
+    switch (type) {
+      case 'ready':
+        this.sendMessageToIframe({
+          type: 'init',
+          manifest: this.app.manifest,
+          params: resolveParams(this.app.manifest, this.app.params),
+          session: this.session
+        })
+        break
+
+      case 'update-session':
+        this.handleSessionUpdate(data)
+        break
+    }
+  }
+
+  handleSessionUpdate(data) {
+    let errors = []
+    try {
+      errors = validate(this.app.manifest.sessionSchema, data)
+    } catch (err) {
+      console.warn('Failed to validate session:', err)
+    }
+    if (errors.length > 0) {
+      this.sendMessageToIframe({ type: 'session-invalid', errors })
+      return
+    }
+
+    this.session = data
+    const success = savePublicSession(this.app.id, data)
+    this.sendMessageToIframe({
+      type: 'session-saved',
+      success,
+      ...(!success && { error: 'Browser storage is full or unavailable' })
+    })
+  }
+
+  handleReset() {
+    if (!confirm('Clear the data this app saved in your browser and start over?')) {
+      return
+    }
+    clearPublicSession(this.app.id)
+    this.session = {}
+    this.render()
+  }
+
+  sendMessageToIframe(message) {
+    const iframe = this.querySelector('.app-iframe')
+    iframe?.contentWindow?.postMessage(message, '*')
+  }
+
+  formatDate(isoString) {
+    return new Date(isoString).toLocaleDateString(undefined, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    })
+  }
+
+  bindEvents() {
+    const resetBtn = this.querySelector('[data-action="reset"]')
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => this.handleReset())
+    }
+  }
+
+  render() {
+    const manifest = this.app?.manifest
+
+    this.innerHTML = `
+      <div class="public-runner">
+        ${this.loading ? `
+          <div class="public-message">Loading app...</div>
+        ` : this.error ? `
+          <div class="public-message">
+            <p>This app can't be opened: ${this.escapeHtml(this.error)}.</p>
+            <p>Ask whoever sent the link for a new one.</p>
+          </div>
+        ` : `
+          <header class="public-header">
+            <h2>${manifest.icon ? `${this.escapeHtml(manifest.icon)} ` : ''}${this.escapeHtml(manifest.name || 'Untitled')}</h2>
+            <span class="public-note" title="Published ${this.formatDate(this.app.publishedAt)}">
+              Your data is saved in this browser only
+            </span>
+            <button class="secondary" data-action="reset">Start over</button>
+          </header>
+          <iframe
+            class="app-iframe"
+            sandbox="${getSandbox(manifest)}"
+            srcdoc="${this.escapeAttr(this.app.appHtml)}"
+          ></iframe>
+        `}
+      </div>
+
+      <style>
+        .public-runner {
+          display: flex;
+          flex-direction: column;
+          height: 100vh;
+        }
+
+        .public-header {
+          display: flex;
+          align-items: center;
+          gap: 16px;
+          padding: 12px 16px;
+          background: white;
+          border-bottom: 1px solid #e0e0e0;
+        }
+
+        .public-header h2 {
+          flex: 1;
+          margin: 0;
+          font-size: 18px;
+        }
+
+        .public-note {
+          color: #888;
+          font-size: 13px;
+        }
+
+        .public-message {
+          margin: auto;
+          max-width: 400px;
+          padding: 20px;
+          text-align: center;
+          color: #666;
+        }
+
+        .public-runner .app-iframe {
+          flex: 1;
+          border: none;
+          background: white;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+
+  escapeAttr(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('public-runner', PublicRunner)
@@ -0,0 +1,260 @@
+import { storage } from '../lib/storage.js'
+import { createPublishToken, publicRunUrl, LONG_LINK_LENGTH, MAX_LINK_LENGTH } from '../lib/publish.js'
+import { formatSize } from '../lib/assets.js'
+
+class PublishDialog extends HTMLElement {
+  constructor() {
+    super()
+    this.isOpen = false
+    this.appName = ''
+    this.url = null
+    this.publishing = false
+    this.copied = false
+  }
+
+  connectedCallback() {
+    this.render()
+  }
+
+  /**
+   * Make a public run link for the saved version of an app
+   * @param {string} appId
+   * @param {string} appName
+   */
+  async open(appId, appName) {
+    this.appName = appName
+    this.url = null
+    this.copied = false
+    this.publishing = true
+    this.isOpen = true
+    this.render()
+
+    try {
+      const [files, assets] = await Promise.all([
+        storage.getAppFiles(appId, true),
+        storage.getAssets(appId, true)
+      ])
+      const token = await createPublishToken({
+        appId,
+        manifest: files.manifest,
+        appHtml: files.appHtml,
+        params: files.params,
+        assets
+      })
+      this.url = publicRunUrl(token)
+    } catch (err) {
+      this.publishing = false
+      this.close()
+      alert('Failed to publish app: ' + err.message)
+      return
+    }
+
+    this.publishing = false
+    this.render()
+  }
+
+  close() {
+    this.isOpen = false
+    this.render()
+  }
+
+  async handleCopy() {
+    try {
+      await navigator.clipboard.writeText(this.url)
+      this.copied = true
+      this.render()
+    } catch (err) {
+      // Fall back to selecting the link so it can be copied by hand
+      console.warn('Failed to copy link:', err)
+      this.querySelector('.publish-url')?.select()
+    }
+  }
+
+  handleBackdropClick(e) {
+    if (e.target.classList.contains('modal-backdrop')) {
+      this.close()
+    }
+  }
+
+  bindEvents() {
+    const backdrop = this.querySelector('.modal-backdrop')
+    if (backdrop) {
+      backdrop.addEventListener('click', (e) => this.handleBackdropClick(e))
+    }
+
+    const closeBtn = this.querySelector('[data-action="close"]')
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close())
+    }
+
+    const urlInput = this.querySelector('.publish-url')
+    if (urlInput) {
+      urlInput.addEventListener('focus', () => urlInput.select())
+    }
+
+    const copyBtn = this.querySelector('[data-action="copy"]')
+    if (copyBtn) {
+      copyBtn.addEventListener('click', () => this.handleCopy())
+    }
+  }
+
+  renderLink() {
+    if (this.url.length > MAX_LINK_LENGTH) {
+      return `
+        <p class="publish-problem">
+          The app is too big to publish as a link (${formatSize(this.url.length)}).
+          Large assets are the usual cause; try smaller images.
+        </p>
+      `
+    }
+
+    return `
+      <div class="publish-link">
+        <input type="text" class="publish-url" value="${this.escapeHtml(this.url)}" readonly>
+        <button data-action="copy">${this.copied ? 'Copied' : 'Copy'}</button>
+      </div>
+      ${this.url.length > LONG_LINK_LENGTH ? `
+        <p class="publish-warning">
+          This link is long (${formatSize(this.url.length)}) because the app travels inside it.
+          Some chat and mail apps cut long links, so test it before sending.
+        </p>
+      ` : ''}
+      <p class="publish-hint">
+        Anyone with the link can run this copy of the app without signing in.
+        They can't see your Drive or your sessions, and what they save stays in their browser.
+        Changes you make later don't reach the link; publish again to share them.
+      </p>
+      <a class="publish-open" href="${this.escapeHtml(this.url)}" target="_blank" rel="noopener">Open link</a>
+    `
+  }
+
+  render() {
+    this.innerHTML = `
+      ${this.isOpen ? `
+        <div class="modal-backdrop">
+          <div class="modal publish-modal">
+            <div class="modal-header">
+              <h3>Publish "${this.escapeHtml(this.appName)}"</h3>
+              <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-body">
+              ${this.publishing ? `
+                <div class="publish-loading">Making link...</div>
+              ` : this.url ? this.renderLink() : ''}
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      <style>
+        .modal-backdrop {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          width: 90%;
+          max-width: 400px;
+          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+        }
+
+        .modal-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 16px 20px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .modal-header h3 {
+          margin: 0;
+          font-size: 18px;
+        }
+
+        .modal-close {
+          background: none;
+          border: none;
+          font-size: 24px;
+          cursor: pointer;
+          color: #666;
+          padding: 0;
+          line-height: 1;
+        }
+
+        .modal-body {
+          padding: 20px;
+        }
+
+        .publish-modal {
+          max-width: 480px;
+        }
+
+        .publish-loading {
+          padding: 16px 0;
+          color: #666;
+          text-align: center;
+        }
+
+        .publish-link {
+          display: flex;
+          gap: 8px;
+        }
+
+        .publish-url {
+          flex: 1;
+          min-width: 0;
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 13px;
+          font-family: monospace;
+        }
+
+        .publish-hint {
+          margin: 12px 0;
+          font-size: 13px;
+          color: #666;
+        }
+
+        .publish-warning {
+          margin: 8px 0 0 0;
+          font-size: 13px;
+          color: #b06000;
+        }
+
+        .publish-problem {
+          margin: 0;
+          color: #c62828;
+        }
+
+        .publish-open {
+          font-size: 14px;
+          color: #4285f4;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('publish-dialog', PublishDialog)
@@ -0,0 +1,405 @@
+import { storage } from '../lib/storage.js'
+import { diffJson } from '../lib/json-diff.js'
+
+const VALUE_MAX_LENGTH = 120
+
+class SessionHistory extends HTMLElement {
+  constructor() {
+    super()
+    this.isOpen = false
+    this.sessionId = null
+    this.sessionName = ''
+    this.revisions = []
+    this.contents = new Map() // revisionId -> session JSON
+    this.loading = false
+    this.error = null
+    this.fromId = null
+    this.toId = null
+    this.diff = null
+  }
+
+  connectedCallback() {
+    this.render()
+  }
+
+  /**
+   * Open the history of a session and load its revisions
+   * @param {string} sessionId - Session to show
+   * @param {string} sessionName - Display name
+   */
+  async open(sessionId, sessionName) {
+    this.isOpen = true
+    this.sessionId = sessionId
+    this.sessionName = sessionName
+    this.revisions = []
+    this.contents = new Map()
+    this.diff = null
+    this.error = null
+    this.loading = true
+    this.render()
+
+    try {
+      this.revisions = await storage.listSessionRevisions(sessionId)
+      // Compare the two most recent versions by default
+      this.toId = this.revisions[0]?.id || null
+      this.fromId = this.revisions[1]?.id || this.toId
+      await this.updateDiff()
+    } catch (err) {
+      console.error('Failed to load session history:', err)
+      this.error = err.message
+    }
+
+    this.loading = false
+    this.render()
+  }
+
+  close() {
+    this.isOpen = false
+    this.render()
+  }
+
+  async getContent(revisionId) {
+    if (!this.contents.has(revisionId)) {
+      this.contents.set(revisionId, await storage.getSessionRevision(this.sessionId, revisionId))
+    }
+    return this.contents.get(revisionId)
+  }
+
+  async updateDiff() {
+    if (!this.fromId || !this.toId) {
+      this.diff = null
+      return
+    }
+
+    const [from, to] = await Promise.all([
+      this.getContent(this.fromId),
+      this.getContent(this.toId)
+    ])
+    this.diff = diffJson(from.data ?? {}, to.data ?? {})
+  }
+
+  async handleSelect(which, revisionId) {
+    if (which === 'from') {
+      this.fromId = revisionId
+    } else {
+      this.toId = revisionId
+    }
+
+    try {
+      await this.updateDiff()
+    } catch (err) {
+      this.error = err.message
+    }
+    this.render()
+  }
+
+  async handleRestore(revisionId) {
+    const revision = this.revisions.find(r => r.id === revisionId)
+    if (!confirm(`Restore the version from ${this.formatTime(revision?.modifiedTime)}? Current data will be replaced.`)) {
+      return
+    }
+
+    try {
+      const session = await this.getContent(revisionId)
+      this.close()
+      this.dispatchEvent(new CustomEvent('restore', {
+        detail: { revisionId, session },
+        bubbles: true
+      }))
+    } catch (err) {
+      alert('Failed to load version: ' + err.message)
+    }
+  }
+
+  handleBackdropClick(e) {
+    if (e.target.classList.contains('modal-backdrop')) {
+      this.close()
+    }
+  }
+
+  formatTime(isoString) {
+    if (!isoString) return ''
+    return new Date(isoString).toLocaleString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    })
+  }
+
+  formatValue(value) {
+    const json = JSON.stringify(value)
+    if (json === undefined) return ''
+    return json.length > VALUE_MAX_LENGTH ? json.slice(0, VALUE_MAX_LENGTH) + '…' : json
+  }
+
+  bindEvents() {
+    const backdrop = this.querySelector('.modal-backdrop')
+    if (backdrop) {
+      backdrop.addEventListener('click', (e) => this.handleBackdropClick(e))
+    }
+
+    const closeBtn = this.querySelector('[data-action="close"]')
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close())
+    }
+
+    this.querySelectorAll('.revision-radio').forEach(radio => {
+      radio.addEventListener('change', () => this.handleSelect(radio.dataset.which, radio.value))
+    })
+
+    this.querySelectorAll('[data-action="restore"]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleRestore(btn.dataset.revisionId))
+    })
+  }
+
+  renderDiff() {
+    if (!this.diff) return ''
+    if (this.fromId === this.toId) {
+      return '<p class="history-note">Pick two different versions to compare.</p>'
+    }
+    if (this.diff.length === 0) {
+      return '<p class="history-note">No differences in the saved data.</p>'
+    }
+
+    return `
+      <ul class="diff-list">
+        ${this.diff.map(change => `
+          <li class="diff-item ${change.type}">
+            <span class="diff-path">${this.escapeHtml(change.path)}</span>
+            ${change.type === 'added' ? `
+              <span class="diff-after">+ ${this.escapeHtml(this.formatValue(change.after))}</span>
+            ` : change.type === 'removed' ? `
+              <span class="diff-before">− ${this.escapeHtml(this.formatValue(change.before))}</span>
+            ` : `
+              <span class="diff-before">${this.escapeHtml(this.formatValue(change.before))}</span>
+              →
+              <span class="diff-after">${this.escapeHtml(this.formatValue(change.after))}</span>
+            `}
+          </li>
+        `).join('')}
+      </ul>
+    `
+  }
+
+  render() {
+    this.innerHTML = `
+      ${this.isOpen ? `
+        <div class="modal-backdrop">
+          <div class="modal history-modal">
+            <div class="modal-header">
+              <h3>History: ${this.escapeHtml(this.sessionName)}</h3>
+              <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-body">
+              ${this.loading ? `
+                <p class="history-note">Loading history...</p>
+              ` : this.error ? `
+                <p class="history-error">${this.escapeHtml(this.error)}</p>
+              ` : this.revisions.length === 0 ? `
+                <p class="history-note">No saved versions yet.</p>
+              ` : `
+                <table class="revision-table">
+                  <thead>
+                    <tr>
+                      <th>Saved</th>
+                      <th>From</th>
+                      <th>To</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${this.revisions.map((r, i) => `
+                      <tr>
+                        <td>
+                          ${this.formatTime(r.modifiedTime)}
+                          ${i === 0 ? '<span class="current-badge">current</span>' : ''}
+                          ${r.author ? `<div class="revision-author">${this.escapeHtml(r.author)}</div>` : ''}
+                        </td>
+                        <td><input type="radio" class="revision-radio" name="from" data-which="from" value="${r.id}" ${r.id === this.fromId ? 'checked' : ''}></td>
+                        <td><input type="radio" class="revision-radio" name="to" data-which="to" value="${r.id}" ${r.id === this.toId ? 'checked' : ''}></td>
+                        <td>
+                          ${i === 0 ? '' : `<button class="secondary small" data-action="restore" data-revision-id="${r.id}">Restore</button>`}
+                        </td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+                <h4 class="diff-title">Changes in data</h4>
+                ${this.renderDiff()}
+              `}
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      <style>
+        .modal-backdrop {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          width: 90%;
+          max-width: 400px;
+          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+        }
+
+        .modal-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 16px 20px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .modal-header h3 {
+          margin: 0;
+          font-size: 18px;
+        }
+
+        .modal-close {
+          background: none;
+          border: none;
+          font-size: 24px;
+          cursor: pointer;
+          color: #666;
+          padding: 0;
+          line-height: 1;
+        }
+
+        .modal-body {
+          padding: 20px;
+        }
+
+        .small {
+          padding: 6px 12px;
+          font-size: 12px;
+        }
+
+        .history-modal {
+          max-width: 640px;
+          max-height: 90vh;
+          display: flex;
+          flex-direction: column;
+        }
+
+        .history-modal .modal-body {
+          overflow-y: auto;
+        }
+
+        .history-note {
+          margin: 0;
+          color: #666;
+        }
+
+        .history-error {
+          margin: 0;
+          color: #c62828;
+        }
+
+        .revision-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 13px;
+        }
+
+        .revision-table th {
+          text-align: left;
+          font-weight: 500;
+          color: #666;
+          padding: 4px 8px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .revision-table td {
+          padding: 6px 8px;
+          border-bottom: 1px solid #f3f3f3;
+        }
+
+        .revision-author {
+          color: #888;
+          font-size: 12px;
+        }
+
+        .current-badge {
+          margin-left: 6px;
+          padding: 1px 6px;
+          border-radius: 8px;
+          background: #e8f5e9;
+          color: #2e7d32;
+          font-size: 11px;
+        }
+
+        .diff-title {
+          margin: 20px 0 8px 0;
+          font-size: 14px;
+        }
+
+        .diff-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          font-family: monospace;
+          font-size: 12px;
+        }
+
+        .diff-item {
+          padding: 4px 8px;
+          border-left: 3px solid #ddd;
+          margin-bottom: 4px;
+          word-break: break-all;
+        }
+
+        .diff-item.added {
+          border-color: #2e7d32;
+        }
+
+        .diff-item.removed {
+          border-color: #c62828;
+        }
+
+        .diff-item.changed {
+          border-color: #e67700;
+        }
+
+        .diff-path {
+          font-weight: bold;
+          margin-right: 8px;
+        }
+
+        .diff-before {
+          color: #c62828;
+        }
+
+        .diff-after {
+          color: #2e7d32;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('session-history', SessionHistory)
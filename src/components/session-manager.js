@@ -3,10 +3,12 @@ class SessionManager extends HTMLElement {
     super()
     this.sessions = []
     this.currentSessionId = null
+    this.menuOpen = false
+    this.tabular = false
   }
 
   static get observedAttributes() {
-    return ['sessions', 'current-session-id']
+    return ['sessions', 'current-session-id', 'tabular']
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
@@ -18,6 +20,8 @@ class SessionManager extends HTMLElement {
       }
     } else if (name === 'current-session-id') {
       this.currentSessionId = newValue
+    } else if (name === 'tabular') {
+      this.tabular = newValue !== null
     }
     this.render()
   }
@@ -29,6 +33,7 @@ class SessionManager extends HTMLElement {
       this.sessions = []
     }
     this.currentSessionId = this.getAttribute('current-session-id')
+    this.tabular = this.hasAttribute('tabular')
     this.render()
   }
 
@@ -45,6 +50,45 @@ class SessionManager extends HTMLElement {
     }))
   }
 
+  handleToggleMenu() {
+    this.menuOpen = !this.menuOpen
+    this.render()
+  }
+
+  // Menu actions apply to the selected session: rename, duplicate, pin, delete
+  handleMenuAction(action) {
+    this.menuOpen = false
+    this.render()
+
+    if (action === 'import') {
+      this.querySelector('.import-input')?.click()
+      return
+    }
+
+    if (action === 'export-json' || action === 'export-csv') {
+      this.dispatchEvent(new CustomEvent('export-session', {
+        detail: { sessionId: this.currentSessionId, format: action.slice('export-'.length) },
+        bubbles: true
+      }))
+      return
+    }
+
+    this.dispatchEvent(new CustomEvent(`${action}-session`, {
+      detail: { sessionId: this.currentSessionId },
+      bubbles: true
+    }))
+  }
+
+  async handleImportFile(file) {
+    if (!file) return
+
+    const text = await file.text()
+    this.dispatchEvent(new CustomEvent('import-session', {
+      detail: { fileName: file.name, text },
+      bubbles: true
+    }))
+  }
+
   bindEvents() {
     const select = this.querySelector('.session-select')
     if (select) {
@@ -55,19 +99,51 @@ class SessionManager extends HTMLElement {
     if (newBtn) {
       newBtn.addEventListener('click', () => this.handleNewSession())
     }
+
+    const menuBtn = this.querySelector('[data-action="session-menu"]')
+    if (menuBtn) {
+      menuBtn.addEventListener('click', () => this.handleToggleMenu())
+    }
+
+    this.querySelectorAll('[data-menu-action]').forEach(item => {
+      item.addEventListener('click', () => this.handleMenuAction(item.dataset.menuAction))
+    })
+
+    const importInput = this.querySelector('.import-input')
+    if (importInput) {
+      importInput.addEventListener('change', (e) => this.handleImportFile(e.target.files[0]))
+    }
   }
 
   render() {
+    const current = this.sessions.find(s => s.id === this.currentSessionId)
+
     this.innerHTML = `
       <div class="session-manager">
         <select class="session-select">
           ${this.sessions.map(s => `
             <option value="${s.id}" ${s.id === this.currentSessionId ? 'selected' : ''}>
-              ${this.escapeHtml(s.name)}
+              ${s.pinned ? '📌 ' : ''}${this.escapeHtml(s.name)}
             </option>
           `).join('')}
         </select>
         <button class="new-session-btn" data-action="new-session" title="New session">+</button>
+        <div class="session-menu-wrap">
+          <button class="session-menu-btn secondary" data-action="session-menu" title="Session actions" ${current ? '' : 'disabled'}>⋯</button>
+          ${this.menuOpen && current ? `
+            <ul class="session-menu">
+              <li data-menu-action="rename">Rename…</li>
+              <li data-menu-action="duplicate">Duplicate</li>
+              <li data-menu-action="pin">${current.pinned ? 'Unpin default' : 'Open by default'}</li>
+              <li class="danger" data-menu-action="delete">Delete</li>
+              <li class="divider"></li>
+              <li data-menu-action="export-json">Export JSON</li>
+              ${this.tabular ? '<li data-menu-action="export-csv">Export CSV</li>' : ''}
+              <li data-menu-action="import">Import${this.tabular ? ' JSON/CSV' : ' JSON'}…</li>
+            </ul>
+          ` : ''}
+          <input type="file" class="import-input" accept="${this.tabular ? '.json,.csv' : '.json'}" hidden>
+        </div>
       </div>
 
       <style>
@@ -91,6 +167,54 @@ class SessionManager extends HTMLElement {
           font-size: 16px;
           font-weight: bold;
         }
+
+        .session-menu-wrap {
+          position: relative;
+        }
+
+        .session-menu-btn {
+          padding: 6px 10px;
+          font-size: 16px;
+          line-height: 1;
+        }
+
+        .session-menu {
+          position: absolute;
+          right: 0;
+          top: calc(100% + 4px);
+          z-index: 100;
+          min-width: 160px;
+          margin: 0;
+          padding: 4px 0;
+          list-style: none;
+          background: white;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+        }
+
+        .session-menu li {
+          padding: 8px 14px;
+          font-size: 14px;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .session-menu li:hover {
+          background: #f3f3f3;
+        }
+
+        .session-menu li.danger {
+          color: #c62828;
+        }
+
+        .session-menu li.divider {
+          height: 1px;
+          padding: 0;
+          margin: 4px 0;
+          background: #eee;
+          cursor: default;
+        }
       </style>
     `
 
@@ -1,4 +1,5 @@
-import { geminiClient } from '../lib/gemini-client.js'
+import { llm, PROVIDERS } from '../lib/llm.js'
+import { storage, BACKENDS } from '../lib/storage.js'
 
 class SettingsModal extends HTMLElement {
   constructor() {
@@ -25,16 +26,38 @@ class SettingsModal extends HTMLElement {
     const input = this.querySelector('.api-key-input')
     const key = input?.value?.trim()
     if (key) {
-      geminiClient.setApiKey(key)
+      llm.setConfig(llm.getProvider(), { apiKey: key })
       this.render()
     }
   }
 
   handleClear() {
-    geminiClient.clearApiKey()
+    llm.setConfig(llm.getProvider(), { apiKey: '' })
     this.render()
   }
 
+  handleProviderChange(provider) {
+    llm.setProvider(provider)
+    this.render()
+  }
+
+  // Blank fields go back to the provider's defaults
+  handleConfigChange(field, value) {
+    llm.setConfig(llm.getProvider(), { [field]: value.trim() })
+    this.render()
+  }
+
+  handleBackendChange(backend) {
+    if (backend === storage.getBackend()) return
+
+    storage.setBackend(backend)
+    this.render()
+    this.dispatchEvent(new CustomEvent('backend-change', {
+      detail: { backend },
+      bubbles: true
+    }))
+  }
+
   handleBackdropClick(e) {
     if (e.target.classList.contains('modal-backdrop')) {
       this.close()
@@ -62,6 +85,20 @@ class SettingsModal extends HTMLElement {
       clearBtn.addEventListener('click', () => this.handleClear())
     }
 
+    const backendSelect = this.querySelector('.backend-select')
+    if (backendSelect) {
+      backendSelect.addEventListener('change', (e) => this.handleBackendChange(e.target.value))
+    }
+
+    const providerSelect = this.querySelector('.provider-select')
+    if (providerSelect) {
+      providerSelect.addEventListener('change', (e) => this.handleProviderChange(e.target.value))
+    }
+
+    this.querySelectorAll('[data-config]').forEach(configInput => {
+      configInput.addEventListener('change', (e) => this.handleConfigChange(e.target.dataset.config, e.target.value))
+    })
+
     const input = this.querySelector('.api-key-input')
     if (input) {
       input.addEventListener('keydown', (e) => {
@@ -70,14 +107,27 @@ class SettingsModal extends HTMLElement {
     }
   }
 
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+
   maskKey(key) {
     if (!key || key.length < 8) return '****'
     return key.slice(0, 4) + '****' + key.slice(-4)
   }
 
   render() {
-    const hasKey = geminiClient.hasApiKey()
-    const maskedKey = hasKey ? this.maskKey(geminiClient.getApiKey()) : ''
+    const providerId = llm.getProvider()
+    const provider = PROVIDERS[providerId]
+    const config = llm.getConfig(providerId)
+    const hasKey = !!config.apiKey
+    const maskedKey = hasKey ? this.maskKey(config.apiKey) : ''
+    const backend = storage.getBackend()
 
     this.innerHTML = `
       ${this.isOpen ? `
@@ -88,7 +138,28 @@ class SettingsModal extends HTMLElement {
               <button class="modal-close" data-action="close">&times;</button>
             </div>
             <div class="modal-body">
-              <label class="setting-label">Gemini API Key</label>
+              <label class="setting-label">Storage</label>
+              <select class="backend-select">
+                ${Object.entries(BACKENDS).map(([id, b]) => `
+                  <option value="${id}" ${id === backend ? 'selected' : ''}>${b.label}</option>
+                `).join('')}
+              </select>
+              <p class="setting-note">
+                ${BACKENDS[backend].requiresAuth
+                  ? 'Apps and sessions are stored in your Google Drive.'
+                  : 'Apps and sessions stay in this browser only. Clearing site data deletes them.'}
+              </p>
+
+              <hr class="setting-divider">
+
+              <label class="setting-label">AI Provider</label>
+              <select class="provider-select">
+                ${Object.entries(PROVIDERS).map(([id, p]) => `
+                  <option value="${id}" ${id === providerId ? 'selected' : ''}>${p.label}</option>
+                `).join('')}
+              </select>
+
+              <label class="setting-label">API Key${provider.requiresKey ? '' : ' (optional)'}</label>
               ${hasKey ? `
                 <div class="key-saved">
                   <span class="key-badge">Key saved: ${maskedKey}</span>
@@ -100,12 +171,29 @@ class SettingsModal extends HTMLElement {
                   <button data-action="save">Save</button>
                 </div>
               `}
-              <p class="setting-help">
-                Get your free API key from
-                <a href="https://aistudio.google.com/apikey" target="_blank" rel="noopener">Google AI Studio</a>
-              </p>
+              ${provider.keyHelp ? `
+                <p class="setting-help">
+                  Get your API key from
+                  <a href="${provider.keyHelp.url}" target="_blank" rel="noopener">${provider.keyHelp.label}</a>
+                </p>
+              ` : ''}
+
+              <label class="setting-label">Model</label>
+              <input class="config-input" data-config="model" value="${this.escapeHtml(config.model)}" placeholder="${provider.defaultModel}">
+
+              ${provider.customBaseUrl ? `
+                <label class="setting-label">Base URL</label>
+                <input class="config-input" data-config="baseUrl" value="${this.escapeHtml(config.baseUrl)}" placeholder="${provider.defaultBaseUrl}">
+                ${providerId === 'openai' ? `
+                  <p class="setting-help">
+                    For a local server use its address, e.g. http://localhost:8080/v1 for llama.cpp
+                    or http://localhost:11434/v1 for Ollama.
+                  </p>
+                ` : ''}
+              ` : ''}
+
               <p class="setting-note">
-                Your key is stored locally in your browser and only sent to Google's API.
+                Settings are stored locally in your browser. Your key is only sent to the provider's API.
               </p>
             </div>
           </div>
@@ -167,6 +255,28 @@ class SettingsModal extends HTMLElement {
           margin-bottom: 8px;
         }
 
+        .backend-select,
+        .provider-select,
+        .config-input {
+          width: 100%;
+          box-sizing: border-box;
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+          background: white;
+        }
+
+        .setting-divider {
+          border: none;
+          border-top: 1px solid #eee;
+          margin: 20px 0;
+        }
+
+        .setting-label:not(:first-child) {
+          margin-top: 16px;
+        }
+
         .key-input-row {
           display: flex;
           gap: 8px;
@@ -0,0 +1,357 @@
+import { storage } from '../lib/storage.js'
+
+// Drive permission roles offered when sharing
+const ROLES = {
+  reader: 'Can run',
+  writer: 'Can edit'
+}
+
+class ShareDialog extends HTMLElement {
+  constructor() {
+    super()
+    this.isOpen = false
+    this.appId = null
+    this.appName = ''
+    this.shares = []
+    this.loading = false
+    this.busy = false
+    this.email = ''
+    this.role = 'reader'
+  }
+
+  connectedCallback() {
+    this.render()
+  }
+
+  /**
+   * Show who an app is shared with
+   * @param {string} appId
+   * @param {string} appName
+   */
+  async open(appId, appName) {
+    this.appId = appId
+    this.appName = appName
+    this.shares = []
+    this.email = ''
+    this.role = 'reader'
+    this.isOpen = true
+    await this.reload()
+  }
+
+  close() {
+    this.isOpen = false
+    this.render()
+  }
+
+  async reload() {
+    this.loading = true
+    this.render()
+
+    try {
+      this.shares = await storage.listShares(this.appId)
+    } catch (err) {
+      console.error('Failed to load sharing:', err)
+      alert('Failed to load sharing: ' + err.message)
+    }
+
+    this.loading = false
+    if (this.isOpen) this.render()
+  }
+
+  // Run a sharing change, then show the updated list
+  // Returns whether the change went through
+  async change(action, failure) {
+    this.busy = true
+    this.render()
+
+    let done = false
+    try {
+      await action()
+      done = true
+    } catch (err) {
+      alert(`Failed to ${failure}: ` + err.message)
+    }
+
+    this.busy = false
+    await this.reload()
+    return done
+  }
+
+  async handleShare() {
+    const email = this.email.trim()
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+      alert('Enter an email address')
+      return
+    }
+
+    if (await this.change(() => storage.shareApp(this.appId, email, this.role), 'share app')) {
+      this.email = ''
+      this.render()
+    }
+  }
+
+  async handleRoleChange(permissionId, role) {
+    await this.change(() => storage.updateShare(this.appId, permissionId, role), 'change access')
+  }
+
+  async handleRemove(permissionId, name) {
+    if (!confirm(`Stop sharing "${this.appName}" with ${name}?`)) {
+      return
+    }
+    await this.change(() => storage.unshareApp(this.appId, permissionId), 'stop sharing')
+  }
+
+  handleBackdropClick(e) {
+    if (e.target.classList.contains('modal-backdrop')) {
+      this.close()
+    }
+  }
+
+  bindEvents() {
+    const backdrop = this.querySelector('.modal-backdrop')
+    if (backdrop) {
+      backdrop.addEventListener('click', (e) => this.handleBackdropClick(e))
+    }
+
+    const closeBtn = this.querySelector('[data-action="close"]')
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close())
+    }
+
+    const emailInput = this.querySelector('.share-email')
+    if (emailInput) {
+      emailInput.addEventListener('input', () => {
+        this.email = emailInput.value
+      })
+      emailInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.handleShare()
+      })
+    }
+
+    const roleSelect = this.querySelector('.share-role-new')
+    if (roleSelect) {
+      roleSelect.addEventListener('change', () => {
+        this.role = roleSelect.value
+      })
+    }
+
+    const shareBtn = this.querySelector('[data-action="share"]')
+    if (shareBtn) {
+      shareBtn.addEventListener('click', () => this.handleShare())
+    }
+
+    this.querySelectorAll('[data-permission-id]').forEach(select => {
+      select.addEventListener('change', () => this.handleRoleChange(select.dataset.permissionId, select.value))
+    })
+
+    this.querySelectorAll('[data-action="remove-share"]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleRemove(btn.dataset.shareId, btn.dataset.name))
+    })
+  }
+
+  renderRoleOptions(selected) {
+    return Object.entries(ROLES).map(([role, label]) => `
+      <option value="${role}" ${role === selected ? 'selected' : ''}>${label}</option>
+    `).join('')
+  }
+
+  renderShare(share) {
+    const disabled = this.busy ? 'disabled' : ''
+    return `
+      <li class="share-item">
+        <span class="share-person">
+          <span class="share-name">${this.escapeHtml(share.name)}</span>
+          ${share.name !== share.email ? `<span class="share-email-text">${this.escapeHtml(share.email)}</span>` : ''}
+        </span>
+        ${share.role === 'owner' ? `
+          <span class="share-owner">Owner</span>
+        ` : `
+          <select class="share-role" data-permission-id="${share.id}" ${disabled}>
+            ${this.renderRoleOptions(share.role)}
+          </select>
+          <button class="secondary small" data-action="remove-share" data-share-id="${share.id}" data-name="${this.escapeHtml(share.name)}" ${disabled}>Remove</button>
+        `}
+      </li>
+    `
+  }
+
+  render() {
+    this.innerHTML = `
+      ${this.isOpen ? `
+        <div class="modal-backdrop">
+          <div class="modal share-modal">
+            <div class="modal-header">
+              <h3>Share "${this.escapeHtml(this.appName)}"</h3>
+              <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-body">
+              <div class="share-add">
+                <input type="email" class="share-email" placeholder="Email address" value="${this.escapeHtml(this.email)}" ${this.busy ? 'disabled' : ''}>
+                <select class="share-role-new" ${this.busy ? 'disabled' : ''}>
+                  ${this.renderRoleOptions(this.role)}
+                </select>
+                <button data-action="share" ${this.busy ? 'disabled' : ''}>Share</button>
+              </div>
+              <p class="share-hint">
+                People who can run the app keep their own sessions in their Drive.
+                People who can edit can change the app and everyone's sessions in it.
+              </p>
+
+              ${this.loading && this.shares.length === 0 ? `
+                <div class="share-empty">Loading...</div>
+              ` : `
+                <ul class="share-list">
+                  ${this.shares.map(share => this.renderShare(share)).join('')}
+                </ul>
+              `}
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
+      <style>
+        .modal-backdrop {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          width: 90%;
+          max-width: 400px;
+          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+        }
+
+        .modal-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 16px 20px;
+          border-bottom: 1px solid #eee;
+        }
+
+        .modal-header h3 {
+          margin: 0;
+          font-size: 18px;
+        }
+
+        .modal-close {
+          background: none;
+          border: none;
+          font-size: 24px;
+          cursor: pointer;
+          color: #666;
+          padding: 0;
+          line-height: 1;
+        }
+
+        .modal-body {
+          padding: 20px;
+        }
+
+        .share-modal {
+          max-width: 520px;
+        }
+
+        .share-add {
+          display: flex;
+          gap: 8px;
+        }
+
+        .share-email {
+          flex: 1;
+          min-width: 0;
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+        }
+
+        .share-role,
+        .share-role-new {
+          padding: 6px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+          background: white;
+        }
+
+        .share-hint {
+          margin: 8px 0 16px 0;
+          font-size: 12px;
+          color: #888;
+        }
+
+        .share-empty {
+          padding: 16px 0;
+          color: #666;
+          text-align: center;
+        }
+
+        .share-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .share-item {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 0;
+          border-top: 1px solid #f0f0f0;
+        }
+
+        .share-person {
+          flex: 1;
+          min-width: 0;
+          display: flex;
+          flex-direction: column;
+        }
+
+        .share-name {
+          font-size: 14px;
+        }
+
+        .share-email-text {
+          font-size: 12px;
+          color: #888;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .share-owner {
+          font-size: 14px;
+          color: #888;
+        }
+
+        .share-item .small {
+          padding: 4px 10px;
+          font-size: 12px;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('share-dialog', ShareDialog)
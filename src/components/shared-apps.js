@@ -0,0 +1,231 @@
+import { googleAuth, SHARED_SCOPE } from '../lib/google-auth.js'
+import { storage } from '../lib/storage.js'
+
+class SharedApps extends HTMLElement {
+  constructor() {
+    super()
+    this.apps = []
+    this.loading = false
+  }
+
+  connectedCallback() {
+    this.render()
+
+    if (storage.canOpenSharedApps()) {
+      this.loadApps()
+    }
+  }
+
+  async loadApps() {
+    this.loading = true
+    this.render()
+
+    try {
+      this.apps = await storage.listSharedApps()
+    } catch (err) {
+      console.error('Failed to load shared apps:', err)
+      this.apps = []
+    }
+
+    this.loading = false
+    this.render()
+  }
+
+  handleAllow() {
+    googleAuth.signIn([SHARED_SCOPE], '#/shared')
+  }
+
+  formatDate(isoString) {
+    return new Date(isoString).toLocaleDateString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }
+
+  bindEvents() {
+    const backBtn = this.querySelector('[data-action="back"]')
+    if (backBtn) {
+      backBtn.addEventListener('click', () => { window.location.hash = '#/' })
+    }
+
+    const allowBtn = this.querySelector('[data-action="allow"]')
+    if (allowBtn) {
+      allowBtn.addEventListener('click', () => this.handleAllow())
+    }
+  }
+
+  renderAllow() {
+    return `
+      <div class="shared-allow">
+        <p>
+          Google only lets tiny-app.dev see files it created for you. To list and open apps
+          other people shared with you, it needs access to <strong>all of your Google Drive</strong>.
+        </p>
+        <p>
+          Google will ask you to allow that. tiny-app.dev only uses it to find and open shared apps,
+          and only until you sign out or close this tab; signing in again asks for app files only.
+        </p>
+        <button data-action="allow">Allow Drive access</button>
+      </div>
+    `
+  }
+
+  renderList() {
+    if (this.loading) {
+      return '<div class="loading">Loading shared apps...</div>'
+    }
+    if (this.apps.length === 0) {
+      return `
+        <div class="empty-state">
+          <p>Nobody has shared an app with you yet.</p>
+        </div>
+      `
+    }
+
+    return `
+      <ul class="app-list">
+        ${this.apps.map(app => `
+          <li class="app-item">
+            <a href="#/app/${app.id}" class="app-link">
+              <span class="app-name">${this.escapeHtml(app.name)}</span>
+              ${app.owner ? `<span class="shared-owner">${this.escapeHtml(app.owner)}</span>` : ''}
+              <span class="app-modified">${this.formatDate(app.modifiedTime)}</span>
+            </a>
+            <div class="app-actions">
+              ${app.canEdit ? `<a href="#/app/${app.id}/edit" class="edit-link">Edit</a>` : ''}
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `
+  }
+
+  render() {
+    this.innerHTML = `
+      <div class="shared-apps">
+        <header class="shared-header">
+          <button class="secondary" data-action="back">← Back</button>
+          <h1>Shared with me</h1>
+        </header>
+
+        ${!storage.supportsSharing() ? `
+          <div class="empty-state">
+            <p>Sharing needs Google Drive storage. Switch to it in Settings on the home page.</p>
+          </div>
+        ` : storage.canOpenSharedApps() ? this.renderList() : this.renderAllow()}
+      </div>
+
+      <style>
+        .shared-apps {
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+
+        .shared-header {
+          display: flex;
+          align-items: center;
+          gap: 16px;
+          margin-bottom: 24px;
+        }
+
+        .shared-header h1 {
+          margin: 0;
+          font-size: 24px;
+        }
+
+        .shared-allow {
+          padding: 20px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+          color: #444;
+          font-size: 14px;
+        }
+
+        .shared-allow p {
+          margin: 0 0 12px 0;
+        }
+
+        .loading, .empty-state {
+          text-align: center;
+          padding: 40px 20px;
+          color: #666;
+        }
+
+        .app-list {
+          list-style: none;
+          padding: 0;
+          margin: 0;
+        }
+
+        .app-item {
+          display: flex;
+          align-items: center;
+          background: white;
+          border-radius: 8px;
+          margin-bottom: 8px;
+          box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+          overflow: hidden;
+        }
+
+        .app-link {
+          flex: 1;
+          display: flex;
+          justify-content: space-between;
+          padding: 16px;
+          color: inherit;
+          text-decoration: none;
+        }
+
+        .app-link:hover {
+          background: #f8f8f8;
+        }
+
+        .app-name {
+          font-weight: 500;
+        }
+
+        .shared-owner {
+          margin-left: auto;
+          margin-right: 12px;
+          color: #888;
+          font-size: 14px;
+        }
+
+        .app-modified {
+          color: #888;
+          font-size: 14px;
+        }
+
+        .app-actions {
+          display: flex;
+          gap: 8px;
+          padding-right: 12px;
+        }
+
+        .edit-link {
+          padding: 6px 12px;
+          color: #4285f4;
+          text-decoration: none;
+          font-size: 14px;
+        }
+      </style>
+    `
+
+    this.bindEvents()
+  }
+
+  escapeHtml(str) {
+    if (!str) return ''
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+customElements.define('shared-apps', SharedApps)
@@ -0,0 +1,109 @@
+import { readServerSentEvents } from './sse.js'
+
+const ANTHROPIC_API = 'https://api.anthropic.com'
+const API_VERSION = '2023-06-01'
+// Generated apps are long single files
+const MAX_TOKENS = 16000
+
+/**
+ * Client for Anthropic-style /v1/messages endpoints
+ */
+class AnthropicClient {
+  buildRequest(messages, { systemPrompt, apiKey, model, signal }, stream) {
+    if (!apiKey) {
+      throw new Error('No API key set. Please add your Anthropic API key in settings.')
+    }
+
+    // The conversation has to open with a user turn, so drop any greeting
+    const start = messages.findIndex(msg => msg.role === 'user')
+
+    return {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION,
+        // The key belongs to the user and never leaves their browser
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: MAX_TOKENS,
+        system: systemPrompt,
+        messages: messages.slice(Math.max(start, 0)).map(msg => ({ role: msg.role, content: msg.text })),
+        stream
+      }),
+      signal
+    }
+  }
+
+  endpoint(baseUrl) {
+    return `${(baseUrl || ANTHROPIC_API).replace(/\/+$/, '')}/v1/messages`
+  }
+
+  async throwResponseError(response) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.error?.message || `Anthropic API error: ${response.status}`)
+  }
+
+  /**
+   * Send a chat conversation
+   * @param {Array} messages - Array of {role: 'user'|'assistant', text: string}
+   * @param {Object} options - { systemPrompt, apiKey, model, baseUrl }
+   * @returns {Promise<string>} - The assistant's response text
+   */
+  async chat(messages, options) {
+    const response = await fetch(this.endpoint(options.baseUrl), this.buildRequest(messages, options, false))
+
+    if (!response.ok) {
+      await this.throwResponseError(response)
+    }
+
+    const data = await response.json()
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+
+    if (!text) {
+      throw new Error('No response from the model')
+    }
+
+    return text
+  }
+
+  /**
+   * Stream a chat response as it is generated
+   * @param {Array} messages - Array of {role: 'user'|'assistant', text: string}
+   * @param {Object} options - { systemPrompt, apiKey, model, baseUrl, signal }
+   * @yields {string} - Text chunks in order
+   */
+  async * stream(messages, options) {
+    const response = await fetch(this.endpoint(options.baseUrl), this.buildRequest(messages, options, true))
+
+    if (!response.ok) {
+      await this.throwResponseError(response)
+    }
+
+    let received = false
+    for await (const { event, data } of readServerSentEvents(response)) {
+      if (event === 'error') {
+        throw new Error(JSON.parse(data).error?.message || 'Anthropic API error')
+      }
+      if (event === 'message_stop') break
+      if (event !== 'content_block_delta') continue
+
+      const { delta } = JSON.parse(data)
+      if (delta?.type === 'text_delta' && delta.text) {
+        received = true
+        yield delta.text
+      }
+    }
+
+    if (!received) {
+      throw new Error('No response from the model')
+    }
+  }
+}
+
+export const anthropicClient = new AnthropicClient()
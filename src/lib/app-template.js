@@ -0,0 +1,47 @@
+/**
+ * Default manifest for a newly created app
+ * @param {string} name - The app name
+ * @returns {Object}
+ */
+export function defaultManifest(name) {
+  return {
+    name,
+    version: '1.0.0',
+    params: {},
+    sessionSchema: {}
+  }
+}
+
+/**
+ * Default HTML for a newly created app when no template is given
+ * @param {string} name - The app name
+ * @returns {string}
+ */
+export function defaultAppHtml(name) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${name}</title>
+  <style>
+    body { font-family: sans-serif; padding: 20px; }
+  </style>
+</head>
+<body>
+  <h1>${name}</h1>
+  <p>Edit this app to get started.</p>
+  <script>
+    // Listen for init message from parent
+    window.addEventListener('message', (e) => {
+      if (e.data.type === 'init') {
+        console.log('App initialized with:', e.data);
+        // Your app logic here
+      }
+    });
+
+    // Signal ready
+    window.parent.postMessage({ type: 'ready' }, '*');
+  </script>
+</body>
+</html>`
+}
@@ -0,0 +1,69 @@
+/**
+ * Files kept in an app's assets/ folder (images, fonts, data, shared scripts).
+ * Apps refer to them as "assets/<name>". Sandboxed apps can't fetch them, so
+ * references are replaced with data URLs before the HTML is loaded.
+ */
+
+export const ASSET_MAX_SIZE = 5 * 1024 * 1024
+
+/**
+ * Check a file name before uploading it as an asset
+ * @param {string} name
+ * @returns {string|null} - Problem, or null when the name is usable
+ */
+export function checkAssetName(name) {
+  if (!name || !name.trim()) return 'Asset needs a file name'
+  if (/[/\\]/.test(name)) return 'Asset names cannot contain slashes'
+  return null
+}
+
+/**
+ * Replace asset references with their data URLs
+ * @param {string} html - App HTML
+ * @param {Object<string, string>} assets - Data URL per asset name
+ * @returns {string}
+ */
+export function resolveAssets(html, assets) {
+  const urls = {}
+  for (const [name, url] of Object.entries(assets || {})) {
+    urls[name] = url
+    // Also catch references written with spaces and such escaped
+    urls[encodeURI(name)] = url
+  }
+
+  const names = Object.keys(urls)
+  if (!html || names.length === 0) return html
+
+  // Longest first so "a.png" doesn't win over "a.png.txt"
+  const alternatives = names
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  const pattern = new RegExp(`(?:\\./)?assets/(${alternatives.join('|')})(?![\\w.%-])`, 'g')
+
+  return html.replace(pattern, (match, name) => urls[name])
+}
+
+/**
+ * Read a blob into a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
+
+/**
+ * Human readable file size
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
@@ -0,0 +1,95 @@
+/**
+ * App bundles: one JSON file holding everything needed to recreate an app
+ * (manifest, app.html, params, assets, the creator conversation and,
+ * optionally, its sessions) in another library or storage backend.
+ */
+
+export const BUNDLE_FORMAT = 'tiny-app-bundle'
+export const BUNDLE_VERSION = 1
+
+/**
+ * Serialize a bundle for download
+ * @param {Object} bundle - From storage.exportApp
+ * @returns {string}
+ */
+export function toBundleJson(bundle) {
+  return JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...bundle
+  }, null, 2)
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Parse and check an uploaded bundle file
+ * @param {string} text - File content
+ * @returns {{manifest: Object, appHtml: string, params: Object, sessions: Array, assets: Array, conversation: Array}}
+ * @throws {Error} - When the file isn't a bundle this version can read
+ */
+export function parseBundle(text) {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON')
+  }
+
+  if (!isObject(parsed) || parsed.format !== BUNDLE_FORMAT) {
+    throw new Error('The file is not a tiny-app bundle')
+  }
+  if (parsed.version > BUNDLE_VERSION) {
+    throw new Error('The bundle was made by a newer version of tiny-app.dev')
+  }
+  if (!isObject(parsed.manifest) || typeof parsed.appHtml !== 'string') {
+    throw new Error('The bundle has no manifest or app.html')
+  }
+
+  const sessions = Array.isArray(parsed.sessions) ? parsed.sessions : []
+  const assets = Array.isArray(parsed.assets) ? parsed.assets : []
+  if (sessions.some(s => !isObject(s) || typeof s.name !== 'string')) {
+    throw new Error('The bundle has a session without a name')
+  }
+  if (assets.some(a => !isObject(a) || typeof a.name !== 'string' || !/^data:/.test(a.data))) {
+    throw new Error('The bundle has an unreadable asset')
+  }
+
+  return {
+    manifest: parsed.manifest,
+    appHtml: parsed.appHtml,
+    params: isObject(parsed.params) ? parsed.params : {},
+    sessions,
+    assets,
+    conversation: Array.isArray(parsed.conversation) ? parsed.conversation : []
+  }
+}
+
+/**
+ * Pick a name that no existing app uses, by adding " (2)", " (3)"...
+ * @param {string} name - Wanted name
+ * @param {string[]} existingNames - Names of the apps already in the library
+ * @returns {string}
+ */
+export function uniqueAppName(name, existingNames) {
+  const taken = new Set(existingNames.map(n => n.toLowerCase()))
+  if (!taken.has(name.toLowerCase())) return name
+
+  const base = name.replace(/ \(\d+\)$/, '')
+  let n = 2
+  while (taken.has(`${base} (${n})`.toLowerCase())) n++
+  return `${base} (${n})`
+}
+
+/**
+ * Turn an asset's data URL back into a file for uploading
+ * @param {{name: string, mimeType?: string, data: string}} asset
+ * @returns {Promise<File>}
+ */
+export async function assetToFile(asset) {
+  const blob = await (await fetch(asset.data)).blob()
+  return new File([blob], asset.name, { type: asset.mimeType || blob.type })
+}
@@ -0,0 +1,62 @@
+import { EditorView, basicSetup } from 'codemirror'
+import { keymap, placeholder } from '@codemirror/view'
+import { EditorState } from '@codemirror/state'
+import { indentWithTab } from '@codemirror/commands'
+import { html } from '@codemirror/lang-html'
+
+const theme = EditorView.theme({
+  '&': {
+    height: '100%',
+    fontSize: '14px',
+    backgroundColor: 'white'
+  },
+  '&.cm-focused': {
+    outline: 'none'
+  },
+  '.cm-scroller': {
+    fontFamily: "'Monaco', 'Menlo', 'Ubuntu Mono', monospace",
+    lineHeight: '1.5'
+  }
+})
+
+/**
+ * Create an HTML editor. The html language mode also highlights and indents
+ * the CSS and JavaScript inside <style> and <script> blocks.
+ * @param {Object} options
+ * @param {HTMLElement} options.parent - Element to mount in
+ * @param {string} options.doc - Initial content
+ * @param {string} options.placeholder - Shown while empty
+ * @param {Function} options.onChange - Called with each ViewUpdate that changes the document
+ * @param {Function} options.onSave - Called on Ctrl/Cmd+S
+ * @returns {EditorView}
+ */
+export function createHtmlEditor({ parent, doc, placeholder: placeholderText, onChange, onSave }) {
+  return new EditorView({
+    parent,
+    state: EditorState.create({
+      doc,
+      extensions: [
+        basicSetup,
+        html(),
+        theme,
+        placeholder(placeholderText || ''),
+        keymap.of([
+          indentWithTab,
+          {
+            key: 'Mod-s',
+            preventDefault: true,
+            run: () => {
+              onSave()
+              return true
+            }
+          }
+        ]),
+        EditorView.updateListener.of(update => {
+          if (update.docChanged) {
+            onChange(update)
+          }
+        })
+      ]
+    })
+  })
+}
@@ -1,18 +1,54 @@
 import { googleAuth } from './google-auth.js'
-
-const DRIVE_API = 'https://www.googleapis.com/drive/v3'
-const UPLOAD_API = 'https://www.googleapis.com/upload/drive/v3'
+import { defaultManifest, defaultAppHtml } from './app-template.js'
+import { SessionConflictError, OfflineError, ApiError } from './errors.js'
+import { writeQueue } from './write-queue.js'
+import { blobToDataUrl } from './assets.js'
+
+// Points at mock/drive-server.js when testing without Google
+const API_ORIGIN = import.meta.env.VITE_MOCK_GOOGLE_ORIGIN || 'https://www.googleapis.com'
+const DRIVE_API = `${API_ORIGIN}/drive/v3`
+const UPLOAD_API = `${API_ORIGIN}/upload/drive/v3`
 const ROOT_FOLDER_NAME = 'tiny-app.dev'
+const DRAFTS_FOLDER_NAME = 'drafts'
+// Marks the drafts folder so it isn't listed as an app
+const DRAFTS_FOLDER_ROLE = 'drafts'
+const SHARED_SESSIONS_FOLDER_NAME = 'shared-sessions'
+const SHARED_SESSIONS_FOLDER_ROLE = 'shared-sessions'
+// Marks app folders the owner has shared, so recipients can find them
+const SHARED_APP_PROPERTY = 'sharedApp'
+// Each participant keeps a small file next to the session saying they have it
+// open, so heartbeats don't touch the session itself. Marked with these appProperties.
+const PRESENCE_OF_PROPERTY = 'presenceOf'
+// Key and value share a 124 byte limit, and names may be multi-byte
+const PRESENCE_NAME_LENGTH = 30
 const CACHE_PREFIX = 'tiny_app_cache_'
 const APP_CACHE_KEY = 'tiny_app_files_cache'
 const APP_CACHE_MAX = 4
 const SESSION_CACHE_KEY = 'tiny_app_sessions_cache'
 const SESSION_CACHE_MAX = 10
+// Assets are cached per app next to the app files; large sets are skipped to spare the quota
+const ASSET_CACHE_KEY = 'tiny_app_assets_cache'
+const ASSET_CACHE_MAX_CHARS = 1.5 * 1024 * 1024
+// Fields returned by uploads; headRevisionId only changes when content changes
+const FILE_FIELDS = 'id,name,headRevisionId'
+// Prefix for IDs of sessions created while offline, replaced once uploaded
+const PENDING_ID_PREFIX = 'pending_'
+
+/**
+ * Whether a failed write should stay queued and be retried later
+ */
+function shouldRetryLater(err) {
+  return err instanceof OfflineError || (err instanceof ApiError && err.isRetryable())
+}
 
 class DriveClient {
   constructor() {
     this.rootFolderId = null
+    this.currentUser = null
     this.fileIdCache = {} // in-memory cache for file IDs
+    this.replaying = false
+
+    window.addEventListener('online', () => this.replayQueue())
   }
 
   // ============ Cache helpers ============
@@ -79,6 +115,48 @@ class DriveClient {
     return cache[appId] || null
   }
 
+  // ============ Asset LRU cache ============
+
+  getAssetCache() {
+    try {
+      const data = localStorage.getItem(ASSET_CACHE_KEY)
+      return data ? JSON.parse(data) : {}
+    } catch {
+      return {}
+    }
+  }
+
+  setAssetCache(appId, assets) {
+    try {
+      const cache = this.getAssetCache()
+      const size = Object.values(assets).reduce((total, url) => total + url.length, 0)
+      if (size > ASSET_CACHE_MAX_CHARS) {
+        delete cache[appId]
+      } else {
+        cache[appId] = { assets, cachedAt: Date.now() }
+      }
+
+      // Same limit as the app cache, so assets are kept for the apps whose files are
+      const entries = Object.entries(cache)
+      if (entries.length > APP_CACHE_MAX) {
+        entries.sort((a, b) => a[1].cachedAt - b[1].cachedAt)
+        entries.slice(0, entries.length - APP_CACHE_MAX).forEach(([id]) => delete cache[id])
+      }
+
+      localStorage.setItem(ASSET_CACHE_KEY, JSON.stringify(cache))
+    } catch (e) {
+      console.warn('Asset cache write failed:', e)
+    }
+  }
+
+  clearAssetCache(appId) {
+    const cache = this.getAssetCache()
+    if (cache[appId]) {
+      delete cache[appId]
+      localStorage.setItem(ASSET_CACHE_KEY, JSON.stringify(cache))
+    }
+  }
+
   // ============ Session LRU cache ============
 
   getSessionCache() {
@@ -121,13 +199,42 @@ class DriveClient {
 
   // ============ API helpers ============
 
+  /**
+   * fetch() wrapper that tells "never reached the server" apart from API errors
+   * @throws {OfflineError} - When the network request itself failed
+   */
+  async send(url, options = {}) {
+    let response
+    try {
+      response = await fetch(url, options)
+    } catch {
+      throw new OfflineError()
+    }
+
+    // Any answer from the server means queued writes can go out
+    this.replayQueue()
+    return response
+  }
+
+  /**
+   * ApiError for a failed response, with Drive's message and reason when it sent them
+   */
+  async toApiError(response, fallbackMessage) {
+    const error = await response.json().catch(() => ({}))
+    return new ApiError(
+      error.error?.message || fallbackMessage,
+      response.status,
+      error.error?.errors?.[0]?.reason
+    )
+  }
+
   async request(url, options = {}) {
     const token = googleAuth.getToken()
     if (!token) {
-      throw new Error('Not authenticated')
+      throw new ApiError('Not authenticated', 401)
     }
 
-    const response = await fetch(url, {
+    const response = await this.send(url, {
       ...options,
       headers: {
         'Authorization': `Bearer ${token}`,
@@ -136,10 +243,13 @@ class DriveClient {
     })
 
     if (!response.ok) {
-      const error = await response.json().catch(() => ({}))
-      throw new Error(error.error?.message || `Drive API error: ${response.status}`)
+      throw await this.toApiError(response, `Drive API error: ${response.status}`)
     }
 
+    // DELETE answers with no content
+    if (response.status === 204) {
+      return null
+    }
     return response.json()
   }
 
@@ -158,7 +268,8 @@ class DriveClient {
     }
 
     // Search for existing folder
-    const query = `name='${ROOT_FOLDER_NAME}' and mimeType='application/vnd.google-apps.folder' and trashed=false`
+    // 'me' in owners: with the sharing scope, other people's folders are visible too
+    const query = `name='${ROOT_FOLDER_NAME}' and mimeType='application/vnd.google-apps.folder' and 'me' in owners and trashed=false`
     const result = await this.request(
       `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id,name)`
     )
@@ -187,19 +298,34 @@ class DriveClient {
   // ============ App operations ============
 
   async listApps() {
-    const rootId = await this.ensureRootFolder()
+    let result
+    try {
+      const rootId = await this.ensureRootFolder()
+
+      const query = `'${rootId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`
+      result = await this.request(
+        `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id,name,modifiedTime,appProperties)&orderBy=modifiedTime desc`
+      )
+    } catch (err) {
+      // Offline: fall back to the last known list
+      const cached = this.cacheGet('appList')
+      if (err instanceof OfflineError && cached) {
+        return cached
+      }
+      throw err
+    }
 
-    const query = `'${rootId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`
-    const result = await this.request(
-      `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id,name,modifiedTime)&orderBy=modifiedTime desc`
-    )
+    // Folders with a role (drafts, shared-sessions) aren't apps
+    const apps = result.files
+      .filter(f => !f.appProperties?.role)
+      .map(({ appProperties, ...app }) => app)
 
     // Cache app list
-    this.cacheSet('appList', result.files)
-    return result.files
+    this.cacheSet('appList', apps)
+    return apps
   }
 
-  async createApp(name, template = null) {
+  async createApp(name, template = null, manifest = null) {
     const rootId = await this.ensureRootFolder()
 
     // Create app folder
@@ -229,41 +355,8 @@ class DriveClient {
     // Cache sessions folder ID
     this.cacheSet(`sessionsFolderId_${appId}`, sessionsFolder.id)
 
-    // Default manifest
-    const manifest = {
-      name,
-      version: '1.0.0',
-      params: {},
-      sessionSchema: {}
-    }
-
-    // Default app HTML
-    const appHtml = template || `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>${name}</title>
-  <style>
-    body { font-family: sans-serif; padding: 20px; }
-  </style>
-</head>
-<body>
-  <h1>${name}</h1>
-  <p>Edit this app to get started.</p>
-  <script>
-    // Listen for init message from parent
-    window.addEventListener('message', (e) => {
-      if (e.data.type === 'init') {
-        console.log('App initialized with:', e.data);
-        // Your app logic here
-      }
-    });
-
-    // Signal ready
-    window.parent.postMessage({ type: 'ready' }, '*');
-  </script>
-</body>
-</html>`
+    manifest = manifest || defaultManifest(name)
+    const appHtml = template || defaultAppHtml(name)
 
     const params = {}
 
@@ -285,6 +378,28 @@ class DriveClient {
     return { id: appId, name }
   }
 
+  /**
+   * Rename an app's folder, which is the name the library lists
+   */
+  // Queued like the manifest it follows, so the two can't disagree after going offline
+  async renameApp(appId, name) {
+    await this.mutate({ type: 'renameApp', appId, name })
+
+    const apps = this.cacheGet('appList')
+    if (apps) {
+      this.cacheSet('appList', apps.map(app => app.id === appId ? { ...app, name } : app))
+    }
+    return { id: appId, name }
+  }
+
+  writeAppName(appId, name) {
+    return this.request(`${DRIVE_API}/files/${appId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    })
+  }
+
   async deleteApp(appId) {
     // Clear caches for this app
     this.cacheDelete(`sessionsFolderId_${appId}`)
@@ -292,6 +407,10 @@ class DriveClient {
     this.cacheDelete(`fileId_${appId}_manifest.json`)
     this.cacheDelete(`fileId_${appId}_app.html`)
     this.cacheDelete(`fileId_${appId}_params.json`)
+    this.cacheDelete(`fileId_${appId}_conversation.json`)
+    this.cacheDelete(`assetsFolderId_${appId}`)
+    this.cacheDelete(`access_${appId}`)
+    this.clearAssetCache(appId)
 
     // Clear from LRU app cache
     const cache = this.getAppCache()
@@ -309,25 +428,26 @@ class DriveClient {
 
   // ============ File operations ============
 
-  async createFile(parentId, name, content) {
+  async createFile(parentId, name, content, extraMetadata = {}) {
     const metadata = {
       name,
-      parents: [parentId]
+      parents: [parentId],
+      ...extraMetadata
     }
 
     const form = new FormData()
     form.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }))
-    form.append('file', new Blob([content], { type: 'text/plain' }))
+    form.append('file', content instanceof Blob ? content : new Blob([content], { type: 'text/plain' }))
 
     const token = googleAuth.getToken()
-    const response = await fetch(`${UPLOAD_API}/files?uploadType=multipart`, {
+    const response = await this.send(`${UPLOAD_API}/files?uploadType=multipart&fields=${FILE_FIELDS}`, {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${token}` },
       body: form
     })
 
     if (!response.ok) {
-      throw new Error(`Failed to create file: ${name}`)
+      throw await this.toApiError(response, `Failed to create file: ${name}`)
     }
 
     return response.json()
@@ -335,17 +455,17 @@ class DriveClient {
 
   async updateFile(fileId, content) {
     const token = googleAuth.getToken()
-    const response = await fetch(`${UPLOAD_API}/files/${fileId}?uploadType=media`, {
+    const response = await this.send(`${UPLOAD_API}/files/${fileId}?uploadType=media&fields=${FILE_FIELDS}`, {
       method: 'PATCH',
       headers: {
         'Authorization': `Bearer ${token}`,
-        'Content-Type': 'text/plain'
+        'Content-Type': content instanceof Blob ? content.type || 'application/octet-stream' : 'text/plain'
       },
       body: content
     })
 
     if (!response.ok) {
-      throw new Error('Failed to update file')
+      throw await this.toApiError(response, 'Failed to update file')
     }
 
     return response.json()
@@ -353,17 +473,35 @@ class DriveClient {
 
   async getFileContent(fileId) {
     const token = googleAuth.getToken()
-    const response = await fetch(`${DRIVE_API}/files/${fileId}?alt=media`, {
+    const response = await this.send(`${DRIVE_API}/files/${fileId}?alt=media`, {
       headers: { 'Authorization': `Bearer ${token}` }
     })
 
     if (!response.ok) {
-      throw new Error('Failed to get file content')
+      throw await this.toApiError(response, 'Failed to get file content')
     }
 
     return response.text()
   }
 
+  async getFileBlob(fileId) {
+    const token = googleAuth.getToken()
+    const response = await this.send(`${DRIVE_API}/files/${fileId}?alt=media`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+
+    if (!response.ok) {
+      throw await this.toApiError(response, 'Failed to get file content')
+    }
+
+    return response.blob()
+  }
+
+  async getFileVersion(fileId) {
+    const file = await this.request(`${DRIVE_API}/files/${fileId}?fields=headRevisionId`)
+    return file.headRevisionId
+  }
+
   async findFile(parentId, name) {
     // Check cache first
     const cacheKey = `fileId_${parentId}_${name}`
@@ -440,11 +578,15 @@ class DriveClient {
     return { ...result, syncTime }
   }
 
+  async writeAppFile(appId, name, content) {
+    const file = await this.findFile(appId, name)
+    return file
+      ? this.updateFile(file.id, content)
+      : this.createFile(appId, name, content)
+  }
+
   async saveAppHtml(appId, content) {
-    const file = await this.findFile(appId, 'app.html')
-    const result = file
-      ? await this.updateFile(file.id, content)
-      : await this.createFile(appId, 'app.html', content)
+    const result = await this.mutate({ type: 'writeAppFile', appId, name: 'app.html', content })
 
     // Update cache with new content
     const cached = this.getAppFromCache(appId)
@@ -456,11 +598,8 @@ class DriveClient {
   }
 
   async saveManifest(appId, manifest) {
-    const file = await this.findFile(appId, 'manifest.json')
     const content = JSON.stringify(manifest, null, 2)
-    const result = file
-      ? await this.updateFile(file.id, content)
-      : await this.createFile(appId, 'manifest.json', content)
+    const result = await this.mutate({ type: 'writeAppFile', appId, name: 'manifest.json', content })
 
     // Update cache
     const cached = this.getAppFromCache(appId)
@@ -472,11 +611,8 @@ class DriveClient {
   }
 
   async saveParams(appId, params) {
-    const file = await this.findFile(appId, 'params.json')
     const content = JSON.stringify(params, null, 2)
-    const result = file
-      ? await this.updateFile(file.id, content)
-      : await this.createFile(appId, 'params.json', content)
+    const result = await this.mutate({ type: 'writeAppFile', appId, name: 'params.json', content })
 
     // Update cache
     const cached = this.getAppFromCache(appId)
@@ -487,47 +623,179 @@ class DriveClient {
     return result
   }
 
-  // ============ Session operations (cached) ============
+  async getConversation(appId) {
+    const file = await this.findFile(appId, 'conversation.json')
+    return file ? JSON.parse(await this.getFileContent(file.id)) : []
+  }
 
-  async getSessionsFolderId(appId) {
+  saveConversation(appId, messages) {
+    const content = JSON.stringify(messages, null, 2)
+    return this.mutate({ type: 'writeAppFile', appId, name: 'conversation.json', content })
+  }
+
+  // ============ App subfolders ============
+
+  /**
+   * Find or create a folder inside an app folder ('sessions', 'assets')
+   */
+  async getSubfolderId(appId, name) {
     // Check cache
-    const cached = this.cacheGet(`sessionsFolderId_${appId}`)
+    const cacheKey = `${name}FolderId_${appId}`
+    const cached = this.cacheGet(cacheKey)
     if (cached) {
       return cached
     }
 
-    const folder = await this.findFile(appId, 'sessions')
+    const folder = await this.findFile(appId, name)
     if (!folder) {
       const newFolder = await this.request(`${DRIVE_API}/files`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          name: 'sessions',
+          name,
           mimeType: 'application/vnd.google-apps.folder',
           parents: [appId]
         })
       })
-      this.cacheSet(`sessionsFolderId_${appId}`, newFolder.id)
+      this.cacheSet(cacheKey, newFolder.id)
       return newFolder.id
     }
 
-    this.cacheSet(`sessionsFolderId_${appId}`, folder.id)
+    this.cacheSet(cacheKey, folder.id)
     return folder.id
   }
 
-  async listSessions(appId) {
-    const sessionsFolderId = await this.getSessionsFolderId(appId)
+  // ============ Assets (cached) ============
 
-    const query = `'${sessionsFolderId}' in parents and trashed=false`
+  async listAssets(appId) {
+    const folderId = await this.getSubfolderId(appId, 'assets')
+    const query = `'${folderId}' in parents and trashed=false`
     const result = await this.request(
-      `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id,name,modifiedTime)&orderBy=modifiedTime desc`
+      `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id,name,mimeType,size,modifiedTime)&orderBy=name`
     )
 
-    const sessions = result.files.map(f => ({
+    return result.files.map(f => ({
       id: f.id,
-      name: f.name.replace('.json', ''),
+      name: f.name,
+      mimeType: f.mimeType,
+      size: Number(f.size) || 0,
       modifiedTime: f.modifiedTime
     }))
+  }
+
+  // A file with the same name as an existing asset replaces it
+  async uploadAsset(appId, file) {
+    const folderId = await this.getSubfolderId(appId, 'assets')
+    const existing = (await this.listAssets(appId)).find(a => a.name === file.name)
+
+    const result = existing
+      ? await this.updateFile(existing.id, file)
+      : await this.createFile(folderId, file.name, file)
+
+    this.clearAssetCache(appId)
+    return { id: result.id, name: file.name }
+  }
+
+  async deleteAsset(appId, assetId) {
+    await this.request(`${DRIVE_API}/files/${assetId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ trashed: true })
+    })
+    this.clearAssetCache(appId)
+  }
+
+  /**
+   * Data URLs for every asset, keyed by name
+   * @returns {Promise<Object<string, string>>}
+   */
+  async getAssets(appId, forceRefresh = false) {
+    if (!forceRefresh) {
+      const cached = this.getAssetCache()[appId]
+      if (cached) {
+        return cached.assets
+      }
+    }
+
+    const files = await this.listAssets(appId)
+    const urls = await Promise.all(files.map(async f => blobToDataUrl(await this.getFileBlob(f.id))))
+
+    const assets = {}
+    files.forEach((f, i) => { assets[f.name] = urls[i] })
+    this.setAssetCache(appId, assets)
+    return assets
+  }
+
+  // ============ Session operations (cached) ============
+
+  /**
+   * Where an app's sessions are kept. People who can only view a shared app
+   * keep their own sessions in their Drive instead of the owner's folder.
+   * The choice is cached, so a viewer later made editor keeps their sessions.
+   */
+  async getSessionsFolderId(appId) {
+    const cached = this.cacheGet(`sessionsFolderId_${appId}`)
+    if (cached) {
+      return cached
+    }
+
+    const access = await this.getAppAccess(appId)
+    if (access.canEdit) {
+      return this.getSubfolderId(appId, 'sessions')
+    }
+
+    const folderId = await this.getUserSessionsFolderId(appId)
+    this.cacheSet(`sessionsFolderId_${appId}`, folderId)
+    return folderId
+  }
+
+  async getUserSessionsFolderId(appId) {
+    const parentId = await this.getRoleFolderId(SHARED_SESSIONS_FOLDER_ROLE, SHARED_SESSIONS_FOLDER_NAME)
+    const query = `'${parentId}' in parents and appProperties has { key='appId' and value='${appId}' } and trashed=false`
+    const result = await this.request(
+      `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id)`
+    )
+    if (result.files.length > 0) {
+      return result.files[0].id
+    }
+
+    const folder = await this.request(`${DRIVE_API}/files`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: appId,
+        mimeType: 'application/vnd.google-apps.folder',
+        parents: [parentId],
+        appProperties: { appId }
+      })
+    })
+    return folder.id
+  }
+
+  async listSessions(appId) {
+    let result
+    try {
+      const sessionsFolderId = await this.getSessionsFolderId(appId)
+
+      const query = `'${sessionsFolderId}' in parents and trashed=false`
+      result = await this.request(
+        `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id,name,modifiedTime,appProperties)&orderBy=modifiedTime desc`
+      )
+    } catch (err) {
+      // Offline: fall back to the last known list
+      const cached = this.cacheGet(`sessions_${appId}`)
+      if (err instanceof OfflineError && cached) {
+        return cached
+      }
+      throw err
+    }
+
+    const sessions = result.files.filter(f => !f.appProperties?.[PRESENCE_OF_PROPERTY]).map(f => ({
+      id: f.id,
+      name: f.name.replace('.json', ''),
+      modifiedTime: f.modifiedTime,
+      pinned: f.appProperties?.pinned === 'true'
+    }))
 
     // Cache session list
     this.cacheSet(`sessions_${appId}`, sessions)
@@ -535,55 +803,688 @@ class DriveClient {
   }
 
   async getSession(sessionId, forceRefresh = false) {
+    sessionId = this.resolveSessionId(sessionId)
+
     // Check LRU cache first unless force refresh
     if (!forceRefresh) {
       const cached = this.getSessionFromCache(sessionId)
       if (cached) {
-        return { ...cached.data, syncTime: cached.cachedAt }
+        return { ...cached.data, version: cached.version, syncTime: cached.cachedAt }
       }
     }
 
-    // Fetch from Drive
-    const content = await this.getFileContent(sessionId)
+    // Fetch content and the version it belongs to from Drive
+    const [content, version] = await Promise.all([
+      this.getFileContent(sessionId),
+      this.getFileVersion(sessionId)
+    ])
     const data = JSON.parse(content)
 
     // Cache the result in LRU cache
-    this.setSessionCache(sessionId, { data })
+    this.setSessionCache(sessionId, { data, version })
+
+    return { ...data, version, syncTime: Date.now() }
+  }
+
+  /**
+   * Save a session, rejecting the write if the file changed since it was read.
+   * When offline the write is queued and replayed later.
+   * @param {string} sessionId - Session file ID
+   * @param {Object} data - Session JSON to store
+   * @param {Object} options
+   * @param {string} [options.expectedVersion] - Version last read by the caller; skip check if omitted
+   * @param {string} [options.appId] - Owning app, used to group queued writes
+   * @returns {Promise<{id: string, version: string, queued?: boolean}>}
+   * @throws {SessionConflictError} - When the stored version differs from expectedVersion
+   */
+  async saveSession(sessionId, data, { expectedVersion, appId } = {}) {
+    sessionId = this.resolveSessionId(sessionId)
+    const result = await this.mutate({ type: 'saveSession', appId, sessionId, data, expectedVersion })
+
+    if (result.queued) {
+      // Keep the local copy readable offline; the caller keeps the version it knows
+      const cached = this.getSessionFromCache(sessionId)
+      this.setSessionCache(sessionId, { data, version: cached?.version ?? expectedVersion })
+      return { id: sessionId, version: expectedVersion, queued: true }
+    }
 
-    return { ...data, syncTime: Date.now() }
+    return result
   }
 
-  async saveSession(sessionId, data) {
+  async writeSession(sessionId, data, expectedVersion) {
+    // A session created offline may have been uploaded since this write was queued
+    sessionId = this.resolveSessionId(sessionId)
+    expectedVersion = this.resolveVersion(sessionId, expectedVersion)
+
+    // Drive has no conditional upload, so compare versions right before writing
+    if (expectedVersion) {
+      const currentVersion = await this.getFileVersion(sessionId)
+      if (currentVersion !== expectedVersion) {
+        const remote = JSON.parse(await this.getFileContent(sessionId))
+        this.setSessionCache(sessionId, { data: remote, version: currentVersion })
+        throw new SessionConflictError({ ...remote, version: currentVersion })
+      }
+    }
+
     const result = await this.updateFile(sessionId, JSON.stringify(data, null, 2))
+    const version = result.headRevisionId
 
     // Update LRU cache
-    this.setSessionCache(sessionId, { data })
+    this.setSessionCache(sessionId, { data, version })
 
-    return result
+    return { id: result.id, version }
   }
 
-  async createSession(appId, name) {
-    const sessionsFolderId = await this.getSessionsFolderId(appId)
-
+  async createSession(appId, name, data = {}, { schemaVersion, backupOf } = {}) {
     const sessionData = {
       name,
       createdAt: new Date().toISOString(),
-      data: {}
+      ...(schemaVersion && { schemaVersion }),
+      ...(backupOf && { backupOf }),
+      data
     }
 
+    const tempId = PENDING_ID_PREFIX + crypto.randomUUID()
+    const result = await this.mutate({ type: 'createSession', appId, name, sessionData, tempId })
+    const id = result.queued ? tempId : result.id
+    const version = result.queued ? undefined : result.version
+
+    // Cache session in LRU cache
+    this.setSessionCache(id, { data: sessionData, version })
+
+    // Add to the cached session list so it is available offline
+    const sessions = this.cacheGet(`sessions_${appId}`) || []
+    this.cacheSet(`sessions_${appId}`, [{ id, name, modifiedTime: sessionData.createdAt }, ...sessions])
+
+    return { id, name, data: sessionData, version }
+  }
+
+  async writeNewSession(appId, name, sessionData) {
+    const sessionsFolderId = await this.getSessionsFolderId(appId)
+
     const file = await this.createFile(
       sessionsFolderId,
       `${name}.json`,
       JSON.stringify(sessionData, null, 2)
     )
 
-    // Cache session in LRU cache
-    this.setSessionCache(file.id, { data: sessionData })
+    return { id: file.id, version: file.headRevisionId }
+  }
+
+  /**
+   * Rename a session, keeping the file name and the JSON `name` field in sync
+   * @param {string} [expectedVersion] - Version the caller holds; a newer stored copy is a conflict
+   * @returns {Promise<{id: string, version: string}>}
+   * @throws {SessionConflictError} - When the session changed since expectedVersion
+   */
+  async renameSession(appId, sessionId, name, expectedVersion) {
+    sessionId = this.resolveSessionId(sessionId)
+    const { version, syncTime, ...content } = await this.getSession(sessionId, true)
+
+    // Rewriting the content must not take in changes the caller hasn't seen
+    const result = await this.writeSession(sessionId, { ...content, name }, expectedVersion || version)
+
+    await this.request(`${DRIVE_API}/files/${sessionId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: `${name}.json` })
+    })
 
-    // Invalidate session list cache (will be refreshed on next listSessions)
     this.cacheDelete(`sessions_${appId}`)
+    return result
+  }
+
+  async deleteSession(appId, sessionId) {
+    sessionId = this.resolveSessionId(sessionId)
+
+    await this.request(`${DRIVE_API}/files/${sessionId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ trashed: true })
+    })
+
+    // Drop from caches
+    const cache = this.getSessionCache()
+    if (cache[sessionId]) {
+      delete cache[sessionId]
+      localStorage.setItem(SESSION_CACHE_KEY, JSON.stringify(cache))
+    }
+    this.cacheDelete(`sessions_${appId}`)
+  }
+
+  /**
+   * Mark one session as the app's default, or clear the default with null
+   */
+  async pinSession(appId, sessionId) {
+    sessionId = sessionId && this.resolveSessionId(sessionId)
+    const sessions = await this.listSessions(appId)
+
+    // Only touch files whose pinned state actually changes
+    const changes = sessions.filter(s => s.pinned !== (s.id === sessionId))
+    await Promise.all(changes.map(s => this.request(`${DRIVE_API}/files/${s.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ appProperties: { pinned: s.id === sessionId ? 'true' : null } })
+    })))
+
+    this.cacheSet(`sessions_${appId}`, sessions.map(s => ({ ...s, pinned: s.id === sessionId })))
+  }
+
+  // ============ Revisions ============
+
+  /**
+   * List saved revisions of a file, newest first.
+   * Drive may prune old revisions of frequently saved files.
+   * @returns {Promise<Array<{id: string, modifiedTime: string, author: string|null}>>}
+   */
+  async listRevisions(fileId) {
+    const result = await this.request(
+      `${DRIVE_API}/files/${fileId}/revisions?pageSize=200&fields=revisions(id,modifiedTime,lastModifyingUser(displayName,emailAddress))`
+    )
+
+    return result.revisions
+      .map(r => ({
+        id: r.id,
+        modifiedTime: r.modifiedTime,
+        author: r.lastModifyingUser?.displayName || r.lastModifyingUser?.emailAddress || null
+      }))
+      .reverse()
+  }
+
+  async getRevisionContent(fileId, revisionId) {
+    const token = googleAuth.getToken()
+    const response = await this.send(`${DRIVE_API}/files/${fileId}/revisions/${revisionId}?alt=media`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+
+    if (!response.ok) {
+      throw await this.toApiError(response, 'Failed to get revision content')
+    }
+
+    return response.text()
+  }
+
+  async getAppHtmlFileId(appId) {
+    const file = await this.findFile(appId, 'app.html')
+    if (!file) {
+      throw new Error('app.html not found')
+    }
+    return file.id
+  }
+
+  async listAppHtmlRevisions(appId) {
+    return this.listRevisions(await this.getAppHtmlFileId(appId))
+  }
+
+  async getAppHtmlRevision(appId, revisionId) {
+    return this.getRevisionContent(await this.getAppHtmlFileId(appId), revisionId)
+  }
+
+  /**
+   * Exempt a revision of app.html from Drive's automatic pruning
+   */
+  async keepAppHtmlRevision(appId, revisionId) {
+    const fileId = await this.getAppHtmlFileId(appId)
+    return this.request(`${DRIVE_API}/files/${fileId}/revisions/${revisionId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ keepForever: true })
+    })
+  }
+
+  listSessionRevisions(sessionId) {
+    return this.listRevisions(this.resolveSessionId(sessionId))
+  }
+
+  async getSessionRevision(sessionId, revisionId) {
+    const content = await this.getRevisionContent(this.resolveSessionId(sessionId), revisionId)
+    return JSON.parse(content)
+  }
+
+  // ============ Sharing ============
+
+  /**
+   * What the signed-in user may do with an app folder
+   * @returns {Promise<{owned: boolean, shared: boolean, canEdit: boolean, canShare: boolean}>}
+   */
+  async getAppAccess(appId) {
+    let file
+    try {
+      file = await this.request(`${DRIVE_API}/files/${appId}?fields=ownedByMe,shared,capabilities(canEdit,canShare)`)
+    } catch (err) {
+      const cached = this.cacheGet(`access_${appId}`)
+      if (err instanceof OfflineError && cached) {
+        return cached
+      }
+      throw err
+    }
+
+    const access = {
+      owned: !!file.ownedByMe,
+      shared: !!file.shared,
+      canEdit: !!file.capabilities?.canEdit,
+      canShare: !!file.capabilities?.canShare
+    }
+    this.cacheSet(`access_${appId}`, access)
+    return access
+  }
+
+  /**
+   * Apps other people shared with the signed-in user. Needs SHARED_SCOPE;
+   * with drive.file alone Drive returns none of them.
+   */
+  async listSharedApps() {
+    const query = `sharedWithMe and mimeType='application/vnd.google-apps.folder' and appProperties has { key='${SHARED_APP_PROPERTY}' and value='true' } and trashed=false`
+    const result = await this.request(
+      `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id,name,modifiedTime,owners(displayName,emailAddress),capabilities(canEdit))&orderBy=modifiedTime desc`
+    )
+
+    return result.files.map(f => ({
+      id: f.id,
+      name: f.name,
+      modifiedTime: f.modifiedTime,
+      owner: f.owners?.[0]?.displayName || f.owners?.[0]?.emailAddress || null,
+      canEdit: !!f.capabilities?.canEdit
+    }))
+  }
+
+  /**
+   * People an app is shared with, owner included
+   * @returns {Promise<Array<{id: string, email: string, name: string, role: string}>>}
+   */
+  async listShares(appId) {
+    const result = await this.request(
+      `${DRIVE_API}/files/${appId}/permissions?fields=permissions(id,type,role,emailAddress,displayName)`
+    )
+
+    return result.permissions
+      .filter(p => p.type === 'user')
+      .map(p => ({ id: p.id, email: p.emailAddress, name: p.displayName || p.emailAddress, role: p.role }))
+  }
+
+  /**
+   * Give someone access to an app folder and everything in it
+   * @param {string} role - 'reader' (can run) or 'writer' (can edit)
+   */
+  async shareApp(appId, email, role) {
+    const permission = await this.request(`${DRIVE_API}/files/${appId}/permissions?sendNotificationEmail=true`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'user', role, emailAddress: email })
+    })
+
+    await this.request(`${DRIVE_API}/files/${appId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ appProperties: { [SHARED_APP_PROPERTY]: 'true' } })
+    })
+
+    return { id: permission.id, role: permission.role }
+  }
+
+  async updateShare(appId, permissionId, role) {
+    await this.request(`${DRIVE_API}/files/${appId}/permissions/${permissionId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ role })
+    })
+  }
+
+  async unshareApp(appId, permissionId) {
+    await this.request(`${DRIVE_API}/files/${appId}/permissions/${permissionId}`, {
+      method: 'DELETE'
+    })
+  }
+
+  // ============ Live sessions ============
+
+  /**
+   * The signed-in user, as other participants see them
+   * @returns {Promise<{id: string, name: string}>}
+   */
+  async getCurrentUser() {
+    if (!this.currentUser) {
+      const { user } = await this.request(`${DRIVE_API}/about?fields=user(displayName,emailAddress,permissionId)`)
+      this.currentUser = { id: user.permissionId, name: user.displayName || user.emailAddress }
+    }
+    return this.currentUser
+  }
+
+  /**
+   * Cursor for listChangedFiles; changes after this point are reported
+   */
+  async getChangesCursor() {
+    const result = await this.request(`${DRIVE_API}/changes/startPageToken`)
+    return result.startPageToken
+  }
+
+  /**
+   * IDs of files changed since a cursor, content or metadata
+   * @returns {Promise<{fileIds: Set<string>, cursor: string}>}
+   */
+  async listChangedFiles(cursor) {
+    const fileIds = new Set()
+    let pageToken = cursor
+
+    while (true) {
+      const result = await this.request(
+        `${DRIVE_API}/changes?pageToken=${encodeURIComponent(pageToken)}&spaces=drive&includeRemoved=true&fields=nextPageToken,newStartPageToken,changes(fileId)`
+      )
+      result.changes.forEach(change => fileIds.add(change.fileId))
+
+      if (result.newStartPageToken) {
+        return { fileIds, cursor: result.newStartPageToken }
+      }
+      pageToken = result.nextPageToken
+    }
+  }
+
+  /**
+   * Current version of a session and who has it open
+   * @returns {Promise<{version: string, participants: Array<{id: string, name: string, seenAt: number}>, watchIds: string[]}>}
+   *   watchIds: files whose changes (in listChangedFiles) mean this state may differ
+   */
+  async getSessionState(sessionId) {
+    sessionId = this.resolveSessionId(sessionId)
+    const file = await this.request(`${DRIVE_API}/files/${sessionId}?fields=headRevisionId,parents`)
+    const presenceFiles = await this.listPresenceFiles(sessionId, file.parents[0])
+
+    const participants = presenceFiles.map(f => ({
+      id: f.appProperties.userId,
+      name: f.appProperties.name || '',
+      seenAt: Number(f.appProperties.seenAt) || 0
+    }))
+
+    return {
+      version: file.headRevisionId,
+      participants,
+      watchIds: [sessionId, ...presenceFiles.map(f => f.id)]
+    }
+  }
+
+  async listPresenceFiles(sessionId, folderId) {
+    const query = `'${folderId}' in parents and appProperties has { key='${PRESENCE_OF_PROPERTY}' and value='${sessionId}' } and trashed=false`
+    const result = await this.request(
+      `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id,appProperties)`
+    )
+    return result.files
+  }
+
+  /**
+   * Mark the signed-in user as having a session open, or as gone.
+   * Writes only the user's own presence file, never the session.
+   */
+  async setSessionPresence(sessionId, present) {
+    sessionId = this.resolveSessionId(sessionId)
+    const user = await this.getCurrentUser()
+    const appProperties = {
+      seenAt: present ? String(Date.now()) : '0',
+      name: user.name.slice(0, PRESENCE_NAME_LENGTH)
+    }
+
+    const cacheKey = `presenceFileId_${sessionId}`
+    const fileId = this.cacheGet(cacheKey)
+    if (fileId) {
+      try {
+        await this.request(`${DRIVE_API}/files/${fileId}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ appProperties })
+        })
+        return
+      } catch (err) {
+        if (!(err instanceof ApiError) || err.status !== 404) throw err
+        this.cacheDelete(cacheKey)
+      }
+    }
+    if (!present) return
+
+    const session = await this.request(`${DRIVE_API}/files/${sessionId}?fields=parents`)
+    const file = await this.request(`${DRIVE_API}/files`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: `${sessionId}.presence`,
+        mimeType: 'application/json',
+        parents: session.parents,
+        appProperties: { ...appProperties, [PRESENCE_OF_PROPERTY]: sessionId, userId: user.id }
+      })
+    })
+    this.cacheSet(cacheKey, file.id)
+  }
+
+  // ============ Drafts ============
+
+  /**
+   * Folder in the root for app-wide data rather than an app, marked with
+   * an appProperties role so listApps can skip it
+   */
+  async getRoleFolderId(role, name) {
+    const cacheKey = `${role}FolderId`
+    const cached = this.cacheGet(cacheKey)
+    if (cached) {
+      return cached
+    }
+
+    const rootId = await this.ensureRootFolder()
+    const query = `'${rootId}' in parents and appProperties has { key='role' and value='${role}' } and trashed=false`
+    const result = await this.request(
+      `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id)`
+    )
+
+    let folderId = result.files[0]?.id
+    if (!folderId) {
+      const folder = await this.request(`${DRIVE_API}/files`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name,
+          mimeType: 'application/vnd.google-apps.folder',
+          parents: [rootId],
+          appProperties: { role }
+        })
+      })
+      folderId = folder.id
+    }
+
+    this.cacheSet(cacheKey, folderId)
+    return folderId
+  }
+
+  /**
+   * Folder holding creator drafts, one `<draft id>.json` file each
+   */
+  getDraftsFolderId() {
+    return this.getRoleFolderId(DRAFTS_FOLDER_ROLE, DRAFTS_FOLDER_NAME)
+  }
+
+  async listDrafts() {
+    const folderId = await this.getDraftsFolderId()
+    const query = `'${folderId}' in parents and trashed=false`
+    const result = await this.request(
+      `${DRIVE_API}/files?q=${encodeURIComponent(query)}&fields=files(id,name,description,modifiedTime)&orderBy=modifiedTime desc`
+    )
+
+    // The title is kept in the file description so listing needs no downloads
+    return result.files.map(f => ({
+      id: f.name.replace('.json', ''),
+      title: f.description || '',
+      modifiedTime: f.modifiedTime
+    }))
+  }
+
+  async getDraft(draftId) {
+    const file = await this.findFile(await this.getDraftsFolderId(), `${draftId}.json`)
+    return file ? JSON.parse(await this.getFileContent(file.id)) : null
+  }
+
+  async saveDraft(draft) {
+    const folderId = await this.getDraftsFolderId()
+    const name = `${draft.id}.json`
+    const content = JSON.stringify(draft, null, 2)
+
+    const file = await this.findFile(folderId, name)
+    if (!file) {
+      await this.createFile(folderId, name, content, { description: draft.title })
+      return { id: draft.id }
+    }
+
+    await Promise.all([
+      this.updateFile(file.id, content),
+      this.request(`${DRIVE_API}/files/${file.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ description: draft.title })
+      })
+    ])
+    return { id: draft.id }
+  }
+
+  async deleteDraft(draftId) {
+    const folderId = await this.getDraftsFolderId()
+    const name = `${draftId}.json`
+    const file = await this.findFile(folderId, name)
+    if (!file) return
+
+    await this.request(`${DRIVE_API}/files/${file.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ trashed: true })
+    })
+    this.cacheDelete(`fileId_${folderId}_${name}`)
+  }
+
+  // ============ Offline write queue ============
+
+  /**
+   * Run a write now, or queue it when offline or behind other queued writes
+   * @param {Object} op - Queue item: { type, appId, ...payload }
+   * @returns {Promise<Object>} - The write result, or { queued: true }
+   */
+  async mutate(op) {
+    // Writes must not overtake ones already waiting in the queue
+    if (navigator.onLine && await writeQueue.size() === 0) {
+      try {
+        return await this.executeWrite(op)
+      } catch (err) {
+        if (!(err instanceof OfflineError)) {
+          throw err
+        }
+      }
+    }
+
+    await writeQueue.enqueue(op)
+    this.replayQueue()
+    return { queued: true }
+  }
+
+  executeWrite(op) {
+    switch (op.type) {
+      case 'writeAppFile':
+        return this.writeAppFile(op.appId, op.name, op.content)
+      case 'renameApp':
+        return this.writeAppName(op.appId, op.name)
+      case 'saveSession':
+        return this.writeSession(op.sessionId, op.data, op.expectedVersion)
+      case 'createSession':
+        return this.writeNewSession(op.appId, op.name, op.sessionData)
+      default:
+        throw new Error(`Unknown queued write: ${op.type}`)
+    }
+  }
+
+  async replayQueue() {
+    if (this.replaying || !navigator.onLine || !googleAuth.isSignedIn()) return
+
+    // Only one tab replays at a time
+    if (navigator.locks) {
+      return navigator.locks.request('tiny_app_write_queue', { ifAvailable: true },
+        lock => lock && this.drainQueue())
+    }
+    return this.drainQueue()
+  }
+
+  async drainQueue() {
+    this.replaying = true
+    try {
+      let op
+      while ((op = await writeQueue.peek())) {
+        try {
+          await this.replayWrite(op)
+        } catch (err) {
+          if (shouldRetryLater(err)) {
+            break
+          }
+          console.error(`Dropping queued ${op.type} that cannot succeed:`, err)
+          await writeQueue.drop(op, err)
+          continue
+        }
+        await writeQueue.remove(op.seq)
+      }
+    } catch (err) {
+      console.warn('Write queue replay failed:', err)
+    } finally {
+      this.replaying = false
+    }
+  }
+
+  async replayWrite(op) {
+    try {
+      const result = await this.executeWrite(op)
+
+      if (op.type === 'createSession') {
+        this.mapSessionId(op.appId, op.tempId, result.id, result.version)
+      } else if (op.type === 'saveSession' && op.expectedVersion) {
+        this.recordReplayedVersion(op.sessionId, op.expectedVersion, result.version)
+      }
+    } catch (err) {
+      if (!(err instanceof SessionConflictError) || !op.appId) {
+        throw err
+      }
+      // Saved elsewhere while we were offline: keep our edits as a separate session
+      const name = `${op.data.name} (offline copy)`
+      await this.writeNewSession(op.appId, name, { ...op.data, name })
+      this.cacheDelete(`sessions_${op.appId}`)
+    }
+  }
+
+  resolveSessionId(sessionId) {
+    const map = this.cacheGet('sessionIdMap') || {}
+    return map[sessionId] || sessionId
+  }
+
+  /**
+   * Point a session created offline at its uploaded Drive file
+   */
+  mapSessionId(appId, tempId, fileId, version) {
+    const map = this.cacheGet('sessionIdMap') || {}
+    map[tempId] = fileId
+    this.cacheSet('sessionIdMap', map)
+
+    const cached = this.getSessionFromCache(tempId)
+    if (cached) {
+      this.setSessionCache(fileId, { data: cached.data, version })
+    }
+
+    const sessions = this.cacheGet(`sessions_${appId}`)
+    if (sessions) {
+      this.cacheSet(`sessions_${appId}`, sessions.map(s => s.id === tempId ? { ...s, id: fileId } : s))
+    }
+  }
+
+  /**
+   * Remember that a queued save moved the session past the version its caller
+   * still holds, so the caller's next save isn't mistaken for a conflict
+   */
+  recordReplayedVersion(sessionId, fromVersion, toVersion) {
+    const replayed = this.cacheGet('replayedVersions') || {}
+    replayed[sessionId] = { from: fromVersion, to: toVersion }
+    this.cacheSet('replayedVersions', replayed)
+  }
 
-    return { id: file.id, name, data: sessionData }
+  resolveVersion(sessionId, version) {
+    const replayed = (this.cacheGet('replayedVersions') || {})[sessionId]
+    return replayed && replayed.from === version ? replayed.to : version
   }
 }
 
@@ -0,0 +1,56 @@
+/**
+ * Thrown when a session save is rejected because the stored copy changed
+ * since it was last read (e.g. the same session was saved on another device)
+ */
+export class SessionConflictError extends Error {
+  /**
+   * @param {Object} remote - The current stored session, including its version
+   */
+  constructor(remote) {
+    super('Session was changed elsewhere since it was loaded')
+    this.name = 'SessionConflictError'
+    this.remote = remote
+  }
+}
+
+/**
+ * Thrown when a request could not reach the server at all
+ */
+export class OfflineError extends Error {
+  constructor(message = 'You appear to be offline') {
+    super(message)
+    this.name = 'OfflineError'
+  }
+}
+
+// Drive answers 403 with one of these when a request was only throttled
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded']
+
+/**
+ * Thrown when the server answered with an error status
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {string} [reason] - Machine-readable reason, e.g. 'rateLimitExceeded'
+   */
+  constructor(message, status, reason = null) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.reason = reason
+  }
+
+  /**
+   * Whether the same request may succeed later (auth, rate limit, server errors).
+   * Other 403s mean no permission, which waiting won't fix.
+   */
+  isRetryable() {
+    if (this.status === 403) {
+      return RATE_LIMIT_REASONS.includes(this.reason)
+    }
+    return this.status === 401 || this.status === 408 ||
+      this.status === 429 || this.status >= 500
+  }
+}
@@ -1,27 +1,41 @@
 // Google OAuth configuration
 const CLIENT_ID = import.meta.env.VITE_GOOGLE_CLIENT_ID
 const SCOPES = 'https://www.googleapis.com/auth/drive.file'
+// drive.file only reaches files this app created, so opening apps other people
+// shared needs full Drive access. It is asked for only from the "Shared with me" page, which says why.
+export const SHARED_SCOPE = 'https://www.googleapis.com/auth/drive'
 const REDIRECT_URI = window.location.origin + '/'
+const AUTH_ORIGIN = import.meta.env.VITE_MOCK_GOOGLE_ORIGIN || 'https://accounts.google.com'
 
 class GoogleAuth {
   constructor() {
     this.tokenKey = 'tiny_app_token'
     this.expiryKey = 'tiny_app_token_expiry'
+    this.scopeKey = 'tiny_app_token_scope'
+    this.returnKey = 'tiny_app_return_to'
   }
 
   /**
    * Start OAuth flow by redirecting to Google
+   * @param {string[]} [extraScopes] - Scopes to ask for on top of the default ones
+   * @param {string} [returnTo] - Route to open after signing in
    */
-  signIn() {
+  signIn(extraScopes = [], returnTo = null) {
+    // No include_granted_scopes: a broad scope granted once shouldn't ride along on every later sign-in
     const params = new URLSearchParams({
       client_id: CLIENT_ID,
       redirect_uri: REDIRECT_URI,
       response_type: 'token',
-      scope: SCOPES,
-      include_granted_scopes: 'true'
+      scope: [SCOPES, ...extraScopes].join(' ')
     })
 
-    window.location.href = `https://accounts.google.com/o/oauth2/v2/auth?${params}`
+    if (returnTo) {
+      sessionStorage.setItem(this.returnKey, returnTo)
+    } else {
+      sessionStorage.removeItem(this.returnKey)
+    }
+
+    window.location.href = `${AUTH_ORIGIN}/o/oauth2/v2/auth?${params}`
   }
 
   /**
@@ -33,11 +47,13 @@ class GoogleAuth {
 
     const accessToken = params.get('access_token')
     const expiresIn = params.get('expires_in')
+    const scope = params.get('scope')
 
     if (accessToken) {
       const expiry = Date.now() + (parseInt(expiresIn, 10) * 1000)
       sessionStorage.setItem(this.tokenKey, accessToken)
       sessionStorage.setItem(this.expiryKey, expiry.toString())
+      sessionStorage.setItem(this.scopeKey, scope || SCOPES)
 
       // Clean up URL
       window.history.replaceState(null, '', window.location.pathname)
@@ -47,6 +63,16 @@ class GoogleAuth {
     return false
   }
 
+  /**
+   * Route signIn was asked to come back to, once
+   * @returns {string|null}
+   */
+  takeReturnRoute() {
+    const route = sessionStorage.getItem(this.returnKey)
+    sessionStorage.removeItem(this.returnKey)
+    return route?.startsWith('#/') ? route : null
+  }
+
   /**
    * Get current access token if valid
    */
@@ -74,12 +100,21 @@ class GoogleAuth {
     return this.getToken() !== null
   }
 
+  /**
+   * Whether the current token was granted a scope
+   */
+  hasScope(scope) {
+    if (!this.isSignedIn()) return false
+    return (sessionStorage.getItem(this.scopeKey) || SCOPES).split(' ').includes(scope)
+  }
+
   /**
    * Sign out - clear stored token
    */
   signOut() {
     sessionStorage.removeItem(this.tokenKey)
     sessionStorage.removeItem(this.expiryKey)
+    sessionStorage.removeItem(this.scopeKey)
   }
 
   /**
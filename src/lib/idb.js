@@ -0,0 +1,35 @@
+/**
+ * Open (and create or upgrade) an IndexedDB database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Receives the database during onupgradeneeded
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version)
+    request.onupgradeneeded = () => upgrade(request.result)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Run a callback inside a transaction and resolve once it commits
+ * @param {IDBDatabase} db - Open database
+ * @param {string|string[]} storeNames - Object store(s) to open
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the first store and the transaction, may return an IDBRequest
+ * @returns {Promise<any>} - The request result, if one was returned
+ */
+export function runTransaction(db, storeNames, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode)
+    const first = Array.isArray(storeNames) ? storeNames[0] : storeNames
+    const request = fn(tx.objectStore(first), tx)
+
+    tx.oncomplete = () => resolve(request ? request.result : undefined)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'))
+  })
+}
@@ -0,0 +1,441 @@
+import { defaultManifest, defaultAppHtml } from './app-template.js'
+import { SessionConflictError } from './errors.js'
+import { openDatabase, runTransaction } from './idb.js'
+import { blobToDataUrl } from './assets.js'
+
+const DB_NAME = 'tiny_app_local'
+const DB_VERSION = 4
+const APPS_STORE = 'apps'
+const SESSIONS_STORE = 'sessions'
+const REVISIONS_STORE = 'revisions'
+const DRAFTS_STORE = 'drafts'
+const ASSETS_STORE = 'assets'
+// Revisions kept per file, oldest are pruned first
+const REVISIONS_MAX = 50
+
+/**
+ * Fully local storage provider backed by IndexedDB.
+ * Mirrors the DriveClient surface so components can use either one.
+ */
+class IndexedDbClient {
+  constructor() {
+    this.dbPromise = null
+  }
+
+  // ============ Database helpers ============
+
+  openDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, db => {
+        if (!db.objectStoreNames.contains(APPS_STORE)) {
+          db.createObjectStore(APPS_STORE, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+          const sessions = db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' })
+          sessions.createIndex('appId', 'appId')
+        }
+        if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+          const revisions = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id', autoIncrement: true })
+          revisions.createIndex('fileId', 'fileId')
+          revisions.createIndex('appId', 'appId')
+        }
+        if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+          db.createObjectStore(DRAFTS_STORE, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(ASSETS_STORE)) {
+          const assets = db.createObjectStore(ASSETS_STORE, { keyPath: 'id' })
+          assets.createIndex('appId', 'appId')
+        }
+      }).catch(err => {
+        this.dbPromise = null
+        throw err
+      })
+    }
+    return this.dbPromise
+  }
+
+  async transaction(storeNames, mode, fn) {
+    const db = await this.openDb()
+    return runTransaction(db, storeNames, mode, fn)
+  }
+
+  getRecord(storeName, id) {
+    return this.transaction(storeName, 'readonly', store => store.get(id))
+  }
+
+  putRecord(storeName, record) {
+    return this.transaction(storeName, 'readwrite', store => store.put(record))
+  }
+
+  async requireApp(appId) {
+    const app = await this.getRecord(APPS_STORE, appId)
+    if (!app) {
+      throw new Error('App not found')
+    }
+    return app
+  }
+
+  async requireSession(sessionId) {
+    const session = await this.getRecord(SESSIONS_STORE, sessionId)
+    if (!session) {
+      throw new Error('Session not found')
+    }
+    return session
+  }
+
+  /**
+   * Record a revision of a file inside an open readwrite transaction
+   * @param {IDBTransaction} tx - Transaction that includes the revisions store
+   * @param {string} appId - Owning app, for cleanup on delete
+   * @param {string} fileId - Session ID, or `${appId}/<file name>` for app files
+   * @param {any} content - Content as saved
+   */
+  addRevision(tx, appId, fileId, content) {
+    const revisions = tx.objectStore(REVISIONS_STORE)
+    revisions.add({ appId, fileId, content, modifiedTime: new Date().toISOString() })
+
+    // Keys are auto-incremented, so the first ones are the oldest
+    const existing = revisions.index('fileId').getAll(fileId)
+    existing.onsuccess = () => {
+      const prunable = existing.result.filter(r => !r.keepForever)
+      prunable.slice(0, Math.max(0, prunable.length - REVISIONS_MAX))
+        .forEach(r => revisions.delete(r.id))
+    }
+  }
+
+  byModifiedDesc(a, b) {
+    return b.modifiedTime.localeCompare(a.modifiedTime)
+  }
+
+  // ============ App operations ============
+
+  async listApps() {
+    const apps = await this.transaction(APPS_STORE, 'readonly', store => store.getAll())
+
+    return apps
+      .map(app => ({ id: app.id, name: app.name, modifiedTime: app.modifiedTime }))
+      .sort(this.byModifiedDesc)
+  }
+
+  async createApp(name, template = null, manifest = null) {
+    const app = {
+      id: crypto.randomUUID(),
+      name,
+      modifiedTime: new Date().toISOString(),
+      manifest: manifest || defaultManifest(name),
+      params: {},
+      appHtml: template || defaultAppHtml(name)
+    }
+
+    await this.transaction([APPS_STORE, REVISIONS_STORE], 'readwrite', (store, tx) => {
+      store.put(app)
+      this.addRevision(tx, app.id, `${app.id}/app.html`, app.appHtml)
+    })
+    return { id: app.id, name }
+  }
+
+  async renameApp(appId, name) {
+    await this.updateApp(appId, { name })
+    return { id: appId, name }
+  }
+
+  deleteApp(appId) {
+    return this.transaction([APPS_STORE, SESSIONS_STORE, REVISIONS_STORE, ASSETS_STORE], 'readwrite', (apps, tx) => {
+      apps.delete(appId)
+
+      for (const storeName of [SESSIONS_STORE, REVISIONS_STORE, ASSETS_STORE]) {
+        const store = tx.objectStore(storeName)
+        const keys = store.index('appId').getAllKeys(appId)
+        keys.onsuccess = () => keys.result.forEach(id => store.delete(id))
+      }
+    })
+  }
+
+  // Apps in this browser are never shared
+  async getAppAccess() {
+    return { owned: true, shared: false, canEdit: true, canShare: false }
+  }
+
+  // ============ App files ============
+
+  // forceRefresh is accepted for parity with DriveClient; local data is always fresh
+  async getAppFiles(appId, forceRefresh = false) {
+    const app = await this.requireApp(appId)
+
+    return {
+      manifest: app.manifest,
+      params: app.params,
+      appHtml: app.appHtml,
+      syncTime: Date.now()
+    }
+  }
+
+  async updateApp(appId, changes) {
+    const app = await this.requireApp(appId)
+    const updated = { ...app, ...changes, modifiedTime: new Date().toISOString() }
+    await this.putRecord(APPS_STORE, updated)
+    return { id: appId }
+  }
+
+  async saveAppHtml(appId, content) {
+    const app = await this.requireApp(appId)
+
+    await this.transaction([APPS_STORE, REVISIONS_STORE], 'readwrite', (store, tx) => {
+      store.put({ ...app, appHtml: content, modifiedTime: new Date().toISOString() })
+      this.addRevision(tx, appId, `${appId}/app.html`, content)
+    })
+
+    return { id: appId }
+  }
+
+  saveManifest(appId, manifest) {
+    return this.updateApp(appId, { manifest })
+  }
+
+  saveParams(appId, params) {
+    return this.updateApp(appId, { params })
+  }
+
+  async getConversation(appId) {
+    const app = await this.requireApp(appId)
+    return app.conversation || []
+  }
+
+  // Not an edit to the app itself, so modifiedTime is left alone
+  async saveConversation(appId, messages) {
+    const app = await this.requireApp(appId)
+    await this.putRecord(APPS_STORE, { ...app, conversation: messages })
+    return { id: appId }
+  }
+
+  // ============ Assets ============
+
+  async listAssets(appId) {
+    const assets = await this.transaction(ASSETS_STORE, 'readonly',
+      store => store.index('appId').getAll(appId))
+
+    return assets
+      .map(a => ({ id: a.id, name: a.name, mimeType: a.mimeType, size: a.size, modifiedTime: a.modifiedTime }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  // A file with the same name as an existing asset replaces it
+  async uploadAsset(appId, file) {
+    await this.requireApp(appId)
+    const existing = (await this.listAssets(appId)).find(a => a.name === file.name)
+
+    const asset = {
+      id: existing?.id || crypto.randomUUID(),
+      appId,
+      name: file.name,
+      mimeType: file.type || 'application/octet-stream',
+      size: file.size,
+      modifiedTime: new Date().toISOString(),
+      blob: file
+    }
+    await this.putRecord(ASSETS_STORE, asset)
+    return { id: asset.id, name: asset.name }
+  }
+
+  deleteAsset(appId, assetId) {
+    return this.transaction(ASSETS_STORE, 'readwrite', store => store.delete(assetId))
+  }
+
+  // forceRefresh is accepted for parity with DriveClient
+  async getAssets(appId, forceRefresh = false) {
+    const assets = await this.transaction(ASSETS_STORE, 'readonly',
+      store => store.index('appId').getAll(appId))
+
+    const urls = {}
+    for (const asset of assets) {
+      urls[asset.name] = await blobToDataUrl(asset.blob)
+    }
+    return urls
+  }
+
+  // ============ Session operations ============
+
+  async listSessions(appId) {
+    const sessions = await this.transaction(SESSIONS_STORE, 'readonly',
+      store => store.index('appId').getAll(appId))
+
+    return sessions
+      .map(s => ({ id: s.id, name: s.name, modifiedTime: s.modifiedTime, pinned: !!s.pinned }))
+      .sort(this.byModifiedDesc)
+  }
+
+  async getSession(sessionId, forceRefresh = false) {
+    const session = await this.requireSession(sessionId)
+    return { ...session.content, version: String(session.version), syncTime: Date.now() }
+  }
+
+  /**
+   * Save a session, rejecting the write if it changed since it was read.
+   * The check and write share one transaction, so unlike Drive there is no race.
+   */
+  async saveSession(sessionId, data, { expectedVersion } = {}) {
+    let failure = null
+    let saved = null
+
+    await this.transaction([SESSIONS_STORE, REVISIONS_STORE], 'readwrite', (store, tx) => {
+      const request = store.get(sessionId)
+      request.onsuccess = () => {
+        const session = request.result
+        if (!session) {
+          failure = new Error('Session not found')
+          return
+        }
+        if (expectedVersion && String(session.version) !== expectedVersion) {
+          failure = new SessionConflictError({ ...session.content, version: String(session.version) })
+          return
+        }
+        saved = {
+          ...session,
+          content: data,
+          version: session.version + 1,
+          modifiedTime: new Date().toISOString()
+        }
+        store.put(saved)
+        this.addRevision(tx, session.appId, sessionId, data)
+      }
+    })
+
+    if (failure) {
+      throw failure
+    }
+    return { id: sessionId, version: String(saved.version) }
+  }
+
+  async createSession(appId, name, data = {}, { schemaVersion, backupOf } = {}) {
+    const sessionData = {
+      name,
+      createdAt: new Date().toISOString(),
+      ...(schemaVersion && { schemaVersion }),
+      ...(backupOf && { backupOf }),
+      data
+    }
+
+    const session = {
+      id: crypto.randomUUID(),
+      appId,
+      name,
+      modifiedTime: sessionData.createdAt,
+      version: 1,
+      content: sessionData
+    }
+
+    await this.transaction([SESSIONS_STORE, REVISIONS_STORE], 'readwrite', (store, tx) => {
+      store.put(session)
+      this.addRevision(tx, appId, session.id, sessionData)
+    })
+    return { id: session.id, name, data: sessionData, version: '1' }
+  }
+
+  async renameSession(appId, sessionId, name, expectedVersion) {
+    const session = await this.requireSession(sessionId)
+    if (expectedVersion && String(session.version) !== expectedVersion) {
+      throw new SessionConflictError({ ...session.content, version: String(session.version) })
+    }
+    const updated = {
+      ...session,
+      name,
+      content: { ...session.content, name },
+      version: session.version + 1,
+      modifiedTime: new Date().toISOString()
+    }
+
+    await this.transaction([SESSIONS_STORE, REVISIONS_STORE], 'readwrite', (store, tx) => {
+      store.put(updated)
+      this.addRevision(tx, appId, sessionId, updated.content)
+    })
+    return { id: sessionId, version: String(updated.version) }
+  }
+
+  deleteSession(appId, sessionId) {
+    return this.transaction([SESSIONS_STORE, REVISIONS_STORE], 'readwrite', (store, tx) => {
+      store.delete(sessionId)
+
+      const revisions = tx.objectStore(REVISIONS_STORE)
+      const keys = revisions.index('fileId').getAllKeys(sessionId)
+      keys.onsuccess = () => keys.result.forEach(id => revisions.delete(id))
+    })
+  }
+
+  pinSession(appId, sessionId) {
+    return this.transaction(SESSIONS_STORE, 'readwrite', store => {
+      const sessions = store.index('appId').getAll(appId)
+      sessions.onsuccess = () => {
+        sessions.result
+          .filter(s => !!s.pinned !== (s.id === sessionId))
+          .forEach(s => store.put({ ...s, pinned: s.id === sessionId }))
+      }
+    })
+  }
+
+  // ============ Revisions ============
+
+  async listRevisions(fileId) {
+    const revisions = await this.transaction(REVISIONS_STORE, 'readonly',
+      store => store.index('fileId').getAll(fileId))
+
+    return revisions
+      .map(r => ({ id: String(r.id), modifiedTime: r.modifiedTime, author: null }))
+      .reverse()
+  }
+
+  async getRevisionContent(fileId, revisionId) {
+    const revision = await this.getRecord(REVISIONS_STORE, Number(revisionId))
+    if (!revision || revision.fileId !== fileId) {
+      throw new Error('Revision not found')
+    }
+    return revision.content
+  }
+
+  listAppHtmlRevisions(appId) {
+    return this.listRevisions(`${appId}/app.html`)
+  }
+
+  getAppHtmlRevision(appId, revisionId) {
+    return this.getRevisionContent(`${appId}/app.html`, revisionId)
+  }
+
+  async keepAppHtmlRevision(appId, revisionId) {
+    const revision = await this.getRecord(REVISIONS_STORE, Number(revisionId))
+    if (revision) {
+      await this.putRecord(REVISIONS_STORE, { ...revision, keepForever: true })
+    }
+  }
+
+  listSessionRevisions(sessionId) {
+    return this.listRevisions(sessionId)
+  }
+
+  getSessionRevision(sessionId, revisionId) {
+    return this.getRevisionContent(sessionId, revisionId)
+  }
+
+  // ============ Drafts ============
+
+  async listDrafts() {
+    const drafts = await this.transaction(DRAFTS_STORE, 'readonly', store => store.getAll())
+
+    return drafts
+      .map(d => ({ id: d.id, title: d.title, modifiedTime: d.modifiedTime }))
+      .sort(this.byModifiedDesc)
+  }
+
+  async getDraft(draftId) {
+    return (await this.getRecord(DRAFTS_STORE, draftId)) || null
+  }
+
+  async saveDraft(draft) {
+    await this.putRecord(DRAFTS_STORE, draft)
+    return { id: draft.id }
+  }
+
+  deleteDraft(draftId) {
+    return this.transaction(DRAFTS_STORE, 'readwrite', store => store.delete(draftId))
+  }
+}
+
+export const indexedDbClient = new IndexedDbClient()
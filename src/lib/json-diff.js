@@ -0,0 +1,65 @@
+/**
+ * Structural diff of two JSON values
+ * @param {any} before - Old value
+ * @param {any} after - New value
+ * @returns {Array<{path: string, type: 'added'|'removed'|'changed', before?: any, after?: any}>}
+ */
+export function diffJson(before, after) {
+  const changes = []
+  walk(before, after, [], changes)
+  return changes
+}
+
+function walk(before, after, path, changes) {
+  if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = Array.isArray(before)
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])]
+
+    for (const key of keys) {
+      const childPath = [...path, key]
+      if (!(key in after)) {
+        changes.push({ path: formatPath(childPath), type: 'removed', before: before[key] })
+      } else if (!(key in before)) {
+        changes.push({ path: formatPath(childPath), type: 'added', after: after[key] })
+      } else {
+        walk(before[key], after[key], childPath, changes)
+      }
+    }
+    return
+  }
+
+  if (!isEqual(before, after)) {
+    changes.push({ path: formatPath(path), type: 'changed', before, after })
+  }
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object'
+}
+
+/**
+ * Deep equality for JSON values
+ */
+export function isEqual(a, b) {
+  if (a === b) return true
+  if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) {
+    return false
+  }
+
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  return keysA.length === keysB.length && keysA.every(key => key in b && isEqual(a[key], b[key]))
+}
+
+/**
+ * Format a path array like ['items', 2, 'title'] as "items[2].title"
+ */
+export function formatPath(path) {
+  if (path.length === 0) return '(root)'
+
+  return path.reduce((str, key) => {
+    if (typeof key === 'number') return `${str}[${key}]`
+    return str ? `${str}.${key}` : key
+  }, '')
+}
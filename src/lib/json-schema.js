@@ -0,0 +1,262 @@
+import { isEqual, formatPath } from './json-diff.js'
+
+/**
+ * Validate data against a JSON Schema.
+ *
+ * Supports the keywords generated apps realistically use: type, enum, const,
+ * properties, required, additionalProperties, items, min/maxItems, uniqueItems,
+ * minimum/maximum (and exclusive variants), multipleOf, min/maxLength, pattern,
+ * allOf/anyOf/oneOf/not and local $ref into #/definitions or #/$defs.
+ * Unknown keywords are ignored. An empty schema accepts anything.
+ *
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {any} data - Value to check
+ * @returns {Array<{path: string, message: string}>} - Empty when valid
+ */
+export function validate(schema, data) {
+  const errors = []
+  check(schema ?? {}, data, [], schema ?? {}, errors)
+  return errors
+}
+
+/**
+ * Whether a schema places any constraints at all
+ */
+export function hasConstraints(schema) {
+  return schema === false || (!!schema && typeof schema === 'object' && Object.keys(schema).length > 0)
+}
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']
+
+/**
+ * Check that a schema is usable by validate()
+ * @param {any} schema - Value for manifest.sessionSchema
+ * @returns {Array<string>} - Problems found, empty when usable
+ */
+export function checkSchema(schema) {
+  const problems = []
+
+  const walk = (node, path) => {
+    if (typeof node === 'boolean') return
+    if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+      problems.push(`${formatPath(path)}: schema must be an object or boolean`)
+      return
+    }
+
+    const types = node.type === undefined ? [] : Array.isArray(node.type) ? node.type : [node.type]
+    for (const type of types) {
+      if (!SCHEMA_TYPES.includes(type)) {
+        problems.push(`${formatPath(path)}: unknown type "${type}"`)
+      }
+    }
+
+    if (node.$ref) {
+      try {
+        resolveRef(node.$ref, schema)
+      } catch (err) {
+        problems.push(`${formatPath(path)}: ${err.message}`)
+      }
+    }
+
+    if (node.pattern !== undefined) {
+      try {
+        new RegExp(node.pattern, 'u')
+      } catch {
+        problems.push(`${formatPath(path)}: invalid pattern ${node.pattern}`)
+      }
+    }
+
+    for (const key of ['properties', 'definitions', '$defs']) {
+      for (const [name, child] of Object.entries(node[key] || {})) {
+        walk(child, [...path, key, name])
+      }
+    }
+    for (const key of ['items', 'additionalProperties', 'not']) {
+      if (Array.isArray(node[key])) {
+        node[key].forEach((child, i) => walk(child, [...path, key, i]))
+      } else if (node[key] !== undefined) {
+        walk(node[key], [...path, key])
+      }
+    }
+    for (const key of ['allOf', 'anyOf', 'oneOf']) {
+      (node[key] || []).forEach((child, i) => walk(child, [...path, key, i]))
+    }
+  }
+
+  walk(schema, [])
+  return problems
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value)
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value)
+  return typeOf(value) === type
+}
+
+function resolveRef(ref, root) {
+  const match = /^#\/(definitions|\$defs)\/(.+)$/.exec(ref)
+  const target = match && root[match[1]]?.[match[2]]
+  if (!target) {
+    throw new Error(`Unsupported $ref: ${ref}`)
+  }
+  return target
+}
+
+function check(schema, value, path, root, errors) {
+  const fail = message => errors.push({ path: formatPath(path), message })
+
+  if (schema === true) return
+  if (schema === false) {
+    fail('is not allowed')
+    return
+  }
+
+  if (schema.$ref) {
+    check(resolveRef(schema.$ref, root), value, path, root, errors)
+    return
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`should be ${types.join(' or ')}, got ${typeOf(value)}`)
+      return
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    fail(`should be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}`)
+  }
+
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    fail(`should be ${JSON.stringify(schema.const)}`)
+  }
+
+  switch (typeOf(value)) {
+    case 'number':
+      checkNumber(schema, value, fail)
+      break
+    case 'string':
+      checkString(schema, value, fail)
+      break
+    case 'array':
+      checkArray(schema, value, path, root, errors, fail)
+      break
+    case 'object':
+      checkObject(schema, value, path, root, errors, fail)
+      break
+  }
+
+  checkCombinators(schema, value, path, root, errors, fail)
+}
+
+function checkNumber(schema, value, fail) {
+  if (schema.minimum !== undefined && value < schema.minimum) fail(`should be >= ${schema.minimum}`)
+  if (schema.maximum !== undefined && value > schema.maximum) fail(`should be <= ${schema.maximum}`)
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    fail(`should be > ${schema.exclusiveMinimum}`)
+  }
+  if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+    fail(`should be < ${schema.exclusiveMaximum}`)
+  }
+  if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+    fail(`should be a multiple of ${schema.multipleOf}`)
+  }
+}
+
+function checkString(schema, value, fail) {
+  const length = [...value].length
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    fail(`should have at least ${schema.minLength} characters`)
+  }
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    fail(`should have at most ${schema.maxLength} characters`)
+  }
+  if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+    fail(`should match ${schema.pattern}`)
+  }
+}
+
+function checkArray(schema, value, path, root, errors, fail) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    fail(`should have at least ${schema.minItems} items`)
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    fail(`should have at most ${schema.maxItems} items`)
+  }
+  if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => isEqual(other, item)) !== i)) {
+    fail('should not contain duplicate items')
+  }
+
+  if (Array.isArray(schema.items)) {
+    // Tuple form
+    schema.items.forEach((itemSchema, i) => {
+      if (i < value.length) check(itemSchema, value[i], [...path, i], root, errors)
+    })
+  } else if (schema.items !== undefined) {
+    value.forEach((item, i) => check(schema.items, item, [...path, i], root, errors))
+  }
+}
+
+// Own keys only: inherited members like "constructor" aren't data
+function checkObject(schema, value, path, root, errors, fail) {
+  for (const key of schema.required || []) {
+    if (!Object.hasOwn(value, key)) {
+      errors.push({ path: formatPath([...path, key]), message: 'is required' })
+    }
+  }
+
+  const properties = schema.properties || {}
+  for (const [key, propSchema] of Object.entries(properties)) {
+    if (Object.hasOwn(value, key)) {
+      check(propSchema, value[key], [...path, key], root, errors)
+    }
+  }
+
+  if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+    for (const key of Object.keys(value)) {
+      if (Object.hasOwn(properties, key)) continue
+      if (schema.additionalProperties === false) {
+        errors.push({ path: formatPath([...path, key]), message: 'is not an allowed property' })
+      } else {
+        check(schema.additionalProperties, value[key], [...path, key], root, errors)
+      }
+    }
+  }
+
+  if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+    fail(`should have at least ${schema.minProperties} properties`)
+  }
+  if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) {
+    fail(`should have at most ${schema.maxProperties} properties`)
+  }
+}
+
+function checkCombinators(schema, value, path, root, errors, fail) {
+  const passes = sub => validateWithRoot(sub, value, path, root).length === 0
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => check(sub, value, path, root, errors))
+  }
+  if (schema.anyOf && !schema.anyOf.some(passes)) {
+    fail('does not match any of the allowed shapes')
+  }
+  if (schema.oneOf && schema.oneOf.filter(passes).length !== 1) {
+    fail('should match exactly one of the allowed shapes')
+  }
+  if (schema.not && passes(schema.not)) {
+    fail('matches a shape that is not allowed')
+  }
+}
+
+function validateWithRoot(schema, value, path, root) {
+  const errors = []
+  check(schema, value, path, root, errors)
+  return errors
+}
@@ -0,0 +1,211 @@
+import { geminiClient } from './gemini-client.js'
+import { openAiClient } from './openai-client.js'
+import { anthropicClient } from './anthropic-client.js'
+import { CREATE_PROMPT } from './prompts.js'
+
+const PROVIDER_KEY = 'tiny_app_llm_provider'
+const CONFIG_PREFIX = 'tiny_app_llm_'
+// Written by earlier versions that only spoke to Gemini
+const LEGACY_GEMINI_KEY = 'tiny_app_gemini_key'
+const DEFAULT_PROVIDER = 'gemini'
+
+/**
+ * Available model providers. Every client implements the same surface:
+ *
+ *   chat(messages, options)   -> response text
+ *   stream(messages, options) -> async iterable of text chunks
+ *
+ * messages are [{ role: 'user'|'assistant', text }] and options are
+ * { systemPrompt, apiKey, model, baseUrl, signal? }.
+ */
+export const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    client: geminiClient,
+    defaultModel: 'gemini-2.5-flash',
+    requiresKey: true,
+    customBaseUrl: false,
+    keyHelp: { label: 'Google AI Studio', url: 'https://aistudio.google.com/apikey' }
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    client: openAiClient,
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    // Local servers such as llama.cpp or Ollama run without a key
+    requiresKey: false,
+    customBaseUrl: true
+  },
+  anthropic: {
+    label: 'Anthropic',
+    client: anthropicClient,
+    defaultModel: 'claude-sonnet-4-5',
+    defaultBaseUrl: 'https://api.anthropic.com',
+    requiresKey: true,
+    customBaseUrl: true,
+    keyHelp: { label: 'Anthropic Console', url: 'https://console.anthropic.com/settings/keys' }
+  }
+}
+
+class Llm {
+  getProvider() {
+    const provider = localStorage.getItem(PROVIDER_KEY)
+    return PROVIDERS[provider] ? provider : DEFAULT_PROVIDER
+  }
+
+  setProvider(provider) {
+    if (!PROVIDERS[provider]) {
+      throw new Error(`Unknown model provider: ${provider}`)
+    }
+    localStorage.setItem(PROVIDER_KEY, provider)
+  }
+
+  /**
+   * Saved settings for a provider, with defaults filled in
+   * @param {string} [provider] - Defaults to the active provider
+   * @returns {{apiKey: string, model: string, baseUrl: string}}
+   */
+  getConfig(provider = this.getProvider()) {
+    const { defaultModel, defaultBaseUrl } = PROVIDERS[provider]
+    const saved = this.readSaved(provider)
+
+    return {
+      apiKey: saved.apiKey || '',
+      model: saved.model || defaultModel,
+      baseUrl: saved.baseUrl || defaultBaseUrl || ''
+    }
+  }
+
+  /**
+   * Update some of a provider's settings. Empty values fall back to defaults.
+   * @param {string} provider
+   * @param {Object} changes - Any of { apiKey, model, baseUrl }
+   */
+  setConfig(provider, changes) {
+    const saved = { ...this.readSaved(provider), ...changes }
+    localStorage.setItem(CONFIG_PREFIX + provider, JSON.stringify(saved))
+
+    if (provider === 'gemini') {
+      localStorage.removeItem(LEGACY_GEMINI_KEY)
+    }
+  }
+
+  // Only what the user entered, so changed defaults still reach them
+  readSaved(provider) {
+    let saved = {}
+    try {
+      saved = JSON.parse(localStorage.getItem(CONFIG_PREFIX + provider)) || {}
+    } catch (err) {
+      console.warn(`Ignoring unreadable ${provider} settings:`, err)
+    }
+
+    if (provider === 'gemini' && saved.apiKey === undefined) {
+      const legacyKey = localStorage.getItem(LEGACY_GEMINI_KEY)
+      if (legacyKey) saved.apiKey = legacyKey
+    }
+    return saved
+  }
+
+  /**
+   * Whether the active provider has what it needs to send a request
+   */
+  isConfigured() {
+    const provider = this.getProvider()
+    const config = this.getConfig(provider)
+    return (!PROVIDERS[provider].requiresKey || !!config.apiKey) && !!config.model
+  }
+
+  get client() {
+    return PROVIDERS[this.getProvider()].client
+  }
+
+  requestOptions(options) {
+    return { systemPrompt: CREATE_PROMPT, ...this.getConfig(), ...options }
+  }
+
+  /**
+   * Send a chat conversation to the active provider
+   * @param {Array} messages - Array of {role: 'user'|'assistant', text: string}
+   * @param {Object} [options]
+   * @param {string} [options.systemPrompt] - Replaces the app builder prompt
+   * @returns {Promise<string>} - The assistant's response text
+   */
+  chat(messages, options = {}) {
+    return this.client.chat(messages, this.requestOptions(options))
+  }
+
+  /**
+   * Stream a chat response as it is generated
+   *
+   *   for await (const chunk of llm.stream(messages, { signal })) { ... }
+   *
+   * @param {Array} messages - Array of {role: 'user'|'assistant', text: string}
+   * @param {Object} [options]
+   * @param {string} [options.systemPrompt] - Replaces the app builder prompt
+   * @param {AbortSignal} [options.signal] - Aborts the request; iteration then throws an AbortError
+   * @yields {string} - Text chunks in order
+   */
+  stream(messages, options = {}) {
+    return this.client.stream(messages, this.requestOptions(options))
+  }
+
+  /**
+   * Extract HTML code from a model response
+   * @param {string} response - The full response text
+   * @returns {string|null} - The extracted HTML or null if not found
+   */
+  extractCode(response) {
+    // Look for ```html ... ``` blocks
+    const htmlMatch = response.match(/```html\s*([\s\S]*?)```/)
+    if (htmlMatch) {
+      return htmlMatch[1].trim()
+    }
+
+    // Fallback: look for <!DOCTYPE or <html
+    if (response.includes('<!DOCTYPE') || response.includes('<html')) {
+      // Try to extract the HTML portion
+      const start = response.indexOf('<!DOCTYPE') !== -1
+        ? response.indexOf('<!DOCTYPE')
+        : response.indexOf('<html')
+      const end = response.lastIndexOf('</html>') + 7
+      if (end > start) {
+        return response.slice(start, end).trim()
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Extract the manifest block the create prompt asks for after the code
+   * @param {string} response - The full response text
+   * @returns {Object|null} - The parsed manifest or null if missing or malformed
+   */
+  extractManifest(response) {
+    const blocks = [...response.matchAll(/```json\s*([\s\S]*?)```/g)]
+
+    // The last block wins, in case the model corrected itself
+    for (const [, json] of blocks.reverse()) {
+      try {
+        const manifest = JSON.parse(json)
+        if (manifest && typeof manifest === 'object' && !Array.isArray(manifest)) {
+          return manifest
+        }
+      } catch {
+        // Try an earlier block
+      }
+    }
+    return null
+  }
+
+  /**
+   * Check if a response contains generated code
+   * @param {string} response - The response text
+   * @returns {boolean}
+   */
+  hasCode(response) {
+    return this.extractCode(response) !== null
+  }
+}
+
+export const llm = new Llm()
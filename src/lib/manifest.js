@@ -0,0 +1,151 @@
+import { defaultManifest } from './app-template.js'
+import { checkParamDeclarations } from './params.js'
+import { checkSchema } from './json-schema.js'
+
+const DEFAULT_AUTOSAVE_DELAY = 2000
+
+/**
+ * Capabilities an app can request in `manifest.permissions`, as iframe sandbox tokens.
+ * Scripts are always allowed; same-origin never is, so apps can't reach the host page.
+ */
+export const PERMISSIONS = {
+  modals: { token: 'allow-modals', label: 'Dialogs (alert, confirm, prompt)' },
+  forms: { token: 'allow-forms', label: 'Form submission' },
+  popups: { token: 'allow-popups', label: 'Open links in new windows' },
+  downloads: { token: 'allow-downloads', label: 'Download files' },
+  'pointer-lock': { token: 'allow-pointer-lock', label: 'Pointer lock (games)' }
+}
+
+// Apps created before permissions existed could always show dialogs
+const DEFAULT_PERMISSIONS = ['modals']
+
+/**
+ * Read the autosave policy declared in a manifest.
+ *
+ * Accepted forms of `manifest.autosave`:
+ *   "off" (default)                        - only save from the sync bar
+ *   "blur"                                 - save when the page is hidden or left
+ *   "debounce" or a number of ms           - save after changes settle
+ *   { "mode": "debounce", "delay": 1500 }  - same, with an explicit delay
+ *
+ * @param {Object} manifest - App manifest
+ * @returns {{mode: 'off'|'debounce'|'blur', delay: number}}
+ */
+export function getAutosavePolicy(manifest) {
+  const value = manifest?.autosave
+
+  if (typeof value === 'number' && value >= 0) {
+    return { mode: 'debounce', delay: value }
+  }
+
+  const mode = typeof value === 'string' ? value : value?.mode
+  const delay = Number(value?.delay)
+
+  switch (mode) {
+    case 'debounce':
+      return { mode, delay: delay >= 0 ? delay : DEFAULT_AUTOSAVE_DELAY }
+    case 'blur':
+      return { mode, delay: 0 }
+    default:
+      return { mode: 'off', delay: 0 }
+  }
+}
+
+/**
+ * Build the iframe sandbox attribute for an app
+ * @param {Object} manifest - App manifest
+ * @returns {string}
+ */
+export function getSandbox(manifest) {
+  const permissions = Array.isArray(manifest?.permissions) ? manifest.permissions : DEFAULT_PERMISSIONS
+  const tokens = permissions
+    .filter(permission => PERMISSIONS[permission])
+    .map(permission => PERMISSIONS[permission].token)
+  return ['allow-scripts', ...new Set(tokens)].join(' ')
+}
+
+/**
+ * Bump the patch number of a semver-like version ("1.2.3" -> "1.2.4")
+ * @param {string} version - Current version
+ * @returns {string}
+ */
+export function bumpVersion(version) {
+  const parts = String(version || '1.0.0').split('.')
+  const last = parts.length - 1
+  const patch = parseInt(parts[last], 10)
+  parts[last] = Number.isNaN(patch) ? '1' : String(patch + 1)
+  return parts.join('.')
+}
+
+/**
+ * Compare two semver-like versions numerically, part by part
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+export function compareVersions(a, b) {
+  const left = String(a || '0').split('.')
+  const right = String(b || '0').split('.')
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (parseInt(left[i], 10) || 0) - (parseInt(right[i], 10) || 0)
+    if (diff !== 0) return diff
+  }
+  return 0
+}
+
+/**
+ * Return a manifest with a labelled app.html revision recorded in `tags`
+ * @param {Object} manifest - Current manifest
+ * @param {Object} tag
+ * @param {string} tag.revisionId - Revision of app.html being tagged
+ * @param {string} tag.label - Human readable label
+ * @param {string} [tag.version] - New manifest version, if it should change
+ * @returns {Object}
+ */
+export function addTag(manifest, { revisionId, label, version }) {
+  const tags = (manifest.tags || []).filter(t => t.revisionId !== revisionId)
+
+  return {
+    ...manifest,
+    version: version || manifest.version,
+    tags: [
+      ...tags,
+      { revisionId, label, version: version || manifest.version, taggedAt: new Date().toISOString() }
+    ]
+  }
+}
+
+/**
+ * Build a new app's manifest from the one the model suggested with its code.
+ * Params or a schema that wouldn't pass the manifest tab's checks are left out.
+ * @param {string} name - App name chosen by the user
+ * @param {Object|null} suggestion - Parsed manifest block, if the model wrote one
+ * @returns {Object}
+ */
+export function manifestFromSuggestion(name, suggestion) {
+  const manifest = defaultManifest(name)
+  if (!suggestion) return manifest
+
+  if (typeof suggestion.description === 'string' && suggestion.description.trim()) {
+    manifest.description = suggestion.description.trim()
+  }
+
+  if (suggestion.params !== undefined) {
+    const problems = checkParamDeclarations(suggestion.params)
+    if (problems.length === 0) {
+      manifest.params = suggestion.params
+    } else {
+      console.warn('Ignoring suggested params:', problems)
+    }
+  }
+
+  if (suggestion.sessionSchema !== undefined) {
+    const problems = checkSchema(suggestion.sessionSchema)
+    if (problems.length === 0) {
+      manifest.sessionSchema = suggestion.sessionSchema
+    } else {
+      console.warn('Ignoring suggested session schema:', problems)
+    }
+  }
+
+  return manifest
+}
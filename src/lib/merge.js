@@ -0,0 +1,105 @@
+/**
+ * Three-way merge of session JSON, for sessions edited by several people at once.
+ * `base` is the last copy both sides agreed on. Objects merge key by key, arrays
+ * of objects with an `id` merge item by item, other arrays keep both sides'
+ * additions and removals. When both sides changed the same value, `mine` wins.
+ */
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+function hasIds(items) {
+  return items.every(item => isObject(item) && item.id !== undefined && item.id !== null)
+}
+
+function mergeObjects(base, mine, theirs) {
+  const result = {}
+  const keys = new Set([...Object.keys(theirs), ...Object.keys(mine)])
+
+  for (const key of keys) {
+    const inMine = Object.hasOwn(mine, key)
+    const inTheirs = Object.hasOwn(theirs, key)
+    const inBase = isObject(base) && Object.hasOwn(base, key)
+
+    if (inMine && inTheirs) {
+      result[key] = mergeSessionData(inBase ? base[key] : undefined, mine[key], theirs[key])
+    } else if (inMine) {
+      // Missing from theirs: deleted there unless it's new here or changed here
+      if (!inBase || !equal(base[key], mine[key])) result[key] = mine[key]
+    } else if (!inBase || !equal(base[key], theirs[key])) {
+      result[key] = theirs[key]
+    }
+  }
+  return result
+}
+
+function mergeById(base, mine, theirs) {
+  const byId = items => new Map(items.map(item => [String(item.id), item]))
+  const baseItems = byId(Array.isArray(base) && hasIds(base) ? base : [])
+  const mineItems = byId(mine)
+  const theirItems = byId(theirs)
+
+  const result = []
+  // Their order first, then items only added here
+  for (const [id, item] of theirItems) {
+    if (mineItems.has(id)) {
+      result.push(mergeSessionData(baseItems.get(id), mineItems.get(id), item))
+    } else if (!baseItems.has(id) || !equal(baseItems.get(id), item)) {
+      // Removed here, but changed there since: keep their change
+      result.push(item)
+    }
+  }
+  for (const [id, item] of mineItems) {
+    if (theirItems.has(id)) continue
+    if (!baseItems.has(id) || !equal(baseItems.get(id), item)) result.push(item)
+  }
+  return result
+}
+
+function mergeLists(base, mine, theirs) {
+  const baseList = Array.isArray(base) ? base : []
+  const count = (items, key) => items.filter(item => JSON.stringify(item) === key).length
+
+  // Apply my additions and removals, counted per value, on top of theirs
+  const result = [...theirs]
+  const keys = new Set([...baseList, ...mine].map(item => JSON.stringify(item)))
+  for (const key of keys) {
+    const change = count(mine, key) - count(baseList, key)
+    for (let i = 0; i < change; i++) {
+      result.push(JSON.parse(key))
+    }
+    for (let i = 0; i < -change; i++) {
+      const index = result.findIndex(item => JSON.stringify(item) === key)
+      if (index !== -1) result.splice(index, 1)
+    }
+  }
+  return result
+}
+
+/**
+ * Merge local and remote changes made since a common base
+ * @param {any} base - Last synced data
+ * @param {any} mine - Local data, possibly with unsaved changes
+ * @param {any} theirs - Data currently stored
+ * @returns {any}
+ */
+export function mergeSessionData(base, mine, theirs) {
+  if (equal(mine, theirs)) return theirs
+  if (equal(base, mine)) return theirs
+  if (equal(base, theirs)) return mine
+
+  if (isObject(mine) && isObject(theirs)) {
+    return mergeObjects(isObject(base) ? base : {}, mine, theirs)
+  }
+  if (Array.isArray(mine) && Array.isArray(theirs)) {
+    return hasIds(mine) && hasIds(theirs)
+      ? mergeById(base, mine, theirs)
+      : mergeLists(base, mine, theirs)
+  }
+  return mine
+}
@@ -0,0 +1,153 @@
+import { compareVersions } from './manifest.js'
+
+/**
+ * Session data migrations declared in the manifest.
+ *
+ * Each entry upgrades data to `version`. Entries run in the order they are
+ * listed, skipping those at or below the version the session was saved with:
+ *
+ *   "version": "1.2.0",
+ *   "migrations": [
+ *     { "version": "1.1.0", "steps": [{ "op": "rename", "from": "todos", "to": "items" }] },
+ *     { "version": "1.2.0", "steps": [
+ *       { "op": "each", "path": "items", "steps": [{ "op": "default", "path": "done", "value": false }] },
+ *       { "op": "remove", "path": "legacyCount" }
+ *     ] }
+ *   ]
+ *
+ * Paths are dot separated; numeric segments index arrays and "" is the data itself.
+ *
+ * Steps:
+ *   rename  { from, to }        - move a value to another path
+ *   set     { path, value }     - write a value, replacing what was there
+ *   default { path, value }     - write a value only where none exists
+ *   remove  { path }            - delete a value
+ *   wrap    { path, key }       - replace a value with { [key]: value }
+ *   each    { path, steps }     - run steps against every item of an array
+ */
+
+// Manifests can come from other people, so paths must not reach object prototypes
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype']
+
+function splitPath(path) {
+  const keys = path ? String(path).split('.') : []
+  const forbidden = keys.find(key => FORBIDDEN_KEYS.includes(key))
+  if (forbidden) {
+    throw new Error(`Migration path "${path}" may not use "${forbidden}"`)
+  }
+  return keys
+}
+
+function getAt(data, keys) {
+  return keys.reduce((value, key) =>
+    (value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined), data)
+}
+
+function hasAt(data, keys) {
+  if (keys.length === 0) return data !== undefined
+  const parent = getAt(data, keys.slice(0, -1))
+  return parent !== null && typeof parent === 'object' && Object.hasOwn(parent, keys[keys.length - 1])
+}
+
+// Returns the new root, so paths that replace the root ("") work too
+function setAt(data, keys, value) {
+  if (keys.length === 0) return value
+
+  let root = data
+  if (root === null || typeof root !== 'object') {
+    root = {}
+  }
+
+  let parent = root
+  keys.slice(0, -1).forEach((key, i) => {
+    if (parent[key] === null || typeof parent[key] !== 'object') {
+      parent[key] = /^\d+$/.test(keys[i + 1]) ? [] : {}
+    }
+    parent = parent[key]
+  })
+  parent[keys[keys.length - 1]] = value
+  return root
+}
+
+function removeAt(data, keys) {
+  if (keys.length === 0) return undefined
+
+  const parent = getAt(data, keys.slice(0, -1))
+  const key = keys[keys.length - 1]
+  if (Array.isArray(parent) && /^\d+$/.test(key)) {
+    parent.splice(Number(key), 1)
+  } else if (parent !== null && typeof parent === 'object') {
+    delete parent[key]
+  }
+  return data
+}
+
+function applyStep(data, step) {
+  const keys = splitPath(step.path)
+
+  switch (step.op) {
+    case 'rename': {
+      const from = splitPath(step.from)
+      if (!hasAt(data, from)) return data
+      const value = getAt(data, from)
+      return setAt(removeAt(data, from), splitPath(step.to), value)
+    }
+
+    case 'set':
+      return setAt(data, keys, structuredClone(step.value))
+
+    case 'default':
+      return hasAt(data, keys) ? data : setAt(data, keys, structuredClone(step.value))
+
+    case 'remove':
+      return removeAt(data, keys)
+
+    case 'wrap':
+      splitPath(step.key)
+      return setAt(data, keys, { [step.key]: getAt(data, keys) })
+
+    case 'each': {
+      const items = getAt(data, keys)
+      if (!Array.isArray(items)) return data
+      return setAt(data, keys, items.map(item => applySteps(item, step.steps || [])))
+    }
+
+    default:
+      throw new Error(`Unknown migration step "${step.op}"`)
+  }
+}
+
+function applySteps(data, steps) {
+  return steps.reduce(applyStep, data)
+}
+
+/**
+ * Bring session data up to the manifest's version
+ * @param {any} data - Session data
+ * @param {string} [schemaVersion] - Version the data was saved with; missing means before any migration
+ * @param {Object} manifest - App manifest with `version` and `migrations`
+ * @returns {{data: any, applied: Array<string>}} - Migrated copy and the versions that ran
+ * @throws {Error} - When a step is malformed
+ */
+export function migrateSession(data, schemaVersion, manifest) {
+  const target = manifest?.version
+  const pending = (manifest?.migrations || []).filter(migration =>
+    (!schemaVersion || compareVersions(migration.version, schemaVersion) > 0) &&
+    (!target || compareVersions(migration.version, target) <= 0)
+  )
+
+  if (pending.length === 0) {
+    return { data, applied: [] }
+  }
+
+  let migrated = structuredClone(data)
+  for (const migration of pending) {
+    try {
+      migrated = applySteps(migrated, migration.steps || [])
+    } catch (err) {
+      throw new Error(`Migration to ${migration.version} failed: ${err.message}`)
+    }
+  }
+
+  return { data: migrated, applied: pending.map(m => m.version) }
+}
@@ -0,0 +1,100 @@
+import { readServerSentEvents } from './sse.js'
+
+/**
+ * Client for OpenAI-style /chat/completions endpoints. Works with OpenAI
+ * itself and with local servers that mimic it (llama.cpp, Ollama, vLLM).
+ */
+class OpenAiClient {
+  buildRequest(messages, { systemPrompt, apiKey, model, signal }, stream) {
+    const headers = { 'Content-Type': 'application/json' }
+    // Local servers usually don't need a key
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`
+    }
+
+    return {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...messages.map(msg => ({ role: msg.role, content: msg.text }))
+        ],
+        stream
+      }),
+      signal
+    }
+  }
+
+  endpoint(baseUrl) {
+    if (!baseUrl) {
+      throw new Error('No base URL set. Please add the server address in settings.')
+    }
+    return `${baseUrl.replace(/\/+$/, '')}/chat/completions`
+  }
+
+  async throwResponseError(response) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.error?.message || `Chat API error: ${response.status}`)
+  }
+
+  /**
+   * Send a chat conversation
+   * @param {Array} messages - Array of {role: 'user'|'assistant', text: string}
+   * @param {Object} options - { systemPrompt, apiKey, model, baseUrl }
+   * @returns {Promise<string>} - The assistant's response text
+   */
+  async chat(messages, options) {
+    const response = await fetch(this.endpoint(options.baseUrl), this.buildRequest(messages, options, false))
+
+    if (!response.ok) {
+      await this.throwResponseError(response)
+    }
+
+    const data = await response.json()
+    const text = data.choices?.[0]?.message?.content
+
+    if (!text) {
+      throw new Error('No response from the model')
+    }
+
+    return text
+  }
+
+  /**
+   * Stream a chat response as it is generated
+   * @param {Array} messages - Array of {role: 'user'|'assistant', text: string}
+   * @param {Object} options - { systemPrompt, apiKey, model, baseUrl, signal }
+   * @yields {string} - Text chunks in order
+   */
+  async * stream(messages, options) {
+    const response = await fetch(this.endpoint(options.baseUrl), this.buildRequest(messages, options, true))
+
+    if (!response.ok) {
+      await this.throwResponseError(response)
+    }
+
+    let received = false
+    for await (const { data } of readServerSentEvents(response)) {
+      if (data === '[DONE]') break
+
+      const chunk = JSON.parse(data)
+      if (chunk.error) {
+        throw new Error(chunk.error.message || 'Chat API error')
+      }
+
+      const text = chunk.choices?.[0]?.delta?.content
+      if (text) {
+        received = true
+        yield text
+      }
+    }
+
+    if (!received) {
+      throw new Error('No response from the model')
+    }
+  }
+}
+
+export const openAiClient = new OpenAiClient()
@@ -0,0 +1,136 @@
+/**
+ * Typed app parameters declared in `manifest.params`:
+ *
+ *   "params": {
+ *     "title":    { "type": "string", "default": "My list", "description": "Shown at the top" },
+ *     "goal":     { "type": "number", "default": 8, "min": 1, "max": 20, "step": 1 },
+ *     "compact":  { "type": "boolean", "default": false },
+ *     "currency": { "type": "enum", "options": ["USD", "EUR"], "default": "USD" },
+ *     "accent":   { "type": "color", "default": "#1a73e8" },
+ *     "start":    { "type": "date", "label": "Start date" }
+ *   }
+ *
+ * Values live in params.json; declared keys missing there fall back to their defaults.
+ */
+
+export const PARAM_TYPES = ['string', 'number', 'boolean', 'enum', 'color', 'date']
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+function normalizeOptions(options) {
+  return (Array.isArray(options) ? options : []).map(option =>
+    option !== null && typeof option === 'object'
+      ? { value: option.value, label: String(option.label ?? option.value) }
+      : { value: option, label: String(option) }
+  )
+}
+
+/**
+ * Read parameter declarations from a manifest
+ * @param {Object} manifest - App manifest
+ * @returns {Array<{key: string, type: string, label: string, description: string, options: Array, default: any}>}
+ */
+export function getParamDeclarations(manifest) {
+  const params = manifest?.params
+  if (!params || typeof params !== 'object' || Array.isArray(params)) return []
+
+  return Object.entries(params)
+    .filter(([, decl]) => decl !== null && typeof decl === 'object')
+    .map(([key, decl]) => ({
+      ...decl,
+      key,
+      type: PARAM_TYPES.includes(decl.type) ? decl.type : 'string',
+      label: decl.label || key,
+      description: decl.description || '',
+      options: normalizeOptions(decl.options ?? decl.enum)
+    }))
+}
+
+/**
+ * Check a params declaration written by hand
+ * @param {any} params - Value for manifest.params
+ * @returns {Array<string>} - Problems found, empty when usable
+ */
+export function checkParamDeclarations(params) {
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return ['Params must be an object of parameter declarations']
+  }
+
+  const problems = []
+  for (const [key, decl] of Object.entries(params)) {
+    if (decl === null || typeof decl !== 'object' || Array.isArray(decl)) {
+      problems.push(`${key}: declaration must be an object`)
+      continue
+    }
+    if (!PARAM_TYPES.includes(decl.type)) {
+      problems.push(`${key}: type must be one of ${PARAM_TYPES.join(', ')}`)
+      continue
+    }
+    if (decl.type === 'enum' && normalizeOptions(decl.options ?? decl.enum).length === 0) {
+      problems.push(`${key}: enum needs a non-empty options list`)
+    }
+    if (decl.default !== undefined && decl.type !== 'enum' && coerceParam({ ...decl, options: [] }, decl.default) === undefined) {
+      problems.push(`${key}: default does not match type ${decl.type}`)
+    }
+  }
+  return problems
+}
+
+/**
+ * Convert a raw value to a parameter's type
+ * @returns {any} - The converted value, or undefined when it doesn't fit the declaration
+ */
+export function coerceParam(decl, value) {
+  if (value === undefined || value === null) return undefined
+
+  switch (decl.type) {
+    case 'number': {
+      if (value === '') return undefined
+      const number = Number(value)
+      return Number.isFinite(number) ? number : undefined
+    }
+    case 'boolean':
+      return value === true || value === 'true'
+    case 'enum': {
+      const option = decl.options.find(o => String(o.value) === String(value))
+      return option ? option.value : undefined
+    }
+    case 'color':
+      return COLOR_PATTERN.test(value) ? value.toLowerCase() : undefined
+    case 'date':
+      return DATE_PATTERN.test(value) ? value : undefined
+    default:
+      return String(value)
+  }
+}
+
+function defaultFor(decl) {
+  const value = coerceParam(decl, decl.default)
+  if (value !== undefined) return value
+
+  switch (decl.type) {
+    case 'boolean':
+      return false
+    case 'enum':
+      return decl.options[0]?.value ?? null
+    case 'string':
+      return ''
+    default:
+      return null
+  }
+}
+
+/**
+ * Merge stored params with declared defaults
+ * @param {Object} manifest - App manifest
+ * @param {Object} stored - Contents of params.json
+ * @returns {Object} - Every declared key with a typed value, plus undeclared stored keys
+ */
+export function resolveParams(manifest, stored) {
+  const values = { ...(stored || {}) }
+  for (const decl of getParamDeclarations(manifest)) {
+    values[decl.key] = coerceParam(decl, values[decl.key]) ?? defaultFor(decl)
+  }
+  return values
+}
@@ -0,0 +1,131 @@
+import { validate, checkSchema } from './json-schema.js'
+import { resolveParams } from './params.js'
+
+// How long an app gets to announce itself, and to settle after init
+const READY_TIMEOUT = 5000
+const INIT_SETTLE = 500
+const ERROR_MESSAGE = 'tiny-app-check-error'
+
+// Kept on one line so line numbers in error reports match the app's own source
+const ERROR_REPORTER = `<script>window.addEventListener('error',function(e){parent.postMessage({type:'${ERROR_MESSAGE}',message:e.message,line:e.lineno},'*')});window.addEventListener('unhandledrejection',function(e){parent.postMessage({type:'${ERROR_MESSAGE}',message:String(e.reason&&e.reason.message||e.reason)},'*')});</script>`
+
+/**
+ * Look for the parts of the message protocol every app needs
+ * @param {string} html - App HTML
+ * @returns {string[]} - Problems found, empty when the app looks complete
+ */
+export function checkProtocolStatic(html) {
+  const problems = []
+
+  if (!/postMessage\s*\(\s*\{[^}]*type\s*:\s*['"`]ready['"`]/.test(html)) {
+    problems.push("The app never sends window.parent.postMessage({ type: 'ready' }, '*').")
+  }
+
+  const listens = /addEventListener\s*\(\s*['"`]message['"`]/.test(html) || /\bonmessage\s*=/.test(html)
+  if (!listens) {
+    problems.push("The app never listens for 'message' events, so it can't receive 'init'.")
+  } else if (!/['"`]init['"`]/.test(html)) {
+    problems.push("The app's message listener doesn't handle the 'init' message.")
+  }
+
+  return problems
+}
+
+/**
+ * Run the app in a hidden sandboxed iframe and check that it sends `ready`
+ * and handles `init` without throwing. Any `update-session` it sends is
+ * checked against the manifest's session schema.
+ * @param {string} html - App HTML
+ * @param {Object} [options]
+ * @param {Object} [options.manifest] - Sent with init
+ * @param {Object} [options.params] - Stored params, resolved against the manifest
+ * @param {number} [options.timeout] - How long to wait for ready, in ms
+ * @returns {Promise<string[]>} - Problems found
+ */
+export function checkProtocolRuntime(html, { manifest = {}, params = {}, timeout = READY_TIMEOUT } = {}) {
+  return new Promise(resolve => {
+    const iframe = document.createElement('iframe')
+    iframe.setAttribute('sandbox', 'allow-scripts')
+    iframe.style.cssText = 'position: absolute; width: 0; height: 0; border: 0; visibility: hidden;'
+
+    // A schema validate() can't use would throw on every save, so report it once instead
+    const schemaProblems = manifest.sessionSchema === undefined ? [] : checkSchema(manifest.sessionSchema)
+    const problems = schemaProblems.map(problem => `sessionSchema can't be used: ${problem}`)
+    let initSent = false
+    let timer = null
+
+    const finish = () => {
+      clearTimeout(timer)
+      window.removeEventListener('message', handleMessage)
+      iframe.remove()
+      resolve(problems)
+    }
+
+    const handleMessage = (event) => {
+      if (event.source !== iframe.contentWindow) return
+      const { type, message, line, data } = event.data || {}
+
+      if (type === ERROR_MESSAGE) {
+        const where = line ? ` (line ${line})` : ''
+        problems.push(`${initSent ? 'Error after init' : 'Error while loading'}: ${message}${where}`)
+      } else if (type === 'ready' && !initSent) {
+        initSent = true
+        iframe.contentWindow.postMessage({
+          type: 'init',
+          manifest,
+          params: resolveParams(manifest, params),
+          session: {}
+        }, '*')
+        clearTimeout(timer)
+        timer = setTimeout(finish, INIT_SETTLE)
+      } else if (type === 'update-session' && schemaProblems.length === 0) {
+        let errors
+        try {
+          errors = validate(manifest.sessionSchema, data)
+        } catch (err) {
+          problems.push(`sessionSchema can't be used: ${err.message}`)
+          return
+        }
+        if (errors.length > 0) {
+          problems.push(`Saved data doesn't match sessionSchema: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`)
+        }
+      }
+    }
+
+    timer = setTimeout(() => {
+      problems.push(`The app did not send 'ready' within ${timeout / 1000} seconds.`)
+      finish()
+    }, timeout)
+
+    window.addEventListener('message', handleMessage)
+    iframe.srcdoc = injectErrorReporter(html)
+    document.body.appendChild(iframe)
+  })
+}
+
+/**
+ * Run the static and runtime checks together
+ * @param {string} html - App HTML
+ * @param {Object} [options] - Passed to checkProtocolRuntime
+ * @returns {Promise<string[]>} - Problems found
+ */
+export async function checkProtocol(html, options) {
+  const problems = checkProtocolStatic(html)
+  const runtimeProblems = await checkProtocolRuntime(html, options)
+
+  // A ready that actually arrived beats a pattern that didn't match
+  const sentReady = !runtimeProblems.some(p => p.includes("did not send 'ready'"))
+  return [
+    ...problems.filter(p => !(sentReady && p.includes("type: 'ready'"))),
+    ...runtimeProblems
+  ]
+}
+
+function injectErrorReporter(html) {
+  const head = html.match(/<head[^>]*>/i)
+  if (head) {
+    const end = head.index + head[0].length
+    return html.slice(0, end) + ERROR_REPORTER + html.slice(end)
+  }
+  return ERROR_REPORTER + html
+}
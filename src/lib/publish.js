@@ -0,0 +1,125 @@
+/**
+ * Public run links. Publishing packs a snapshot of an app (app.html with its
+ * assets inlined, the manifest and params) into the link itself, so whoever
+ * opens it needs no account and nothing is read from Drive.
+ */
+
+import { resolveAssets } from './assets.js'
+
+const TOKEN_VERSION = 1
+// Some chat apps and mail clients cut links longer than this
+export const LONG_LINK_LENGTH = 8000
+// Browsers stop handling URLs around this length
+export const MAX_LINK_LENGTH = 2 * 1024 * 1024
+const SESSION_KEY_PREFIX = 'tiny_app_public_session_'
+
+function toBase64Url(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, c => c.charCodeAt(0))
+}
+
+async function transform(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream))
+  return new Uint8Array(await response.arrayBuffer())
+}
+
+/**
+ * Short stable id for an app's published copies, so visitors keep their data
+ * when the app is republished. Hashed so the link doesn't reveal the Drive id.
+ */
+async function publishId(appId) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(appId))
+  return [...new Uint8Array(digest)].slice(0, 8).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Pack an app snapshot into a link token
+ * @param {Object} snapshot
+ * @param {string} snapshot.appId
+ * @param {Object} snapshot.manifest
+ * @param {string} snapshot.appHtml
+ * @param {Object} snapshot.params
+ * @param {Object<string, string>} snapshot.assets - Data URL per asset name
+ * @returns {Promise<string>}
+ */
+export async function createPublishToken({ appId, manifest, appHtml, params, assets }) {
+  // Tags point at private revisions and mean nothing to visitors
+  const { tags, ...publicManifest } = manifest
+  const payload = {
+    v: TOKEN_VERSION,
+    id: await publishId(appId),
+    publishedAt: new Date().toISOString(),
+    manifest: publicManifest,
+    params: params || {},
+    appHtml: resolveAssets(appHtml, assets)
+  }
+
+  const json = new TextEncoder().encode(JSON.stringify(payload))
+  return toBase64Url(await transform(json, new CompressionStream('deflate-raw')))
+}
+
+/**
+ * Unpack a link token
+ * @param {string} token
+ * @returns {Promise<{id: string, publishedAt: string, manifest: Object, params: Object, appHtml: string}>}
+ * @throws {Error} - When the link is damaged or from a newer version
+ */
+export async function readPublishToken(token) {
+  let payload
+  try {
+    const json = await transform(fromBase64Url(token), new DecompressionStream('deflate-raw'))
+    payload = JSON.parse(new TextDecoder().decode(json))
+  } catch {
+    throw new Error('The link is incomplete or damaged')
+  }
+
+  if (payload.v > TOKEN_VERSION) {
+    throw new Error('The link was made by a newer version of tiny-app.dev')
+  }
+  if (typeof payload.appHtml !== 'string' || !payload.manifest) {
+    throw new Error('The link is incomplete or damaged')
+  }
+  return payload
+}
+
+/**
+ * Full URL that runs a token
+ */
+export function publicRunUrl(token) {
+  return `${window.location.origin}${window.location.pathname}#/run/${token}`
+}
+
+// ============ Visitor sessions (this browser only) ============
+
+export function loadPublicSession(id) {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY_PREFIX + id)) ?? {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * @returns {boolean} - False when browser storage is full or unavailable
+ */
+export function savePublicSession(id, data) {
+  try {
+    localStorage.setItem(SESSION_KEY_PREFIX + id, JSON.stringify(data))
+    return true
+  } catch (err) {
+    console.warn('Failed to save session in browser storage:', err)
+    return false
+  }
+}
+
+export function clearPublicSession(id) {
+  localStorage.removeItem(SESSION_KEY_PREFIX + id)
+}
@@ -0,0 +1,227 @@
+// Types a CSV cell can hold without losing information
+const SCALAR_TYPES = ['string', 'number', 'integer', 'boolean', 'null']
+
+function isScalar(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value)
+}
+
+function isFlatRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(isScalar)
+}
+
+/**
+ * Whether a schema declares an array of flat objects
+ */
+function isTabularSchema(schema) {
+  const items = schema?.type === 'array' ? schema.items : null
+  if (items?.type !== 'object' || !items.properties) return false
+
+  return Object.values(items.properties).every(prop => {
+    const types = Array.isArray(prop.type) ? prop.type : [prop.type]
+    return types.every(type => SCALAR_TYPES.includes(type))
+  })
+}
+
+/**
+ * Whether session data can round-trip through CSV
+ * @param {any} data - Session data
+ * @param {Object} schema - manifest.sessionSchema
+ * @returns {boolean}
+ */
+export function isTabular(data, schema) {
+  if (isTabularSchema(schema)) return true
+  return Array.isArray(data) && data.length > 0 && data.every(isFlatRecord)
+}
+
+// ============ JSON ============
+
+/**
+ * Serialize a session for download
+ * @param {Object} session - { name, createdAt, data }
+ * @returns {string}
+ */
+export function toSessionJson(session) {
+  return JSON.stringify({
+    name: session.name,
+    createdAt: session.createdAt,
+    exportedAt: new Date().toISOString(),
+    data: session.data ?? {}
+  }, null, 2)
+}
+
+/**
+ * Parse an uploaded JSON file: either an exported session or bare session data
+ * @param {string} text - File content
+ * @returns {{name: string|null, data: any}}
+ * @throws {Error} - When the file isn't valid JSON
+ */
+export function parseSessionJson(text) {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON')
+  }
+
+  const isExport = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) &&
+    'data' in parsed && ('name' in parsed || 'createdAt' in parsed)
+
+  return isExport
+    ? { name: parsed.name || null, data: parsed.data }
+    : { name: null, data: parsed }
+}
+
+// ============ CSV ============
+
+// Also matches text already quoted this way, so fromCsv can undo exactly one quote
+const FORMULA_LIKE = /^'*[=+\-@\t\r]/
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return ''
+  let str = String(value)
+  // Spreadsheets run text starting with these as a formula; a leading ' keeps it text
+  if (typeof value === 'string' && FORMULA_LIKE.test(str)) {
+    str = `'${str}`
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+/**
+ * Serialize flat records as CSV, with columns in schema order when declared
+ * @param {Array<Object>} records - Session data
+ * @param {Object} schema - manifest.sessionSchema
+ * @returns {string}
+ */
+export function toCsv(records, schema) {
+  const columns = Object.keys(schema?.items?.properties || {})
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      if (!columns.includes(key)) columns.push(key)
+    }
+  }
+
+  const lines = [columns.map(escapeCell).join(',')]
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCell(record[column])).join(','))
+  }
+  return lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsvRows(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  // Ignore blank lines
+  return rows.filter(r => r.length > 1 || r[0] !== '')
+}
+
+function coerceCell(value, prop) {
+  const types = prop ? (Array.isArray(prop.type) ? prop.type : [prop.type]) : null
+
+  // Undo the quote toCsv puts in front of formula-like text
+  if (value.startsWith("'") && FORMULA_LIKE.test(value)) {
+    value = value.slice(1)
+  }
+
+  // Empty cells are null unless the column holds text
+  if (value === '') {
+    return types && !types.includes('string') ? null : ''
+  }
+
+  if (types) {
+    if (types.includes('boolean') && /^(true|false)$/i.test(value)) return value.toLowerCase() === 'true'
+    if ((types.includes('number') || types.includes('integer')) && !Number.isNaN(Number(value))) return Number(value)
+    return value
+  }
+
+  // No schema: only convert values that clearly aren't text
+  if (value === 'true' || value === 'false') return value === 'true'
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) return Number(value)
+  return value
+}
+
+/**
+ * Parse CSV into flat records, using schema property types when declared
+ * @param {string} text - CSV content with a header row
+ * @param {Object} schema - manifest.sessionSchema
+ * @returns {Array<Object>}
+ */
+export function fromCsv(text, schema) {
+  const [header, ...rows] = parseCsvRows(text)
+  if (!header) {
+    throw new Error('The CSV file is empty')
+  }
+
+  const properties = schema?.items?.properties || {}
+  return rows.map(cells => {
+    const record = {}
+    header.forEach((column, index) => {
+      record[column] = coerceCell(cells[index] ?? '', properties[column])
+    })
+    return record
+  })
+}
+
+// ============ Files ============
+
+/**
+ * Trigger a browser download of text content
+ */
+export function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Make a string safe to use as a downloaded file name
+ */
+export function toFileName(name) {
+  return (name || 'session').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'session'
+}
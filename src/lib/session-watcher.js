@@ -0,0 +1,141 @@
+// How often to look for changes while the page is visible
+const POLL_INTERVAL = 5000
+// How often to say "still here", and when a silent participant counts as gone
+const HEARTBEAT_INTERVAL = 30000
+const PRESENCE_TIMEOUT = 75000
+
+/**
+ * Polls one session for changes made by other people and reports who else
+ * has it open. Works with any client that implements the live session
+ * methods (see storage.js).
+ */
+export class SessionWatcher {
+  /**
+   * @param {Object} client - Storage client
+   * @param {string} sessionId
+   * @param {Object} handlers
+   * @param {Function} handlers.onRemoteChange - Called with the new version when the stored copy changes
+   * @param {Function} handlers.onParticipantsChange - Called with [{ id, name }] of the other participants
+   */
+  constructor(client, sessionId, { onRemoteChange, onParticipantsChange }) {
+    this.client = client
+    this.sessionId = sessionId
+    this.onRemoteChange = onRemoteChange
+    this.onParticipantsChange = onParticipantsChange
+    this.cursor = null
+    this.version = null
+    this.participants = []
+    this.watchIds = [sessionId]
+    this.lastHeartbeat = 0
+    this.timer = null
+    this.pending = null
+    this.stopped = false
+    this.polling = false
+  }
+
+  /**
+   * @param {string} version - Version of the session as loaded
+   */
+  async start(version) {
+    this.version = version
+    this.pending = this.connect()
+    await this.pending
+    this.schedule()
+  }
+
+  async connect() {
+    try {
+      const [cursor, user] = await Promise.all([
+        this.client.getChangesCursor(),
+        this.client.getCurrentUser()
+      ])
+      this.cursor = cursor
+      this.userId = user.id
+      if (!this.stopped) await this.poll(true)
+    } catch (err) {
+      console.warn('Failed to start live session:', err)
+    }
+  }
+
+  /**
+   * Stop polling and leave the session. Waits for a check in progress, so its
+   * "still here" can't land after the "left".
+   */
+  async stop() {
+    this.stopped = true
+    clearTimeout(this.timer)
+    await this.pending
+    try {
+      await this.client.setSessionPresence(this.sessionId, false)
+    } catch (err) {
+      console.warn('Failed to leave live session:', err)
+    }
+  }
+
+  /**
+   * Record a version this page wrote itself, so it isn't reported back as remote
+   */
+  setVersion(version) {
+    this.version = version
+  }
+
+  schedule() {
+    if (this.stopped) return
+    this.timer = setTimeout(async () => {
+      if (document.visibilityState === 'visible') {
+        this.pending = this.poll(false)
+        await this.pending
+      }
+      this.schedule()
+    }, POLL_INTERVAL)
+  }
+
+  async poll(force) {
+    if (this.polling || this.stopped) return
+    this.polling = true
+
+    try {
+      if (Date.now() - this.lastHeartbeat > HEARTBEAT_INTERVAL) {
+        this.lastHeartbeat = Date.now()
+        await this.client.setSessionPresence(this.sessionId, true)
+        force = true
+      }
+
+      // One cheap request tells whether anything changed at all
+      let changed = force
+      if (this.cursor && !this.stopped) {
+        const { fileIds, cursor } = await this.client.listChangedFiles(this.cursor)
+        this.cursor = cursor
+        changed = changed || this.watchIds.some(id => fileIds.has(id))
+      }
+      if (!changed || this.stopped) return
+
+      const state = await this.client.getSessionState(this.sessionId)
+      if (this.stopped) return
+      // Someone who just joined isn't in watchIds yet; heartbeats catch them
+      this.watchIds = state.watchIds
+      this.updateParticipants(state.participants)
+
+      if (state.version !== this.version) {
+        this.version = state.version
+        await this.onRemoteChange(state.version)
+      }
+    } catch (err) {
+      console.warn('Failed to check live session:', err)
+    } finally {
+      this.polling = false
+    }
+  }
+
+  updateParticipants(participants) {
+    const others = participants
+      .filter(p => p.id !== this.userId && Date.now() - p.seenAt < PRESENCE_TIMEOUT)
+      .map(({ id, name }) => ({ id, name }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+
+    if (JSON.stringify(others) !== JSON.stringify(this.participants)) {
+      this.participants = others
+      this.onParticipantsChange(others)
+    }
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Read a server-sent events response
+ * @param {Response} response - Streaming fetch response
+ * @yields {{event: string, data: string}} - Each event with its data lines joined
+ */
+export async function * readServerSentEvents(response) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+
+      // Events are separated by blank lines
+      buffer += value
+      const events = buffer.split(/\r?\n\r?\n/)
+      buffer = events.pop()
+
+      for (const event of events) {
+        const parsed = parseEvent(event)
+        if (parsed) yield parsed
+      }
+    }
+
+    const parsed = parseEvent(buffer)
+    if (parsed) yield parsed
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+function parseEvent(text) {
+  let event = 'message'
+  const data = []
+
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim()
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''))
+    }
+  }
+
+  return data.length > 0 ? { event, data: data.join('\n') } : null
+}
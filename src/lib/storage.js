@@ -0,0 +1,474 @@
+import { googleAuth, SHARED_SCOPE } from './google-auth.js'
+import { driveClient } from './drive-client.js'
+import { indexedDbClient } from './indexeddb-client.js'
+import { writeQueue } from './write-queue.js'
+import { assetToFile } from './bundle.js'
+import { SessionWatcher } from './session-watcher.js'
+
+const STORAGE_KEY = 'tiny_app_storage_backend'
+const DEFAULT_BACKEND = 'drive'
+
+/**
+ * Available storage backends. Every client implements the same surface:
+ *
+ *   listApps()                          -> [{ id, name, modifiedTime }]
+ *   createApp(name, template?, manifest?) -> { id, name }
+ *   renameApp(appId, name)              -> { id, name }
+ *   deleteApp(appId)
+ *   getAppAccess(appId)                 -> { owned, shared, canEdit, canShare }
+ *   getAppFiles(appId, forceRefresh?)   -> { manifest, params, appHtml, syncTime }
+ *   saveAppHtml(appId, content)
+ *   saveManifest(appId, manifest)
+ *   saveParams(appId, params)
+ *   listAssets(appId)                   -> [{ id, name, mimeType, size, modifiedTime }]
+ *   uploadAsset(appId, file)            -> { id, name } (replaces an asset with the same name)
+ *   deleteAsset(appId, assetId)
+ *   getAssets(appId, forceRefresh?)     -> { [name]: dataUrl }
+ *   getConversation(appId)              -> [{ role, text }] (the chat that built the app)
+ *   saveConversation(appId, messages)
+ *   listSessions(appId)                 -> [{ id, name, modifiedTime, pinned }]
+ *   getSession(sessionId, forceRefresh?) -> { name, createdAt, schemaVersion?, backupOf?, data, version, syncTime }
+ *   saveSession(sessionId, data, { expectedVersion, appId }?) -> { id, version, queued? }
+ *   createSession(appId, name, data?, { schemaVersion, backupOf }?) -> { id, name, data, version }
+ *   renameSession(appId, sessionId, name, expectedVersion?) -> { id, version }
+ *   deleteSession(appId, sessionId)
+ *   pinSession(appId, sessionId|null)   (the session opened by default)
+ *   listAppHtmlRevisions(appId)         -> [{ id, modifiedTime, author }] (newest first)
+ *   getAppHtmlRevision(appId, revisionId) -> string
+ *   keepAppHtmlRevision(appId, revisionId)  (exempt from pruning)
+ *   listSessionRevisions(sessionId)     -> [{ id, modifiedTime, author }] (newest first)
+ *   getSessionRevision(sessionId, revisionId) -> { name, createdAt, data }
+ *   listDrafts()                        -> [{ id, title, modifiedTime }]
+ *   getDraft(draftId)                   -> draft or null
+ *   saveDraft(draft)                    -> { id }
+ *   deleteDraft(draftId)
+ *
+ * Backends with `sharing` also implement:
+ *
+ *   listSharedApps()                    -> [{ id, name, modifiedTime, owner, canEdit }]
+ *   listShares(appId)                   -> [{ id, email, name, role }]
+ *   shareApp(appId, email, role)        -> { id, role } (role is 'reader' or 'writer')
+ *   updateShare(appId, permissionId, role)
+ *   unshareApp(appId, permissionId)
+ *   getCurrentUser()                    -> { id, name }
+ *   getChangesCursor()                  -> cursor
+ *   listChangedFiles(cursor)            -> { fileIds: Set, cursor }
+ *   getSessionState(sessionId)          -> { version, participants: [{ id, name, seenAt }], watchIds }
+ *   setSessionPresence(sessionId, present)
+ *
+ * saveSession throws SessionConflictError when expectedVersion is stale.
+ * Writes that fail for lack of a connection resolve with { queued: true }
+ * and are replayed from the write queue later.
+ */
+export const BACKENDS = {
+  drive: {
+    label: 'Google Drive',
+    client: driveClient,
+    requiresAuth: true,
+    sharing: true
+  },
+  local: {
+    label: 'This browser (no account)',
+    client: indexedDbClient,
+    requiresAuth: false,
+    sharing: false
+  }
+}
+
+class Storage {
+  constructor() {
+    // Drive draft uploads run one at a time so a quick second save can't create a duplicate file
+    this.draftUpload = Promise.resolve()
+  }
+
+  getBackend() {
+    const backend = localStorage.getItem(STORAGE_KEY)
+    return BACKENDS[backend] ? backend : DEFAULT_BACKEND
+  }
+
+  setBackend(backend) {
+    if (!BACKENDS[backend]) {
+      throw new Error(`Unknown storage backend: ${backend}`)
+    }
+    localStorage.setItem(STORAGE_KEY, backend)
+  }
+
+  get client() {
+    return BACKENDS[this.getBackend()].client
+  }
+
+  /**
+   * Whether the active backend needs a Google sign-in before use
+   */
+  requiresAuth() {
+    return BACKENDS[this.getBackend()].requiresAuth
+  }
+
+  /**
+   * Whether the active backend can be used right now
+   */
+  isReady() {
+    return !this.requiresAuth() || googleAuth.isSignedIn()
+  }
+
+  // ============ App operations ============
+
+  listApps() {
+    return this.client.listApps()
+  }
+
+  createApp(name, template = null, manifest = null) {
+    return this.client.createApp(name, template, manifest)
+  }
+
+  renameApp(appId, name) {
+    return this.client.renameApp(appId, name)
+  }
+
+  deleteApp(appId) {
+    return this.client.deleteApp(appId)
+  }
+
+  getAppAccess(appId) {
+    return this.client.getAppAccess(appId)
+  }
+
+  // ============ App files ============
+
+  getAppFiles(appId, forceRefresh = false) {
+    return this.client.getAppFiles(appId, forceRefresh)
+  }
+
+  saveAppHtml(appId, content) {
+    return this.client.saveAppHtml(appId, content)
+  }
+
+  saveManifest(appId, manifest) {
+    return this.client.saveManifest(appId, manifest)
+  }
+
+  saveParams(appId, params) {
+    return this.client.saveParams(appId, params)
+  }
+
+  // ============ Assets ============
+
+  listAssets(appId) {
+    return this.client.listAssets(appId)
+  }
+
+  uploadAsset(appId, file) {
+    return this.client.uploadAsset(appId, file)
+  }
+
+  deleteAsset(appId, assetId) {
+    return this.client.deleteAsset(appId, assetId)
+  }
+
+  getAssets(appId, forceRefresh = false) {
+    return this.client.getAssets(appId, forceRefresh)
+  }
+
+  // ============ Conversation ============
+
+  getConversation(appId) {
+    return this.client.getConversation(appId)
+  }
+
+  saveConversation(appId, messages) {
+    return this.client.saveConversation(appId, messages)
+  }
+
+  // ============ Session operations ============
+
+  listSessions(appId) {
+    return this.client.listSessions(appId)
+  }
+
+  getSession(sessionId, forceRefresh = false) {
+    return this.client.getSession(sessionId, forceRefresh)
+  }
+
+  saveSession(sessionId, data, options = {}) {
+    return this.client.saveSession(sessionId, data, options)
+  }
+
+  createSession(appId, name, data = {}, options = {}) {
+    return this.client.createSession(appId, name, data, options)
+  }
+
+  renameSession(appId, sessionId, name, expectedVersion) {
+    return this.client.renameSession(appId, sessionId, name, expectedVersion)
+  }
+
+  deleteSession(appId, sessionId) {
+    return this.client.deleteSession(appId, sessionId)
+  }
+
+  pinSession(appId, sessionId) {
+    return this.client.pinSession(appId, sessionId)
+  }
+
+  // ============ Revisions ============
+
+  listAppHtmlRevisions(appId) {
+    return this.client.listAppHtmlRevisions(appId)
+  }
+
+  getAppHtmlRevision(appId, revisionId) {
+    return this.client.getAppHtmlRevision(appId, revisionId)
+  }
+
+  keepAppHtmlRevision(appId, revisionId) {
+    return this.client.keepAppHtmlRevision(appId, revisionId)
+  }
+
+  listSessionRevisions(sessionId) {
+    return this.client.listSessionRevisions(sessionId)
+  }
+
+  getSessionRevision(sessionId, revisionId) {
+    return this.client.getSessionRevision(sessionId, revisionId)
+  }
+
+  // ============ Sharing ============
+
+  /**
+   * Whether the active backend can share apps with other people
+   */
+  supportsSharing() {
+    return BACKENDS[this.getBackend()].sharing
+  }
+
+  /**
+   * Whether apps shared by other people can be listed and opened
+   */
+  canOpenSharedApps() {
+    return this.supportsSharing() && googleAuth.hasScope(SHARED_SCOPE)
+  }
+
+  async listSharedApps() {
+    return this.canOpenSharedApps() ? this.client.listSharedApps() : []
+  }
+
+  listShares(appId) {
+    return this.client.listShares(appId)
+  }
+
+  shareApp(appId, email, role) {
+    return this.client.shareApp(appId, email, role)
+  }
+
+  updateShare(appId, permissionId, role) {
+    return this.client.updateShare(appId, permissionId, role)
+  }
+
+  unshareApp(appId, permissionId) {
+    return this.client.unshareApp(appId, permissionId)
+  }
+
+  /**
+   * Watch a session for changes made by other people
+   * @returns {SessionWatcher|null} - null when the backend can't share sessions
+   */
+  watchSession(sessionId, handlers) {
+    if (!this.supportsSharing()) return null
+    return new SessionWatcher(this.client, sessionId, handlers)
+  }
+
+  // ============ Drafts ============
+
+  // Drafts always live in this browser and are mirrored to Drive when it is the backend
+  get draftMirror() {
+    return this.getBackend() === 'drive' && this.isReady() ? driveClient : null
+  }
+
+  async listDrafts() {
+    const local = await indexedDbClient.listDrafts()
+    if (!this.draftMirror) return local
+
+    let remote = []
+    try {
+      remote = await this.draftMirror.listDrafts()
+    } catch (err) {
+      console.warn('Failed to list Drive drafts:', err)
+    }
+
+    // Drafts started on another device only exist in Drive
+    const drafts = new Map(remote.map(d => [d.id, d]))
+    for (const draft of local) {
+      const other = drafts.get(draft.id)
+      if (!other || draft.modifiedTime > other.modifiedTime) {
+        drafts.set(draft.id, draft)
+      }
+    }
+    return [...drafts.values()].sort((a, b) => b.modifiedTime.localeCompare(a.modifiedTime))
+  }
+
+  async getDraft(draftId) {
+    const local = await indexedDbClient.getDraft(draftId)
+    if (!this.draftMirror) return local
+
+    try {
+      const remote = await this.draftMirror.getDraft(draftId)
+      if (remote && (!local || remote.modifiedTime > local.modifiedTime)) {
+        await indexedDbClient.saveDraft(remote)
+        return remote
+      }
+    } catch (err) {
+      console.warn('Failed to load Drive draft:', err)
+    }
+    return local
+  }
+
+  /**
+   * Save a draft locally, then upload it when Drive is the backend.
+   * Upload failures are logged; the local copy is kept either way.
+   */
+  async saveDraft(draft) {
+    const result = await indexedDbClient.saveDraft(draft)
+
+    const mirror = this.draftMirror
+    if (mirror) {
+      this.draftUpload = this.draftUpload
+        .then(() => mirror.saveDraft(draft))
+        .catch(err => console.warn('Failed to upload draft:', err))
+      await this.draftUpload
+    }
+    return result
+  }
+
+  async deleteDraft(draftId) {
+    await indexedDbClient.deleteDraft(draftId)
+
+    const mirror = this.draftMirror
+    if (mirror) {
+      const deletion = this.draftUpload.then(() => mirror.deleteDraft(draftId))
+      this.draftUpload = deletion.catch(() => {})
+      await deletion
+    }
+  }
+
+  // ============ Bundles ============
+
+  /**
+   * Collect everything needed to recreate an app elsewhere (see bundle.js)
+   * @param {string} appId
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSessions] - Also export every session's data
+   * @returns {Promise<Object>} - { manifest, appHtml, params, assets, conversation, sessions }
+   */
+  async exportApp(appId, { includeSessions = false } = {}) {
+    const [files, assetList, assetData, conversation] = await Promise.all([
+      this.getAppFiles(appId, true),
+      this.listAssets(appId),
+      this.getAssets(appId, true),
+      this.getConversation(appId)
+    ])
+
+    const sessions = []
+    if (includeSessions) {
+      for (const item of await this.listSessions(appId)) {
+        const session = await this.getSession(item.id, true)
+        sessions.push({
+          name: session.name,
+          createdAt: session.createdAt,
+          schemaVersion: session.schemaVersion,
+          pinned: !!item.pinned,
+          data: session.data ?? {}
+        })
+      }
+    }
+
+    return {
+      manifest: files.manifest,
+      appHtml: files.appHtml,
+      params: files.params || {},
+      assets: assetList.map(asset => ({
+        name: asset.name,
+        mimeType: asset.mimeType,
+        data: assetData[asset.name]
+      })),
+      conversation,
+      sessions
+    }
+  }
+
+  /**
+   * Create a new app from a parsed bundle. A failed import removes the
+   * partly created app so it doesn't linger in the library.
+   * @param {Object} bundle - From parseBundle
+   * @param {string} name - Name for the new app
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSessions] - Also create the bundle's sessions
+   * @returns {Promise<{id: string, name: string}>}
+   */
+  async importApp(bundle, name, { includeSessions = true } = {}) {
+    // Tags point at revisions of the original app, which don't come along
+    const { tags, ...manifest } = bundle.manifest
+    const app = await this.createApp(name, bundle.appHtml, { ...manifest, name })
+
+    try {
+      if (Object.keys(bundle.params).length > 0) {
+        await this.saveParams(app.id, bundle.params)
+      }
+
+      for (const asset of bundle.assets) {
+        await this.uploadAsset(app.id, await assetToFile(asset))
+      }
+
+      if (bundle.conversation.length > 0) {
+        await this.saveConversation(app.id, bundle.conversation)
+      }
+
+      if (includeSessions) {
+        for (const session of bundle.sessions) {
+          const created = await this.createSession(app.id, session.name, session.data ?? {}, {
+            schemaVersion: session.schemaVersion
+          })
+          if (session.pinned) {
+            await this.pinSession(app.id, created.id)
+          }
+        }
+      }
+    } catch (err) {
+      await this.deleteApp(app.id).catch(cleanupErr => {
+        console.warn('Failed to remove partly imported app:', cleanupErr)
+      })
+      throw err
+    }
+
+    return app
+  }
+
+  // ============ Offline writes ============
+
+  /**
+   * Number of writes waiting to be uploaded, per app
+   * @returns {Promise<Object<string, number>>}
+   */
+  getPendingWrites() {
+    return writeQueue.countByApp()
+  }
+
+  /**
+   * Subscribe to changes in the pending write queue
+   * @returns {Function} - Unsubscribe function
+   */
+  onPendingWritesChange(callback) {
+    return writeQueue.onChange(callback)
+  }
+
+  /**
+   * Subscribe to writes that failed for good after being queued offline
+   * @param {Function} callback - Called with { dropped, error }
+   * @returns {Function} - Unsubscribe function
+   */
+  onWriteDropped(callback) {
+    return writeQueue.onChange(event => {
+      if (event.dropped) callback(event)
+    })
+  }
+}
+
+export const storage = new Storage()
@@ -0,0 +1,92 @@
+/**
+ * Line-based diff of two texts using longest common subsequence
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n')
+  const b = after.split('\n')
+
+  // Common prefix and suffix don't need the quadratic table
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++
+  }
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const midA = a.slice(start, endA)
+  const midB = b.slice(start, endB)
+  const n = midA.length
+  const m = midB.length
+
+  // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1))
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1])
+    }
+  }
+
+  const result = a.slice(0, start).map(text => ({ type: 'same', text }))
+
+  let i = 0
+  let j = 0
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      result.push({ type: 'same', text: midA[i] })
+      i++
+      j++
+    } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+      result.push({ type: 'removed', text: midA[i++] })
+    } else {
+      result.push({ type: 'added', text: midB[j++] })
+    }
+  }
+  while (i < n) result.push({ type: 'removed', text: midA[i++] })
+  while (j < m) result.push({ type: 'added', text: midB[j++] })
+
+  return result.concat(a.slice(endA).map(text => ({ type: 'same', text })))
+}
+
+/**
+ * Collapse long runs of unchanged lines, keeping some context around changes
+ * @param {Array} lines - Output of diffLines
+ * @param {number} context - Unchanged lines to keep on each side of a change
+ * @returns {Array<{type: 'same'|'added'|'removed'|'skip', text: string}>}
+ */
+export function collapseUnchanged(lines, context = 3) {
+  const keep = lines.map(line => line.type !== 'same')
+  lines.forEach((line, index) => {
+    if (line.type === 'same') return
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) {
+      keep[k] = true
+    }
+  })
+
+  const result = []
+  let skipped = 0
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      if (skipped > 0) {
+        result.push({ type: 'skip', text: `… ${skipped} unchanged lines` })
+        skipped = 0
+      }
+      result.push(line)
+    } else {
+      skipped++
+    }
+  })
+  if (skipped > 0) {
+    result.push({ type: 'skip', text: `… ${skipped} unchanged lines` })
+  }
+
+  return result
+}
@@ -0,0 +1,104 @@
+import { openDatabase, runTransaction } from './idb.js'
+
+const DB_NAME = 'tiny_app_write_queue'
+const DB_VERSION = 1
+const STORE = 'writes'
+
+/**
+ * Durable FIFO of storage mutations that could not be sent yet.
+ * Items are plain objects: { type, appId, ...payload }; the queue adds
+ * `seq` (replay order) and `queuedAt`.
+ */
+class WriteQueue {
+  constructor() {
+    this.dbPromise = null
+    this.listeners = new Set()
+  }
+
+  openDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, db => {
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true })
+        }
+      }).catch(err => {
+        this.dbPromise = null
+        throw err
+      })
+    }
+    return this.dbPromise
+  }
+
+  async transaction(mode, fn) {
+    const db = await this.openDb()
+    return runTransaction(db, STORE, mode, fn)
+  }
+
+  async enqueue(item) {
+    const seq = await this.transaction('readwrite',
+      store => store.add({ ...item, queuedAt: Date.now() }))
+    this.notify()
+    return seq
+  }
+
+  async remove(seq) {
+    await this.transaction('readwrite', store => store.delete(seq))
+    this.notify()
+  }
+
+  /**
+   * Remove an item that can never be sent, and tell listeners it was lost
+   * @param {Object} item - Queued item
+   * @param {Error} error - Why it failed
+   */
+  async drop(item, error) {
+    await this.transaction('readwrite', store => store.delete(item.seq))
+    this.notify({ dropped: item, error })
+  }
+
+  list() {
+    return this.transaction('readonly', store => store.getAll())
+  }
+
+  /**
+   * Oldest queued item, or null when the queue is empty
+   */
+  async peek() {
+    const [first] = await this.transaction('readonly', store => store.getAll(null, 1))
+    return first || null
+  }
+
+  async size() {
+    return this.transaction('readonly', store => store.count())
+  }
+
+  /**
+   * Number of queued items per app
+   * @returns {Promise<Object<string, number>>}
+   */
+  async countByApp() {
+    const items = await this.list()
+    const counts = {}
+    for (const item of items) {
+      counts[item.appId] = (counts[item.appId] || 0) + 1
+    }
+    return counts
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} callback - Called after items are added or removed, with
+   *   { dropped, error } when an item was given up on
+   * @returns {Function} - Unsubscribe function
+   */
+  onChange(callback) {
+    this.listeners.add(callback)
+    return () => this.listeners.delete(callback)
+  }
+
+  notify(event = {}) {
+    this.listeners.forEach(callback => callback(event))
+  }
+}
+
+export const writeQueue = new WriteQueue()
@@ -4,23 +4,39 @@ import './components/app-runner.js'
 import './components/app-editor.js'
 import './components/app-creator.js'
 import './components/session-manager.js'
+import './components/public-runner.js'
+import './components/shared-apps.js'
 import { googleAuth } from './lib/google-auth.js'
+import { storage } from './lib/storage.js'
 
 // Simple router based on hash
 function route() {
   const hash = window.location.hash || '#/'
   const app = document.getElementById('app')
 
+  // Published links need no sign-in. Checked first: a token could happen to contain "access_token"
+  if (hash.startsWith('#/run/')) {
+    // Tokens are base64url; anything else would end up in the markup
+    const token = hash.slice(6).replace(/[^\w-]/g, '')
+    app.innerHTML = `<public-runner token="${token}"></public-runner>`
+    return
+  }
+
   // Handle OAuth callback
   if (hash.includes('access_token')) {
     googleAuth.handleCallback()
-    window.location.hash = '#/'
+    window.location.hash = googleAuth.takeReturnRoute() || '#/'
     return
   }
 
   // Route to components
-  if (hash === '#/create') {
+  if (hash === '#/shared') {
+    app.innerHTML = '<shared-apps></shared-apps>'
+  } else if (hash === '#/create') {
     app.innerHTML = '<app-creator></app-creator>'
+  } else if (hash.startsWith('#/create/')) {
+    const draftId = hash.slice(9).split('/')[0]
+    app.innerHTML = `<app-creator draft-id="${draftId}"></app-creator>`
   } else if (hash.startsWith('#/app/')) {
     const appId = hash.slice(6).split('/')[0]
     const mode = hash.includes('/edit') ? 'edit' : 'run'
@@ -34,5 +50,10 @@ function route() {
   }
 }
 
+// A write queued offline that Drive then refuses (e.g. access was removed) is lost
+storage.onWriteDropped(({ error }) => {
+  alert('Failed to upload a change made offline: ' + error.message)
+})
+
 window.addEventListener('hashchange', route)
 route()